@@ -11,225 +11,32 @@ class JSONComparator {
             normalizeStrings: false,
             ignoreTimestamps: false,
             ignoreKeyOrder: true,
+            losslessNumbers: true,
             numericTolerance: 0,
+            similarityThreshold: 0.5,
             includePaths: [],
             excludePaths: [],
+            arrayKeys: {},
             caseSensitive: true,
             ignoreExtraKeys: false
         };
         
+        this.json = new LosslessJSON();
+        
         // Initialize the application
         this.initializeApp();
         this.init();
-
-    compareValues(value1, value2, path) {
-        // Handle null and undefined
-        if (value1 === null && value2 === null) return null;
-        if (value1 === undefined && value2 === undefined) return null;
-        
-        if (value1 === null || value1 === undefined || value2 === null || value2 === undefined) {
-            return {
-                type: 'modified',
-                path,
-                oldValue: value1,
-                newValue: value2
-            };
-        }
-        
-        // Apply transformations if enabled
-        let processedValue1 = value1;
-        let processedValue2 = value2;
-        
-        if (this.options && this.options.normalizeStrings && typeof value1 === 'string' && typeof value2 === 'string') {
-            processedValue1 = value1.trim().toLowerCase();
-            processedValue2 = value2.trim().toLowerCase();
-        }
-        
-        if (this.options && this.options.ignoreTimestamps && this.isTimestamp(path)) {
-            return null; // Ignore timestamp differences
-        }
-        
-        if (this.options && this.options.numericTolerance > 0 && typeof value1 === 'number' && typeof value2 === 'number') {
-            if (Math.abs(value1 - value2) <= this.options.numericTolerance) {
-                return null; // Within tolerance
-            }
-        }
-        
-        // Type comparison mode
-        if (this.options && this.options.mode === 'type') {
-            if (typeof processedValue1 !== typeof processedValue2) {
-                return {
-                    type: 'modified',
-                    path,
-                    oldValue: `${typeof value1}: ${value1}`,
-                    newValue: `${typeof value2}: ${value2}`
-                };
-            }
-            return null; // Types match, consider equal in type-only mode
-        }
-        
-        // Handle arrays with advanced matching
-        if (Array.isArray(value1) && Array.isArray(value2)) {
-            return this.compareArraysAdvanced(value1, value2, path);
-        }
-        
-        // Handle objects
-        if (typeof value1 === 'object' && typeof value2 === 'object') {
-            const nestedDiffs = this.compareObjects(value1, value2, path);
-            return nestedDiffs && nestedDiffs.length > 0 ? nestedDiffs : null;
-        }
-        
-        // Handle primitives
-        const caseSensitive = this.options ? this.options.caseSensitive : true;
-        const equal = caseSensitive ? 
-            processedValue1 === processedValue2 : 
-            String(processedValue1).toLowerCase() === String(processedValue2).toLowerCase();
-            
-        if (equal) {
-            return null;
-        }
-        
-        return {
-            type: 'modified',
-            path,
-            oldValue: value1,
-            newValue: value2
-        };
-    }
-    
-    compareArraysAdvanced(arr1, arr2, path) {
-        const arrayMatching = this.options ? this.options.arrayMatching : 'index';
-        switch (arrayMatching) {
-            case 'id':
-                return this.compareArraysByID(arr1, arr2, path);
-            case 'hash':
-                return this.compareArraysByHash(arr1, arr2, path);
-            case 'best_match':
-                return this.compareArraysByBestMatch(arr1, arr2, path);
-            default: // 'index'
-                return this.compareArraysByIndex(arr1, arr2, path);
-        }
-    }
-    
-    compareArraysByID(arr1, arr2, path) {
-        // Implementation for ID-based array comparison
-        if (this.options && this.options.mode === 'ignore-order') {
-            const set1 = new Set(arr1.map(item => this.getItemID(item)));
-            const set2 = new Set(arr2.map(item => this.getItemID(item)));
-            
-            if (set1.size === set2.size && [...set1].every(id => set2.has(id))) {
-                return null;
-            }
-        }
-        
-        return this.compareArraysByIndex(arr1, arr2, path);
-    }
-    
-    compareArraysByHash(arr1, arr2, path) {
-        // Simple hash-based comparison
-        const hash1 = this.hashArray(arr1);
-        const hash2 = this.hashArray(arr2);
-        
-        if (hash1 === hash2) return null;
-        
-        return {
-            type: 'modified',
-            path,
-            oldValue: arr1,
-            newValue: arr2
-        };
-    }
-    
-    compareArraysByBestMatch(arr1, arr2, path) {
-        // Simplified best match algorithm
-        if (arr1.length !== arr2.length) {
-            return {
-                type: 'modified',
-                path,
-                oldValue: arr1,
-                newValue: arr2
-            };
-        }
-        
-        // For now, fall back to index comparison
-        return this.compareArraysByIndex(arr1, arr2, path);
-    }
-    
-    compareArraysByIndex(arr1, arr2, path) {
-        if (this.options && this.options.mode === 'ignore-order') {
-            const set1 = new Set(arr1.map(item => JSON.stringify(item)));
-            const set2 = new Set(arr2.map(item => JSON.stringify(item)));
-            
-            if (set1.size === set2.size && [...set1].every(item => set2.has(item))) {
-                return null;
-            }
-        }
-        
-        if (JSON.stringify(arr1) === JSON.stringify(arr2)) {
-            return null;
-        }
-        
-        return {
-            type: 'modified',
-            path,
-            oldValue: arr1,
-            newValue: arr2
-        };
-    }
-    
-    getItemID(item) {
-        if (typeof item === 'object' && item !== null) {
-            return item.id || item._id || item.key || JSON.stringify(item);
-        }
-        return item;
-    }
-    
-    hashArray(arr) {
-        return JSON.stringify(arr.map(item => 
-            typeof item === 'object' ? JSON.stringify(item) : item
-        ).sort());
-    }
-    
-    isTimestamp(path) {
-        const timestampPatterns = [
-            /timestamp/i,
-            /created.*at/i,
-            /updated.*at/i,
-            /modified.*at/i,
-            /date/i,
-            /time/i
-        ];
-        
-        return timestampPatterns.some(pattern => pattern.test(path));
-    }
-    
-    shouldIncludePath(path) {
-        // Check include/exclude patterns
-        if (this.options && this.options.includePaths && this.options.includePaths.length > 0) {
-            return this.options.includePaths.some(pattern => 
-                this.matchesPattern(path, pattern)
-            );
-        }
-        
-        if (this.options && this.options.excludePaths && this.options.excludePaths.length > 0) {
-            return !this.options.excludePaths.some(pattern => 
-                this.matchesPattern(path, pattern)
-            );
-        }
-        
-        return true;
-    }
-    
-    matchesPattern(path, pattern) {
-        // Simple pattern matching (in real implementation, would use JSONPath library)
-        return path.includes(pattern.replace(/\*|\[\]|\$/g, ''));
     }
 
     // Initialize additional properties
     initializeApp() {
         this.lastComparison = null;
+        this.mergeState = null;
+        this.lastMerge = null;
+        this.comparisonWorker = null;
         this.currentDiffIndex = 0;
         this.filteredDiffs = [];
+        this.acceptedEntries = [];
         this.savedRequests = [];
         this.lineByLineData = null;
         
@@ -367,6 +174,14 @@ class JSONComparator {
         
         jsonInput1.addEventListener('input', () => this.handleJSONInput(1));
         jsonInput2.addEventListener('input', () => this.handleJSONInput(2));
+        
+        // jq transforms
+        [1, 2].forEach(inputNumber => {
+            const transformInput = document.getElementById(`transform-${inputNumber}`);
+            const previewTransformBtn = document.getElementById(`preview-transform-${inputNumber}`);
+            if (transformInput) transformInput.addEventListener('input', () => this.validateTransform(inputNumber));
+            if (previewTransformBtn) previewTransformBtn.addEventListener('click', () => this.previewTransform(inputNumber));
+        });
 
         // Control buttons - Compare view
         const pasteBtn1 = document.getElementById('paste-json-1');
@@ -424,8 +239,16 @@ class JSONComparator {
         } else {
             console.error('Format JSON 2 button not found!');
         }
-        if (uploadBtn1) uploadBtn1.addEventListener('change', (e) => this.uploadJSON(1, e));
-        if (uploadBtn2) uploadBtn2.addEventListener('change', (e) => this.uploadJSON(2, e));
+        [[uploadBtn1, 1], [uploadBtn2, 2]].forEach(([button, inputNumber]) => {
+            const fileInput = document.getElementById(`upload-json-${inputNumber}-input`);
+            if (!button || !fileInput) return;
+            button.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => this.uploadJSON(inputNumber, e));
+        });
+        [1, 2, 'base'].forEach(inputNumber => {
+            const format = document.getElementById(`input-format-${inputNumber}`);
+            if (format) format.addEventListener('change', () => this.handleJSONInput(inputNumber));
+        });
         
         const compareBtn = document.getElementById('compare-btn');
         const swapBtn = document.getElementById('swap-btn');
@@ -473,6 +296,75 @@ class JSONComparator {
         if (exportHtmlBtn) exportHtmlBtn.addEventListener('click', () => this.exportResults('html'));
         if (collapseResultsBtn) collapseResultsBtn.addEventListener('click', () => this.collapseResults());
         
+        // Comparison worker
+        const cancelComparisonBtn = document.getElementById('cancel-comparison');
+        if (cancelComparisonBtn) cancelComparisonBtn.addEventListener('click', () => this.cancelComparison());
+        
+        // Three-way merge
+        const threeWayBtn = document.getElementById('three-way-btn');
+        const mergeBtn = document.getElementById('merge-btn');
+        const downloadMergedBtn = document.getElementById('download-merged');
+        const jsonInputBase = document.getElementById('json-input-base');
+        const clearBaseBtn = document.getElementById('clear-json-base');
+        const formatBaseBtn = document.getElementById('format-json-base');
+        const uploadBaseBtn = document.getElementById('upload-json-base');
+        const uploadBaseInput = document.getElementById('upload-json-base-input');
+        
+        if (threeWayBtn) threeWayBtn.addEventListener('click', () => this.toggleMergeMode());
+        if (mergeBtn) mergeBtn.addEventListener('click', () => this.performMerge());
+        if (downloadMergedBtn) downloadMergedBtn.addEventListener('click', () => this.downloadMerged());
+        if (jsonInputBase) jsonInputBase.addEventListener('input', () => this.handleJSONInput('base'));
+        if (clearBaseBtn) clearBaseBtn.addEventListener('click', () => this.clearJSON('base'));
+        if (formatBaseBtn) formatBaseBtn.addEventListener('click', () => this.formatJSON('base'));
+        if (uploadBaseBtn && uploadBaseInput) {
+            uploadBaseBtn.addEventListener('click', () => uploadBaseInput.click());
+            uploadBaseInput.addEventListener('change', (e) => this.uploadJSON('base', e));
+        }
+        
+        // Baseline comparison against several candidates
+        const nwayBtn = document.getElementById('nway-btn');
+        const addCandidateBtn = document.getElementById('add-candidate-btn');
+        const nwayCompareBtn = document.getElementById('nway-compare-btn');
+        
+        if (nwayBtn) nwayBtn.addEventListener('click', () => this.toggleBaselineMode());
+        if (addCandidateBtn) addCandidateBtn.addEventListener('click', () => this.addCandidate());
+        if (nwayCompareBtn) nwayCompareBtn.addEventListener('click', () => this.performBaselineComparison());
+        
+        // Batch comparison of two sets of files
+        const batchBtn = document.getElementById('batch-btn');
+        const batchCompareBtn = document.getElementById('batch-compare-btn');
+        const batchViewAllBtn = document.getElementById('batch-view-all');
+        const batchReportBtn = document.getElementById('batch-report');
+        
+        if (batchBtn) batchBtn.addEventListener('click', () => this.toggleBatchMode());
+        if (batchCompareBtn) batchCompareBtn.addEventListener('click', () => this.performBatchComparison());
+        if (batchViewAllBtn) batchViewAllBtn.addEventListener('click', () => this.viewBatchDifferences());
+        if (batchReportBtn) batchReportBtn.addEventListener('click', () => this.exportBatchReport());
+        [1, 2].forEach(side => {
+            ['files', 'folder'].forEach(kind => {
+                const input = document.getElementById(`batch-${kind}-${side}`);
+                const button = document.getElementById(`batch-pick-${kind}-${side}`);
+                if (!input || !button) return;
+                button.addEventListener('click', () => input.click());
+                input.addEventListener('change', (e) => this.selectBatchFiles(side, e));
+            });
+        });
+        
+        // Accepted differences
+        const acceptShownBtn = document.getElementById('accept-shown');
+        const loadAcceptedBtn = document.getElementById('load-accepted');
+        const acceptedFileInput = document.getElementById('accepted-file');
+        const saveAcceptedBtn = document.getElementById('save-accepted');
+        const clearAcceptedBtn = document.getElementById('clear-accepted');
+        
+        if (acceptShownBtn) acceptShownBtn.addEventListener('click', () => this.acceptShownDifferences());
+        if (loadAcceptedBtn && acceptedFileInput) {
+            loadAcceptedBtn.addEventListener('click', () => acceptedFileInput.click());
+            acceptedFileInput.addEventListener('change', (e) => this.loadAcceptedDifferences(e));
+        }
+        if (saveAcceptedBtn) saveAcceptedBtn.addEventListener('click', () => this.saveAcceptedDifferences());
+        if (clearAcceptedBtn) clearAcceptedBtn.addEventListener('click', () => this.clearAcceptedDifferences());
+        
         // Results tabs
         document.querySelectorAll('.results-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -492,6 +384,10 @@ class JSONComparator {
         if (useResponse1Btn) useResponse1Btn.addEventListener('click', () => this.useAPIResponse(1));
         if (useResponse2Btn) useResponse2Btn.addEventListener('click', () => this.useAPIResponse(2));
         if (compareResponsesBtn) compareResponsesBtn.addEventListener('click', () => this.compareAPIResponses());
+        [1, 2].forEach(apiNumber => {
+            const validateResponseBtn = document.getElementById(`validate-response-${apiNumber}`);
+            if (validateResponseBtn) validateResponseBtn.addEventListener('click', () => this.validateAPIResponse(apiNumber, true));
+        });
         
         // Header management
         const addHeader1Btn = document.getElementById('add-header-1');
@@ -504,6 +400,29 @@ class JSONComparator {
         const pathExamplesBtn = document.getElementById('path-examples');
         if (pathExamplesBtn) pathExamplesBtn.addEventListener('click', () => this.showPathExamples());
         
+        ['include-paths', 'exclude-paths'].forEach(id => {
+            const pathsInput = document.getElementById(id);
+            if (pathsInput) pathsInput.addEventListener('input', () => this.validatePathFilters(id));
+        });
+        
+        const severityRulesInput = document.getElementById('severity-rules');
+        if (severityRulesInput) severityRulesInput.addEventListener('input', () => this.validateSeverityRules());
+        
+        const maskingRulesInput = document.getElementById('masking-rules');
+        if (maskingRulesInput) maskingRulesInput.addEventListener('input', () => this.validateMaskingRules());
+        
+        const arraySortsInput = document.getElementById('array-sorts');
+        if (arraySortsInput) arraySortsInput.addEventListener('input', () => this.validateArraySorts());
+        
+        const schemaInput = document.getElementById('json-schema-input');
+        const uploadSchemaBtn = document.getElementById('upload-json-schema');
+        const schemaFileInput = document.getElementById('json-schema-file');
+        if (schemaInput) schemaInput.addEventListener('input', () => this.validateSchemaInput());
+        if (uploadSchemaBtn && schemaFileInput) {
+            uploadSchemaBtn.addEventListener('click', () => schemaFileInput.click());
+            schemaFileInput.addEventListener('change', (e) => this.uploadSchema(e));
+        }
+        
         // Report generation
         const generateReportBtn = document.getElementById('generate-report-btn');
         const generateReportMainBtn = document.getElementById('generate-report-main');
@@ -517,6 +436,13 @@ class JSONComparator {
         if (cancelReportBtn) cancelReportBtn.addEventListener('click', () => this.hideReportModal());
         if (closeReportModalBtn) closeReportModalBtn.addEventListener('click', () => this.hideReportModal());
         
+        // Canonical downloads
+        const downloadCanonical1Btn = document.getElementById('download-canonical-1');
+        const downloadCanonical2Btn = document.getElementById('download-canonical-2');
+        
+        if (downloadCanonical1Btn) downloadCanonical1Btn.addEventListener('click', () => this.downloadCanonical(1));
+        if (downloadCanonical2Btn) downloadCanonical2Btn.addEventListener('click', () => this.downloadCanonical(2));
+        
         // Diff navigation
         const prevDiffBtn = document.getElementById('prev-diff');
         const nextDiffBtn = document.getElementById('next-diff');
@@ -638,7 +564,7 @@ class JSONComparator {
                 e.preventDefault();
                 this.showHelp();
             }
-        }
+        });
     }
 
     switchView(viewName) {
@@ -697,19 +623,119 @@ class JSONComparator {
         charCount.textContent = `${content.length} characters`;
         
         if (content.trim()) {
+            const converter = new FormatConverter();
             try {
-                JSON.parse(content);
-                validation.textContent = '✓ Valid JSON';
-                validation.className = 'validation-status valid';
+                converter.parse(content, {
+                    format: this.getInputFormat(inputNumber),
+                    xml: this.getXMLOptions(),
+                    typedValues: document.getElementById('typed-values')?.checked ?? true
+                });
+                const count = converter.warnings.length;
+                validation.textContent = count > 0
+                    ? `⚠ Valid ${converter.format}, ${count} warning${count === 1 ? '' : 's'}`
+                    : `✓ Valid ${converter.format}`;
+                validation.className = `validation-status ${count > 0 ? 'warning' : 'valid'}`;
+                this.showParseIssues(inputNumber, 'warning', converter.warnings
+                    .map(warning => this.formatParseWarning(warning))
+                    .join('\n'));
             } catch (e) {
-                validation.textContent = '✗ Invalid JSON';
+                validation.textContent = e.line
+                    ? `✗ Invalid ${converter.format} at line ${e.line}, column ${e.column}`
+                    : `✗ Invalid ${converter.format}`;
                 validation.className = 'validation-status invalid';
+                this.showParseIssues(inputNumber, 'error', e.excerpt ? `${e.message}\n\n${e.excerpt}` : e.message);
             }
         } else {
             validation.textContent = '';
             validation.className = 'validation-status';
+            this.showParseIssues(inputNumber, 'error', '');
+        }
+    }
+    
+    // The jq filter for each side, or undefined when neither side has one
+    getTransforms() {
+        const left = document.getElementById('transform-1')?.value?.trim() || '';
+        const right = document.getElementById('transform-2')?.value?.trim() || '';
+        return left || right ? { left, right } : undefined;
+    }
+    
+    validateTransform(inputNumber) {
+        const validation = document.getElementById(`transform-${inputNumber}-validation`);
+        const preview = document.getElementById(`transform-preview-${inputNumber}`);
+        const expression = document.getElementById(`transform-${inputNumber}`)?.value?.trim() || '';
+        if (!validation) return;
+        if (preview) preview.hidden = true;
+        
+        if (!expression) {
+            validation.textContent = '';
+            validation.className = 'validation-status';
+            return false;
+        }
+        try {
+            new JQFilter(expression);
+            validation.textContent = '✓ Valid filter';
+            validation.className = 'validation-status valid';
+            return true;
+        } catch (error) {
+            validation.textContent = `✗ ${error.message}`;
+            validation.className = 'validation-status invalid';
+            return false;
+        }
+    }
+    
+    // Runs the side's filter on its input and shows what would be compared
+    previewTransform(inputNumber) {
+        const validation = document.getElementById(`transform-${inputNumber}-validation`);
+        const preview = document.getElementById(`transform-preview-${inputNumber}`);
+        const expression = document.getElementById(`transform-${inputNumber}`)?.value?.trim() || '';
+        const content = document.getElementById(`json-input-${inputNumber}`)?.value || '';
+        if (!this.validateTransform(inputNumber) || !preview) return;
+        if (!content.trim()) {
+            alert(`Enter JSON ${inputNumber} to preview its transform`);
+            return;
+        }
+        
+        try {
+            const input = new FormatConverter().parse(content, {
+                format: this.getInputFormat(inputNumber),
+                lossless: document.getElementById('lossless-numbers')?.checked ?? true,
+                xml: this.getXMLOptions(),
+                typedValues: document.getElementById('typed-values')?.checked ?? true
+            });
+            const outputs = new JQFilter(expression).run(input);
+            if (outputs.length === 0) {
+                validation.textContent = '✗ The filter produced no output';
+                validation.className = 'validation-status invalid';
+                return;
+            }
+            
+            const limit = 200;
+            const lines = this.json.stringify(outputs.length === 1 ? outputs[0] : outputs, 2).split('\n');
+            preview.textContent = lines.length > limit
+                ? `${lines.slice(0, limit).join('\n')}\n… and ${lines.length - limit} more lines`
+                : lines.join('\n');
+            preview.hidden = false;
+            validation.textContent = outputs.length === 1 ? '✓ 1 output' : `✓ ${outputs.length} outputs, compared as an array`;
+            validation.className = 'validation-status valid';
+        } catch (error) {
+            validation.textContent = `✗ ${error.message}`;
+            validation.className = 'validation-status invalid';
         }
     }
+    
+    formatParseWarning(warning) {
+        const pointer = warning.pointer !== undefined ? ` (${warning.pointer || '/'})` : '';
+        return `Line ${warning.line}, column ${warning.column}: ${warning.message}${pointer}`;
+    }
+    
+    // Syntax error excerpt or duplicate key list under an editor
+    showParseIssues(inputNumber, kind, text) {
+        const issues = document.getElementById(`parse-issues-${inputNumber}`);
+        if (!issues) return;
+        issues.textContent = text;
+        issues.className = `parse-issues parse-issues--${kind}`;
+        issues.hidden = !text;
+    }
 
     updateCharCounts() {
         [1, 2].forEach(num => {
@@ -760,8 +786,17 @@ class JSONComparator {
             return;
         }
         try {
-            const parsed = JSON.parse(input.value);
-            input.value = JSON.stringify(parsed, null, 2);
+            const converter = new FormatConverter(this.json);
+            const parsed = this.parseJSON(input.value, inputNumber, converter);
+            // NDJSON stays one compact record per line; YAML, TOML, XML and CSV
+            // inputs are converted to JSON by formatting
+            const format = document.getElementById(`input-format-${inputNumber}`);
+            if (converter.format === 'NDJSON') {
+                input.value = parsed.map(record => this.json.stringify(record)).join('\n');
+            } else {
+                input.value = this.json.stringify(parsed, 2);
+                if (format && !['auto', 'json', 'json5'].includes(format.value)) format.value = 'auto';
+            }
             this.handleJSONInput(inputNumber);
             console.log(`JSON ${inputNumber} formatted successfully`);
         } catch (e) {
@@ -770,6 +805,31 @@ class JSONComparator {
         }
     }
 
+    // Parses an editor's text in its selected format, keeping numbers exactly as
+    // written when that setting is on
+    parseJSON(text, inputNumber = null, converter = new FormatConverter(this.json)) {
+        const lossless = document.getElementById('lossless-numbers')?.checked ?? this.options.losslessNumbers;
+        return converter.parse(text, {
+            lossless,
+            format: this.getInputFormat(inputNumber),
+            xml: this.getXMLOptions(),
+            typedValues: document.getElementById('typed-values')?.checked ?? true
+        });
+    }
+    
+    // 'auto', 'json', 'json5' (which also covers JSONC), 'ndjson', 'yaml', 'toml', 'xml' or 'csv'
+    getInputFormat(inputNumber) {
+        return document.getElementById(`input-format-${inputNumber}`)?.value || 'auto';
+    }
+    
+    // How XML attributes and text content map onto object keys
+    getXMLOptions() {
+        return {
+            attributePrefix: document.getElementById('xml-attribute-prefix')?.value ?? '@',
+            textKey: document.getElementById('xml-text-key')?.value.trim() || '#text'
+        };
+    }
+
     formatAllJSON() {
         this.formatJSON(1);
         this.formatJSON(2);
@@ -779,6 +839,13 @@ class JSONComparator {
         const file = event.target.files[0];
         if (!file) return;
         
+        // The file extension picks the format; other files keep the chosen one
+        const format = document.getElementById(`input-format-${inputNumber}`);
+        const fileFormat = this.formatForFile(file.name);
+        if (format && fileFormat) {
+            format.value = fileFormat;
+        }
+        
         const reader = new FileReader();
         reader.onload = (e) => {
             const input = document.getElementById(`json-input-${inputNumber}`);
@@ -792,6 +859,13 @@ class JSONComparator {
         reader.readAsText(file);
     }
 
+    // Input format implied by a file's extension, or null when it does not say
+    formatForFile(name) {
+        const formats = { jsonc: 'json5', json5: 'json5', jsonl: 'ndjson', ndjson: 'ndjson', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml', csv: 'csv', tsv: 'csv' };
+        const extension = (/\.(\w+)$/.exec(name) || [])[1]?.toLowerCase();
+        return formats[extension] || null;
+    }
+
     swapJSONs() {
         console.log('Swapping JSONs');
         const input1 = document.getElementById('json-input-1');
@@ -806,6 +880,12 @@ class JSONComparator {
         input1.value = input2.value;
         input2.value = temp;
         
+        const format1 = document.getElementById('input-format-1');
+        const format2 = document.getElementById('input-format-2');
+        if (format1 && format2) {
+            [format1.value, format2.value] = [format2.value, format1.value];
+        }
+        
         this.handleJSONInput(1);
         this.handleJSONInput(2);
         console.log('JSONs swapped successfully');
@@ -839,7 +919,6 @@ class JSONComparator {
         
         const input1 = document.getElementById('json-input-1');
         const input2 = document.getElementById('json-input-2');
-        const idKeyInput = document.getElementById('id-key-input');
         
         if (!input1 || !input2) {
             console.error('JSON input elements not found');
@@ -849,10 +928,6 @@ class JSONComparator {
         
         const json1Text = input1.value;
         const json2Text = input2.value;
-        const idKey = idKeyInput ? idKeyInput.value : '';
-        const comparisonMode = document.getElementById('comparison-mode')?.value || 'exact';
-        const ignoreExtraKeys = document.getElementById('ignore-extra-keys')?.checked || false;
-        const caseSensitive = document.getElementById('case-sensitive')?.checked || true;
         
         if (!json1Text.trim()) {
             alert('Please provide JSON 1 input');
@@ -864,114 +939,341 @@ class JSONComparator {
             return;
         }
         
-        console.log('Both JSON inputs provided, parsing...');
-        
+        let options;
         try {
-            const json1 = JSON.parse(json1Text);
-            const json2 = JSON.parse(json2Text);
-            console.log('JSON parsing successful');
-            
-            this.showLoading(true);
-            
-            setTimeout(() => {
-                try {
-                    console.log('Starting comparison with options:', {
-                        idKey,
-                        mode: comparisonMode,
-                        ignoreExtraKeys,
-                        caseSensitive
-                    });
-                    
-                    const comparison = this.performComparison(json1, json2, {
-                        idKey,
-                        mode: comparisonMode,
-                        ignoreExtraKeys,
-                        caseSensitive
-                    });
-                    
-                    console.log('Comparison result:', comparison);
-                    this.lastComparison = comparison;
-                    this.displayResults(comparison);
-                    console.log('Results displayed successfully');
-                } catch (error) {
-                    console.error('Comparison failed:', error);
-                    alert('Comparison failed: ' + error.message);
-                } finally {
-                    this.showLoading(false);
-                }
-            }, 100);
-            
-        } catch (e) {
-            console.error('JSON parsing failed:', e);
-            alert('Please ensure both inputs contain valid JSON: ' + e.message);
+            options = this.getComparisonOptions(this.getMatchingOptions());
+        } catch (error) {
+            alert('Comparison failed: ' + error.message);
+            return;
         }
-    }
-
-    performComparison(json1, json2, options) {
-        const startTime = performance.now();
         
-        // Get advanced settings with fallbacks
-        const arrayMatching = document.getElementById('array-matching')?.value || 'id';
-        const normalizeStrings = document.getElementById('normalize-strings')?.checked || false;
-        const ignoreTimestamps = document.getElementById('ignore-timestamps')?.checked || false;
-        const ignoreKeyOrder = document.getElementById('ignore-key-order')?.checked || true;
-        const numericTolerance = parseFloat(document.getElementById('numeric-tolerance')?.value || '0') || 0;
-        const includePaths = document.getElementById('include-paths')?.value?.trim() || '';
-        const excludePaths = document.getElementById('exclude-paths')?.value?.trim() || '';
-        
-        const enhancedOptions = {
-            ...options,
-            arrayMatching,
-            normalizeStrings,
-            ignoreTimestamps,
-            ignoreKeyOrder,
-            numericTolerance,
-            includePaths: includePaths ? includePaths.split('\n').filter(p => p.trim()) : [],
-            excludePaths: excludePaths ? excludePaths.split('\n').filter(p => p.trim()) : []
+        console.log('Starting comparison with options:', options);
+        this.startComparison(json1Text, json2Text, options);
+    }
+    
+    // The ID key and matching mode that sit next to the Compare button
+    getMatchingOptions() {
+        return {
+            idKey: document.getElementById('id-key-input')?.value || '',
+            mode: document.getElementById('comparison-mode')?.value || 'exact',
+            ignoreExtraKeys: document.getElementById('ignore-extra-keys')?.checked || false,
+            caseSensitive: document.getElementById('case-sensitive')?.checked ?? true
         };
+    }
+    
+    // JSON Schema text from Advanced Settings; parsed where it is used so it can
+    // travel to the comparison worker
+    getValidationSchema() {
+        return document.getElementById('json-schema-input')?.value?.trim() || '';
+    }
+    
+    validateSchemaInput() {
+        const validation = document.getElementById('json-schema-input-validation');
+        if (!validation) return;
         
-        // Update instance options
-        this.options = { ...this.options, ...enhancedOptions };
-        
-        const extractor = new JSONPathExtractor();
-        const differ = new JSONDiffer(enhancedOptions);
-        
-        let objects1, objects2;
-        
+        const schemaText = this.getValidationSchema();
+        if (!schemaText) {
+            validation.textContent = '';
+            validation.className = 'validation-status';
+            return;
+        }
         try {
-            if (enhancedOptions.idKey && enhancedOptions.idKey.trim()) {
-                objects1 = extractor.extractByPath(json1, enhancedOptions.idKey);
-                objects2 = extractor.extractByPath(json2, enhancedOptions.idKey);
-            } else {
-                // Direct comparison without ID matching
-                objects1 = [{ id: 'root', data: json1 }];
-                objects2 = [{ id: 'root', data: json2 }];
-            }
+            new JSONSchemaValidator().parseSchema(schemaText);
+            validation.textContent = '✓ Valid schema';
+            validation.className = 'validation-status valid';
         } catch (error) {
-            console.warn('Path extraction failed, using direct comparison:', error.message);
-            // If path extraction fails, compare the entire objects
-            objects1 = [{ id: 'root', data: json1 }];
-            objects2 = [{ id: 'root', data: json2 }];
+            validation.textContent = `✗ ${error.message}`;
+            validation.className = 'validation-status invalid';
         }
+    }
+    
+    uploadSchema(event) {
+        const file = event.target.files[0];
+        if (!file) return;
         
-        const comparison = differ.compare(objects1, objects2);
-        const endTime = performance.now();
-        
-        return {
-            ...comparison,
-            options: enhancedOptions,
-            originalData: { json1, json2 },
-            timing: {
-                duration: Math.round(endTime - startTime),
-                objectsCompared: objects1.length + objects2.length
-            }
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('json-schema-input').value = e.target.result;
+            this.validateSchemaInput();
         };
+        reader.readAsText(file);
     }
-
-    displayResults(comparison) {
-        const resultsPanel = document.getElementById('results-panel');
-        if (resultsPanel) {
-            resultsPanel.style.display = 'block';
+    
+    // Custom severity rules (tried first) and the preset behind them, or
+    // undefined when differences are not to be graded
+    getSeverityOptions() {
+        const preset = document.getElementById('severity-preset')?.value || '';
+        const rulesText = document.getElementById('severity-rules')?.value?.trim() || '';
+        const rules = rulesText ? this.parseSeverityRules(rulesText) : [];
+        return preset || rules.length > 0 ? { preset: preset || null, rules } : undefined;
+    }
+    
+    parseSeverityRules(text) {
+        let rules;
+        try {
+            rules = this.json.parse(text, { dialect: 'auto', lossless: false });
+        } catch (error) {
+            throw new Error(`Severity rules are not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(rules)) throw new Error('Severity rules must be a JSON array');
+        return rules;
+    }
+    
+    validateSeverityRules() {
+        const validation = document.getElementById('severity-rules-validation');
+        const rulesText = document.getElementById('severity-rules')?.value?.trim() || '';
+        if (!validation) return;
+        
+        if (!rulesText) {
+            validation.textContent = '';
+            validation.className = 'validation-status';
+            return;
+        }
+        try {
+            const rules = this.parseSeverityRules(rulesText);
+            new SeverityRules(rules);
+            validation.textContent = `✓ ${rules.length} rule${rules.length === 1 ? '' : 's'}`;
+            validation.className = 'validation-status valid';
+        } catch (error) {
+            validation.textContent = `✗ ${error.message}`;
+            validation.className = 'validation-status invalid';
+        }
+    }
+    
+    getMaskingRules() {
+        const rulesText = document.getElementById('masking-rules')?.value?.trim() || '';
+        return rulesText ? this.parseMaskingRules(rulesText) : [];
+    }
+    
+    parseMaskingRules(text) {
+        let rules;
+        try {
+            rules = this.json.parse(text, { dialect: 'auto', lossless: false });
+        } catch (error) {
+            throw new Error(`Masking rules are not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(rules)) throw new Error('Masking rules must be a JSON array');
+        return rules;
+    }
+    
+    validateMaskingRules() {
+        const validation = document.getElementById('masking-rules-validation');
+        const rulesText = document.getElementById('masking-rules')?.value?.trim() || '';
+        if (!validation) return;
+        
+        if (!rulesText) {
+            validation.textContent = '';
+            validation.className = 'validation-status';
+            return;
+        }
+        try {
+            const rules = this.parseMaskingRules(rulesText);
+            new ValueMasker(rules);
+            validation.textContent = `✓ ${rules.length} rule${rules.length === 1 ? '' : 's'}`;
+            validation.className = 'validation-status valid';
+        } catch (error) {
+            validation.textContent = `✗ ${error.message}`;
+            validation.className = 'validation-status invalid';
+        }
+    }
+    
+    getArraySorts() {
+        const specsText = document.getElementById('array-sorts')?.value?.trim() || '';
+        return specsText ? this.parseArraySorts(specsText) : [];
+    }
+    
+    parseArraySorts(text) {
+        let specs;
+        try {
+            specs = this.json.parse(text, { dialect: 'auto', lossless: false });
+        } catch (error) {
+            throw new Error(`Sort specs are not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(specs)) throw new Error('Sort specs must be a JSON array');
+        return specs;
+    }
+    
+    validateArraySorts() {
+        const validation = document.getElementById('array-sorts-validation');
+        const specsText = document.getElementById('array-sorts')?.value?.trim() || '';
+        if (!validation) return;
+        
+        if (!specsText) {
+            validation.textContent = '';
+            validation.className = 'validation-status';
+            return;
+        }
+        try {
+            const specs = this.parseArraySorts(specsText);
+            new JSONCanonicalizer(specs);
+            validation.textContent = `✓ ${specs.length} sort spec${specs.length === 1 ? '' : 's'}`;
+            validation.className = 'validation-status valid';
+        } catch (error) {
+            validation.textContent = `✗ ${error.message}`;
+            validation.className = 'validation-status invalid';
+        }
+    }
+    
+    // Collects the Advanced Settings into plain options that can be handed to
+    // the comparison worker
+    getComparisonOptions(options) {
+        const arrayMatching = document.getElementById('array-matching')?.value || 'id';
+        const normalizeStrings = document.getElementById('normalize-strings')?.checked || false;
+        const ignoreTimestamps = document.getElementById('ignore-timestamps')?.checked || false;
+        const ignoreKeyOrder = document.getElementById('ignore-key-order')?.checked ?? true;
+        const detectMoves = document.getElementById('detect-moves')?.checked ?? true;
+        const schemaDiff = document.getElementById('schema-diff')?.checked || false;
+        const losslessNumbers = document.getElementById('lossless-numbers')?.checked ?? true;
+        const inputFormats = { left: this.getInputFormat(1), right: this.getInputFormat(2) };
+        const xml = this.getXMLOptions();
+        const typedValues = document.getElementById('typed-values')?.checked ?? true;
+        const numericTolerance = parseFloat(document.getElementById('numeric-tolerance')?.value || '0') || 0;
+        const similarityThreshold = parseFloat(document.getElementById('similarity-threshold')?.value || '0.5');
+        const includePaths = document.getElementById('include-paths')?.value?.trim() || '';
+        const excludePaths = document.getElementById('exclude-paths')?.value?.trim() || '';
+        const arrayKeys = document.getElementById('array-keys')?.value?.trim() || '';
+        const validationSchema = this.getValidationSchema();
+        const severity = this.getSeverityOptions();
+        const masking = this.getMaskingRules();
+        const canonicalize = document.getElementById('canonicalize')?.checked || false;
+        const arraySorts = this.getArraySorts();
+        const transforms = this.getTransforms();
+        
+        return {
+            ...options,
+            arrayMatching,
+            normalizeStrings,
+            ignoreTimestamps,
+            ignoreKeyOrder,
+            detectMoves,
+            schemaDiff,
+            losslessNumbers,
+            inputFormats,
+            xml,
+            typedValues,
+            validationSchema,
+            severity,
+            masking,
+            canonicalize,
+            arraySorts,
+            transforms,
+            numericTolerance,
+            similarityThreshold: isNaN(similarityThreshold) ? 0.5 : similarityThreshold,
+            includePaths: includePaths ? includePaths.split('\n').filter(p => p.trim()) : [],
+            excludePaths: excludePaths ? excludePaths.split('\n').filter(p => p.trim()) : [],
+            arrayKeys: arrayKeys ? new JSONPathExtractor().parseArrayKeys(arrayKeys.split('\n').filter(p => p.trim())) : {},
+            rootPath: ''
+        };
+    }
+    
+    // Runs the comparison in a worker so the page stays responsive and can be
+    // cancelled. Where workers are unavailable (e.g. pages opened from file://)
+    // the same ComparisonRunner runs on the main thread instead.
+    startComparison(json1Text, json2Text, options) {
+        this.runInWorker(
+            { json1Text, json2Text, options },
+            comparison => this.handleComparisonResult(comparison),
+            () => new ComparisonRunner().run(json1Text, json2Text, options)
+        );
+    }
+    
+    // Posts message to a fresh comparison worker and shows its progress until
+    // the result reaches onResult; runInline produces the same result on the
+    // main thread when no worker can be started
+    runInWorker(message, onResult, runInline) {
+        this.cancelComparison();
+        this.showLoading(true);
+        this.updateComparisonProgress(0, 0);
+        
+        let worker;
+        try {
+            worker = new Worker('compare-worker.js');
+        } catch (error) {
+            console.warn('Comparison worker unavailable, comparing on the main thread:', error.message);
+            this.runComparisonInline(runInline, onResult);
+            return;
+        }
+        
+        this.comparisonWorker = worker;
+        worker.onmessage = (event) => {
+            const reply = event.data;
+            if (reply.type === 'progress') {
+                this.updateComparisonProgress(reply.compared, reply.total, reply.step, reply.file);
+                return;
+            }
+            this.stopComparisonWorker();
+            this.showLoading(false);
+            if (reply.type === 'result') {
+                onResult(reply.text ? this.json.parse(reply.text) : reply.result);
+            } else {
+                console.error('Comparison failed:', reply.message);
+                alert('Comparison failed: ' + reply.message);
+            }
+        };
+        // A worker that fails to load or crashes is reported rather than retried
+        // on the main thread, which would freeze the page on the same input
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.error('Comparison worker failed:', event.message);
+            this.stopComparisonWorker();
+            this.showLoading(false);
+            alert('Comparison failed: ' + (event.message || 'the comparison worker stopped unexpectedly'));
+        };
+        worker.postMessage(message);
+    }
+    
+    runComparisonInline(run, onResult) {
+        setTimeout(() => {
+            try {
+                onResult(run());
+            } catch (error) {
+                console.error('Comparison failed:', error);
+                alert('Comparison failed: ' + error.message);
+            } finally {
+                this.showLoading(false);
+            }
+        }, 100);
+    }
+    
+    handleComparisonResult(comparison) {
+        console.log('Comparison result:', comparison);
+        this.options = { ...this.options, ...comparison.options };
+        this.lastComparison = comparison;
+        this.applyAcceptedDifferences(comparison);
+        this.displayResults(comparison);
+        console.log('Results displayed successfully');
+    }
+    
+    cancelComparison() {
+        if (!this.comparisonWorker) return;
+        this.stopComparisonWorker();
+        this.showLoading(false);
+        console.log('Comparison cancelled');
+    }
+    
+    stopComparisonWorker() {
+        if (this.comparisonWorker) {
+            this.comparisonWorker.terminate();
+            this.comparisonWorker = null;
+        }
+    }
+    
+    // step ({ label, done, total }) follows a long array inside the current
+    // record; file ({ path, index, count }) names the batch pair being compared
+    updateComparisonProgress(compared, total, step = null, file = null) {
+        const progress = document.getElementById('loading-progress');
+        if (!progress) return;
+        let status = total > 0
+            ? `Compared ${compared.toLocaleString()} of ${total.toLocaleString()} objects`
+            : 'Parsing and extracting records...';
+        if (step) status += ` (${step.done.toLocaleString()} of ${step.total.toLocaleString()} ${step.label})`;
+        progress.textContent = file ? `${file.path} (${file.unit || 'pair'} ${file.index + 1} of ${file.count}): ${status}` : status;
+    }
+
+    displayResults(comparison) {
+        const resultsPanel = document.getElementById('results-panel');
+        if (resultsPanel) {
+            resultsPanel.style.display = 'block';
             resultsPanel.scrollIntoView({ behavior: 'smooth' });
         }
         
@@ -985,7 +1287,11 @@ class JSONComparator {
         this.updateStatisticsPanel(comparison.summary, comparison.timing);
         
         // Always display differences first
+        this.displayInputIssues(comparison.inputWarnings || {}, comparison.failed || []);
+        this.displayMaskedValues(comparison.masked);
         this.displayDifferences(comparison.differences);
+        this.displaySchemaDiff(comparison.schemaDiff);
+        this.displayValidation(comparison.validation);
         this.displaySummary(comparison.summary);
         this.displaySideBySide(comparison.matched || [], comparison.onlyInFirst || [], comparison.onlyInSecond || []);
         this.displayDetailedStats(comparison);
@@ -1004,7 +1310,7 @@ class JSONComparator {
         }
         
         // Initialize diff navigation
-        this.filteredDiffs = comparison.differences || [];
+        this.filteredDiffs = this.acceptedLast(comparison.differences || []);
         this.currentDiffIndex = 0;
         this.updateDiffNavigation();
     }
@@ -1017,6 +1323,7 @@ class JSONComparator {
             const statAddedEl = document.getElementById('stat-added');
             const statDeletedEl = document.getElementById('stat-deleted');
             const statModifiedEl = document.getElementById('stat-modified');
+            const statMovedEl = document.getElementById('stat-moved');
             const matchPercentageEl = document.getElementById('match-percentage');
             const matchProgressEl = document.getElementById('match-progress');
             
@@ -1024,8 +1331,9 @@ class JSONComparator {
             if (statAddedEl) statAddedEl.textContent = summary.added;
             if (statDeletedEl) statDeletedEl.textContent = summary.deleted;
             if (statModifiedEl) statModifiedEl.textContent = summary.modified;
+            if (statMovedEl) statMovedEl.textContent = summary.moved || 0;
             
-            const totalItems = summary.added + summary.deleted + summary.modified + summary.equal;
+            const totalItems = summary.added + summary.deleted + summary.modified + (summary.moved || 0) + summary.equal;
             const matchPercentage = totalItems > 0 ? Math.round((summary.equal / totalItems) * 100) : 0;
             
             if (matchPercentageEl) matchPercentageEl.textContent = matchPercentage;
@@ -1052,19 +1360,21 @@ class JSONComparator {
     displayDifferences(differences) {
         const container = document.getElementById('differences-list');
         container.innerHTML = '';
+        this.displayAcceptedStatus();
         
         if (differences.length === 0) {
             container.innerHTML = '<p>No differences found!</p>';
             return;
         }
         
-        differences.forEach(diff => {
+        const items = this.acceptedLast(differences).map(diff => {
             const item = document.createElement('div');
             item.className = `diff-item diff-item--${diff.type}`;
             
             const path = document.createElement('div');
             path.className = 'diff-path';
-            path.textContent = diff.path;
+            path.textContent = this.formatDiffPath(diff);
+            this.appendSeverity(path, diff);
             
             const value = document.createElement('div');
             value.className = 'diff-value';
@@ -1079,6 +1389,9 @@ class JSONComparator {
                 case 'modified':
                     value.innerHTML = `<span class="diff-old">- ${this.formatValue(diff.oldValue)}</span><br><span class="diff-new">+ ${this.formatValue(diff.newValue)}</span>`;
                     break;
+                case 'moved':
+                    value.innerHTML = this.formatMovedValue(diff);
+                    break;
                 case 'equal':
                     value.innerHTML = `<span>${this.formatValue(diff.value)}</span>`;
                     break;
@@ -1086,8 +1399,146 @@ class JSONComparator {
             
             item.appendChild(path);
             item.appendChild(value);
-            container.appendChild(item);
+            this.appendDiffLocation(item, diff);
+            this.appendSchemaViolations(item, diff);
+            this.appendAcceptControl(item, diff);
+            return { diff, item };
         });
+        this.appendDiffItems(container, items);
+    }
+
+    // Skipped NDJSON lines, duplicate keys and non-finite numbers met while
+    // reading the inputs, and the batch pairs that could not be compared at all
+    displayInputIssues(inputWarnings, failed = []) {
+        const container = document.getElementById('input-issues');
+        if (!container) return;
+        
+        const limit = 100;
+        const sections = [['JSON 1', inputWarnings.left], ['JSON 2', inputWarnings.right]]
+            .filter(([, warnings]) => warnings && warnings.length > 0)
+            .map(([label, warnings]) => {
+                const skipped = warnings.filter(warning => warning.skipped).length;
+                const heading = skipped > 0
+                    ? `${label}: ${skipped} malformed line${skipped === 1 ? '' : 's'} skipped, ${warnings.length} issue${warnings.length === 1 ? '' : 's'} in total`
+                    : `${label}: ${warnings.length} issue${warnings.length === 1 ? '' : 's'}`;
+                const lines = warnings.slice(0, limit).map(warning => `  ${this.formatParseWarning(warning)}`);
+                if (warnings.length > limit) lines.push(`  … and ${warnings.length - limit} more`);
+                return [heading, ...lines].join('\n');
+            });
+        if (failed.length > 0) {
+            sections.unshift([
+                `${failed.length} file pair${failed.length === 1 ? '' : 's'} could not be compared`,
+                ...failed.map(entry => `  ${entry.file}: ${entry.error}`)
+            ].join('\n'));
+        }
+        
+        container.textContent = sections.join('\n\n');
+        container.hidden = sections.length === 0;
+    }
+
+    // Every value a masking rule replaced, so nothing is left out silently
+    displayMaskedValues(masked) {
+        const container = document.getElementById('masked-values');
+        if (!container) return;
+        if (!masked || masked.length === 0) {
+            container.hidden = true;
+            return;
+        }
+        
+        const limit = 100;
+        const lines = [`Masked values at ${masked.length} path${masked.length === 1 ? '' : 's'}:`];
+        masked.slice(0, limit).forEach(entry => lines.push(`  ${this.formatMaskedValue(entry)}`));
+        if (masked.length > limit) lines.push(`  … and ${masked.length - limit} more`);
+        container.textContent = lines.join('\n');
+        container.hidden = false;
+    }
+    
+    formatMaskedValue(entry) {
+        const sides = entry.sides.length === 2 ? 'both' : entry.sides[0] === 'left' ? 'JSON 1' : 'JSON 2';
+        return `${entry.pointer || '(root)'} (${entry.rules.join(', ')}; ${sides})`;
+    }
+    
+    // Shape changes between the inferred schemas; the tab only shows when the
+    // comparison ran with schema diffing on
+    displaySchemaDiff(schemaDiff) {
+        const tab = document.querySelector('.results-tab[data-tab="schema"]');
+        if (tab) tab.hidden = !schemaDiff;
+        if (!schemaDiff) {
+            if (tab?.classList.contains('active')) this.switchResultsTab('differences');
+            return;
+        }
+        
+        const { changes, summary } = schemaDiff;
+        document.getElementById('schema-summary').innerHTML = `
+            <span class="schema-kind schema-kind--breaking">${summary.breaking} breaking</span>
+            <span class="schema-kind schema-kind--additive">${summary.additive} additive</span>
+        `;
+        
+        const list = document.getElementById('schema-changes');
+        list.innerHTML = changes.length === 0
+            ? '<p>Both documents have the same shape.</p>'
+            : `
+                <table class="nway-table">
+                    <thead><tr><th>Path</th><th>Change</th><th>Kind</th><th>JSON 1</th><th>JSON 2</th></tr></thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td><code>${this.escapeHtml(change.path)}</code></td>
+                                <td>${this.escapeHtml(change.change)}</td>
+                                <td><span class="schema-kind schema-kind--${change.kind}">${change.kind}</span></td>
+                                <td>${this.escapeHtml(change.before || '')}</td>
+                                <td>${this.escapeHtml(change.after || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        
+        document.getElementById('schema-left').textContent = JSON.stringify(schemaDiff.left, null, 2);
+        document.getElementById('schema-right').textContent = JSON.stringify(schemaDiff.right, null, 2);
+    }
+
+    // Violations of the validation schema in each input; the tab only shows
+    // when the comparison ran with a schema
+    displayValidation(validation) {
+        const tab = document.querySelector('.results-tab[data-tab="validation"]');
+        if (tab) tab.hidden = !validation;
+        if (!validation) {
+            if (tab?.classList.contains('active')) this.switchResultsTab('differences');
+            return;
+        }
+        
+        document.getElementById('validation-left').innerHTML = this.renderSchemaValidation('JSON 1', validation.left);
+        document.getElementById('validation-right').innerHTML = this.renderSchemaValidation('JSON 2', validation.right);
+    }
+    
+    renderSchemaValidation(label, result, limit = 200) {
+        const count = result.errors.length;
+        const verdict = result.valid
+            ? `<div class="schema-verdict schema-verdict--valid">✓ ${this.escapeHtml(label)} is valid</div>`
+            : `<div class="schema-verdict schema-verdict--invalid">✗ ${this.escapeHtml(label)}: ${count} violation${count === 1 ? '' : 's'}</div>`;
+        if (result.valid) return verdict;
+        
+        return `
+            ${verdict}
+            <table class="nway-table">
+                <thead><tr><th>Pointer</th><th>Violation</th><th>Schema keyword</th></tr></thead>
+                <tbody>
+                    ${result.errors.slice(0, limit).map(error => `
+                        <tr>
+                            <td><code>${this.escapeHtml(this.formatInstancePath(error))}</code></td>
+                            <td>${this.escapeHtml(error.message)}</td>
+                            <td><code>${this.escapeHtml(error.schemaPath)}</code></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${count > limit ? `<p class="nway-hint">… and ${count - limit} more</p>` : ''}
+        `;
+    }
+    
+    formatInstancePath(error) {
+        return error.instancePath || '(root)';
     }
 
     displaySummary(summary) {
@@ -1099,8 +1550,19 @@ class JSONComparator {
             { label: 'Added', value: summary.added || 0, color: 'var(--diff-added)' },
             { label: 'Deleted', value: summary.deleted || 0, color: 'var(--diff-deleted)' },
             { label: 'Modified', value: summary.modified || 0, color: 'var(--diff-modified)' },
+            { label: 'Moved', value: summary.moved || 0, color: 'var(--diff-moved)' },
             { label: 'Equal', value: summary.equal || 0, color: 'var(--diff-equal)' }
         ];
+        if (summary.failed) {
+            stats.push({ label: 'Failed Files', value: summary.failed, color: 'var(--color-error)' });
+        }
+        if (summary.severity) {
+            stats.push(
+                { label: 'Breaking', value: summary.severity.breaking, color: 'var(--color-error)' },
+                { label: 'Warning', value: summary.severity.warning, color: 'var(--color-warning)' },
+                { label: 'Info', value: summary.severity.info, color: 'var(--color-info)' }
+            );
+        }
         
         container.innerHTML = stats.map(stat => `
             <div class="stat-item">
@@ -1135,6 +1597,148 @@ class JSONComparator {
         // Clear existing content
         content1.innerHTML = '';
         content2.innerHTML = '';
+        
+        // Display matched pairs
+        if (matched) {
+            matched.forEach(pair => {
+                const json1Formatted = this.json.stringify(pair.json1, 2);
+                const json2Formatted = this.json.stringify(pair.json2, 2);
+                
+                content1.innerHTML += `<div class="match-pair">ID: ${pair.id}<pre>${json1Formatted}</pre></div>`;
+                content2.innerHTML += `<div class="match-pair">ID: ${pair.id}<pre>${json2Formatted}</pre></div>`;
+            });
+        }
+        
+        // Display items only in first JSON
+        if (onlyInFirst) {
+            onlyInFirst.forEach(item => {
+                const formatted = this.json.stringify(item.data, 2);
+                content1.innerHTML += `<div class="unique-item" style="background: var(--diff-deleted-bg); border-left: 4px solid var(--diff-deleted); padding: 8px;">Only in JSON 1<br>ID: ${item.id}<pre>${formatted}</pre></div>`;
+                content2.innerHTML += `<div class="unique-item" style="color: #999; padding: 8px;">---</div>`;
+            });
+        }
+        
+        // Display items only in second JSON
+        if (onlyInSecond) {
+            onlyInSecond.forEach(item => {
+                const formatted = this.json.stringify(item.data, 2);
+                content1.innerHTML += `<div class="unique-item" style="color: #999; padding: 8px;">---</div>`;
+                content2.innerHTML += `<div class="unique-item" style="background: var(--diff-added-bg); border-left: 4px solid var(--diff-added); padding: 8px;">Only in JSON 2<br>ID: ${item.id}<pre>${formatted}</pre></div>`;
+            });
+        }
+    }
+    
+    // Accepted differences - Reviewed differences that are expected. They are
+    // kept in this.acceptedEntries, saved and loaded as a JSON file and
+    // re-applied to every comparison.
+    applyAcceptedDifferences(comparison) {
+        if (this.acceptedEntries.length === 0) {
+            comparison.differences.forEach(diff => delete diff.accepted);
+            comparison.acceptance = undefined;
+            return;
+        }
+        comparison.acceptance = new AcceptedDifferences().apply(comparison.differences, this.acceptedEntries);
+    }
+    
+    getAcceptOptions() {
+        return {
+            reason: document.getElementById('accept-reason')?.value?.trim() || '',
+            expires: document.getElementById('accept-expires')?.value || ''
+        };
+    }
+    
+    toggleAccepted(diff) {
+        const accepted = new AcceptedDifferences();
+        if (diff.accepted) {
+            this.acceptedEntries = accepted.remove(this.acceptedEntries, diff);
+        } else {
+            this.acceptedEntries.push(accepted.entryFor(diff, this.getAcceptOptions()));
+        }
+        this.refreshAcceptedDifferences();
+    }
+    
+    acceptShownDifferences() {
+        const pending = this.filteredDiffs.filter(diff => !diff.accepted);
+        if (pending.length === 0) {
+            alert('No unaccepted differences to accept');
+            return;
+        }
+        const accepted = new AcceptedDifferences();
+        const options = this.getAcceptOptions();
+        pending.forEach(diff => this.acceptedEntries.push(accepted.entryFor(diff, options)));
+        this.refreshAcceptedDifferences();
+    }
+    
+    // Re-applies the entries and redraws the list with the current filter
+    refreshAcceptedDifferences() {
+        if (!this.lastComparison) {
+            this.displayAcceptedStatus();
+            return;
+        }
+        this.applyAcceptedDifferences(this.lastComparison);
+        this.displayAcceptedStatus();
+        this.filteredDiffs = this.acceptedLast(this.filteredDiffs);
+        this.currentDiffIndex = 0;
+        this.updateDiffNavigation();
+        this.refreshDiffDisplay();
+    }
+    
+    loadAcceptedDifferences(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.acceptedEntries = new AcceptedDifferences().parse(e.target.result);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            this.refreshAcceptedDifferences();
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+    
+    saveAcceptedDifferences() {
+        if (this.acceptedEntries.length === 0) {
+            alert('No accepted differences to save');
+            return;
+        }
+        const content = new AcceptedDifferences().serialize(this.acceptedEntries);
+        this.downloadFile(content, `accepted-differences-${this.getTimestamp()}.json`, 'application/json');
+    }
+    
+    clearAcceptedDifferences() {
+        this.acceptedEntries = [];
+        this.refreshAcceptedDifferences();
+    }
+    
+    // How many entries are loaded, how many differences they accept and which
+    // entries matched nothing
+    displayAcceptedStatus() {
+        const container = document.getElementById('accepted-status');
+        if (!container) return;
+        
+        const acceptance = this.lastComparison?.acceptance;
+        if (this.acceptedEntries.length === 0) {
+            container.hidden = true;
+            return;
+        }
+        if (!acceptance) {
+            container.textContent = `${this.acceptedEntries.length} accepted difference${this.acceptedEntries.length === 1 ? '' : 's'} loaded`;
+            container.hidden = false;
+            return;
+        }
+        
+        const { entries, accepted, stale } = acceptance;
+        const lines = [`${entries} accepted entr${entries === 1 ? 'y' : 'ies'}: ${accepted} difference${accepted === 1 ? '' : 's'} accepted, ${stale.length} stale`];
+        stale.forEach(({ entry, reason }) => {
+            lines.push(`  ${this.formatDiffPath(entry)} (${entry.type}): ${reason}`);
+        });
+        container.textContent = lines.join('\n');
+        container.hidden = false;
     }
     
     // Diff Navigation and Filtering
@@ -1156,11 +1760,11 @@ class JSONComparator {
         });
         document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
         
-        // Filter differences
+        // Filter differences by change type or severity
         if (filter === 'all') {
-            this.filteredDiffs = this.lastComparison.differences;
+            this.filteredDiffs = this.acceptedLast(this.lastComparison.differences);
         } else {
-            this.filteredDiffs = this.lastComparison.differences.filter(diff => diff.type === filter);
+            this.filteredDiffs = this.acceptedLast(this.lastComparison.differences.filter(diff => diff.type === filter || diff.severity === filter));
         }
         
         this.currentDiffIndex = 0;
@@ -1170,14 +1774,14 @@ class JSONComparator {
     
     searchDiffs(query) {
         if (!query.trim()) {
-            this.filteredDiffs = this.lastComparison.differences;
+            this.filteredDiffs = this.acceptedLast(this.lastComparison.differences);
         } else {
             const lowercaseQuery = query.toLowerCase();
-            this.filteredDiffs = this.lastComparison.differences.filter(diff => {
-                const path = (diff.path || '').toLowerCase();
-                const value = JSON.stringify(diff.value || diff.newValue || diff.oldValue || '').toLowerCase();
+            this.filteredDiffs = this.acceptedLast(this.lastComparison.differences.filter(diff => {
+                const path = `${diff.path || ''} ${diff.fromPath || ''}`.toLowerCase();
+                const value = this.json.stringify(diff.value || diff.newValue || diff.oldValue || '').toLowerCase();
                 return path.includes(lowercaseQuery) || value.includes(lowercaseQuery);
-            });
+            }));
         }
         
         this.currentDiffIndex = 0;
@@ -1203,6 +1807,8 @@ class JSONComparator {
         // Highlight current diff
         const diffItems = document.querySelectorAll('.diff-item');
         if (diffItems[index]) {
+            const bucket = diffItems[index].closest('.accepted-bucket');
+            if (bucket) bucket.open = true;
             diffItems[index].classList.add('highlighted');
             diffItems[index].scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
@@ -1219,10 +1825,27 @@ class JSONComparator {
             return;
         }
         
-        this.filteredDiffs.forEach((diff, index) => {
-            const item = this.createDiffElement(diff, index);
-            container.appendChild(item);
-        });
+        this.appendDiffItems(container, this.filteredDiffs.map((diff, index) => ({ diff, item: this.createDiffElement(diff, index) })));
+    }
+    
+    // Accepted differences come last, collapsed into their own bucket, so the
+    // list keeps the order of filteredDiffs
+    appendDiffItems(container, items) {
+        const accepted = items.filter(({ diff }) => diff.accepted);
+        items.filter(({ diff }) => !diff.accepted).forEach(({ item }) => container.appendChild(item));
+        if (accepted.length === 0) return;
+        
+        const bucket = document.createElement('details');
+        bucket.className = 'accepted-bucket';
+        const summary = document.createElement('summary');
+        summary.textContent = `Accepted (${accepted.length})`;
+        bucket.appendChild(summary);
+        accepted.forEach(({ item }) => bucket.appendChild(item));
+        container.appendChild(bucket);
+    }
+    
+    acceptedLast(differences) {
+        return [...differences.filter(diff => !diff.accepted), ...differences.filter(diff => diff.accepted)];
     }
     
     createDiffElement(diff, index) {
@@ -1232,7 +1855,8 @@ class JSONComparator {
         
         const path = document.createElement('div');
         path.className = 'diff-path';
-        path.textContent = diff.path;
+        path.textContent = this.formatDiffPath(diff);
+        this.appendSeverity(path, diff);
         
         const value = document.createElement('div');
         value.className = 'diff-value';
@@ -1247,6 +1871,9 @@ class JSONComparator {
             case 'modified':
                 value.innerHTML = `<span class="diff-old">- ${this.formatValue(diff.oldValue)}</span><br><span class="diff-new">+ ${this.formatValue(diff.newValue)}</span>`;
                 break;
+            case 'moved':
+                value.innerHTML = this.formatMovedValue(diff);
+                break;
             case 'equal':
                 value.innerHTML = `<span>${this.formatValue(diff.value)}</span>`;
                 break;
@@ -1254,9 +1881,86 @@ class JSONComparator {
         
         item.appendChild(path);
         item.appendChild(value);
+        this.appendDiffLocation(item, diff);
+        this.appendSchemaViolations(item, diff);
+        this.appendAcceptControl(item, diff);
         return item;
     }
     
+    appendDiffLocation(item, diff) {
+        const text = this.formatDiffLocation(diff);
+        if (!text) return;
+        const location = document.createElement('div');
+        location.className = 'diff-location';
+        location.textContent = text;
+        item.appendChild(location);
+    }
+    
+    appendSeverity(path, diff) {
+        if (!diff.severity) return;
+        const badge = document.createElement('span');
+        badge.className = `severity-badge severity-badge--${diff.severity}`;
+        badge.textContent = diff.severityLabel ? `${diff.severity} · ${diff.severityLabel}` : diff.severity;
+        path.appendChild(badge);
+    }
+    
+    // Flags a difference whose value breaks the validation schema on either side
+    appendSchemaViolations(item, diff) {
+        if (!diff.violations) return;
+        const limit = 5;
+        const lines = [['JSON 1', diff.violations.left], ['JSON 2', diff.violations.right]]
+            .filter(([, errors]) => errors)
+            .flatMap(([label, errors]) => errors.map(error => `${label} ${this.formatInstancePath(error)}: ${error.message}`));
+        if (lines.length > limit) lines.splice(limit, lines.length - limit, `… and ${lines.length - limit} more`);
+        
+        const violations = document.createElement('div');
+        violations.className = 'diff-violations';
+        violations.textContent = `✗ Schema violation\n${lines.join('\n')}`;
+        item.classList.add('diff-item--invalid');
+        item.appendChild(violations);
+    }
+    
+    // Accept button, or the reason and expiry of an accepted difference with
+    // a button to take it back
+    appendAcceptControl(item, diff) {
+        const control = document.createElement('div');
+        control.className = 'diff-accept';
+        if (diff.accepted) {
+            const note = document.createElement('span');
+            const details = [diff.accepted.reason, diff.accepted.expires && `until ${diff.accepted.expires}`].filter(Boolean);
+            note.textContent = `✓ Accepted${details.length > 0 ? `: ${details.join(', ')}` : ''}`;
+            control.appendChild(note);
+        }
+        const button = document.createElement('button');
+        button.className = 'btn btn--outline btn--sm';
+        button.textContent = diff.accepted ? 'Unaccept' : 'Accept';
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleAccepted(diff);
+        });
+        control.appendChild(button);
+        item.appendChild(control);
+    }
+    
+    // "JSON 1 line 12:7 · JSON 2 line 14:7" for the inputs the difference appears in
+    formatDiffLocation(diff) {
+        const parts = [];
+        if (diff.leftLocation) parts.push(`JSON 1 line ${diff.leftLocation.line}:${diff.leftLocation.column}`);
+        if (diff.rightLocation) parts.push(`JSON 2 line ${diff.rightLocation.line}:${diff.rightLocation.column}`);
+        return parts.join(' · ');
+    }
+    
+    formatDiffPath(diff) {
+        const path = diff.type === 'moved' ? `${diff.fromPath} → ${diff.path}` : diff.path;
+        return diff.file ? `${diff.file}: ${path}` : path;
+    }
+    
+    formatMovedValue(diff) {
+        const label = diff.renamed ? 'Renamed' : 'Moved';
+        const similarity = diff.similarity !== undefined ? ` (${Math.round(diff.similarity * 100)}% similar)` : '';
+        return `<span class="diff-moved">${label}${similarity}: ${this.escapeHtml(this.formatValue(diff.newValue))}</span>`;
+    }
+    
     selectDiff(index) {
         this.currentDiffIndex = index;
         this.highlightDiff(index);
@@ -1270,6 +1974,16 @@ class JSONComparator {
         const stats = [
             { label: 'Comparison Duration', value: `${timing.duration || 0}ms` },
             { label: 'Objects Compared', value: timing.objectsCompared || 0 },
+            { label: 'Parsing', value: `${timing.parsing || 0}ms` },
+            { label: 'Record Extraction', value: `${timing.extraction || 0}ms` },
+            { label: 'Subtree Hashing', value: `${timing.hashing || 0}ms` },
+            { label: 'Diffing', value: `${timing.diffing || 0}ms` },
+            { label: 'Identical Subtrees Skipped', value: timing.identicalSubtrees || 0 },
+            ...(timing.approximateAlignments ? [{ label: 'Arrays Aligned Approximately', value: timing.approximateAlignments }] : []),
+            ...(timing.schema !== undefined ? [{ label: 'Schema Inference & Diff', value: `${timing.schema}ms` }] : []),
+            ...(timing.transform !== undefined ? [{ label: 'Transforms', value: `${timing.transform}ms` }] : []),
+            ...(timing.masking !== undefined ? [{ label: 'Value Masking', value: `${timing.masking}ms` }] : []),
+            ...(timing.canonicalization !== undefined ? [{ label: 'Canonicalization', value: `${timing.canonicalization}ms` }] : []),
             { label: 'Match Percentage', value: this.calculateMatchPercentage(comparison.summary) + '%' },
             { label: 'Accuracy Score', value: this.calculateAccuracyScore(comparison.summary) },
             { label: 'Data Integrity', value: this.calculateDataIntegrity(comparison.summary) },
@@ -1285,7 +1999,7 @@ class JSONComparator {
     }
     
     calculateMatchPercentage(summary) {
-        const total = summary.added + summary.deleted + summary.modified + summary.equal;
+        const total = summary.added + summary.deleted + summary.modified + (summary.moved || 0) + summary.equal;
         return total > 0 ? Math.round((summary.equal / total) * 100) : 0;
     }
     
@@ -1297,7 +2011,10 @@ class JSONComparator {
     }
     
     calculateDataIntegrity(summary) {
-        const criticalChanges = summary.deleted + (summary.modified * 0.7);
+        // Graded differences say what matters better than their change types
+        const criticalChanges = summary.severity
+            ? summary.severity.breaking + (summary.severity.warning * 0.3)
+            : summary.deleted + (summary.modified * 0.7);
         if (criticalChanges === 0) return 'Perfect';
         if (criticalChanges < 5) return 'High';
         if (criticalChanges < 20) return 'Medium';
@@ -1305,13 +2022,31 @@ class JSONComparator {
     }
     
     calculateChangeDensity(summary) {
-        const totalChanges = summary.added + summary.deleted + summary.modified;
+        const totalChanges = summary.added + summary.deleted + summary.modified + (summary.moved || 0);
         const totalItems = totalChanges + summary.equal;
         if (totalItems === 0) return 'N/A';
         const density = (totalChanges / totalItems) * 100;
         return Math.round(density) + '%';
     }
     
+    validatePathFilters(inputId) {
+        const input = document.getElementById(inputId);
+        const validation = document.getElementById(`${inputId}-validation`);
+        if (!input || !validation) return;
+        
+        const errors = [];
+        input.value.split('\n').filter(line => line.trim()).forEach(line => {
+            try {
+                new JSONPath(line);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        });
+        
+        validation.textContent = errors.length > 0 ? `✗ ${errors.join('; ')}` : '';
+        validation.className = errors.length > 0 ? 'validation-status invalid' : 'validation-status';
+    }
+    
     // Path Examples Helper
     showPathExamples() {
         const examples = [
@@ -1325,42 +2060,12 @@ class JSONComparator {
         
         alert('Common JSONPath Examples:\n\n' + examples.join('\n'));
     }
-        
-        // Display matched pairs
-        if (matched) {
-            matched.forEach(pair => {
-                const json1Formatted = JSON.stringify(pair.json1, null, 2);
-                const json2Formatted = JSON.stringify(pair.json2, null, 2);
-                
-                content1.innerHTML += `<div class="match-pair">ID: ${pair.id}<pre>${json1Formatted}</pre></div>`;
-                content2.innerHTML += `<div class="match-pair">ID: ${pair.id}<pre>${json2Formatted}</pre></div>`;
-            });
-        }
-        
-        // Display items only in first JSON
-        if (onlyInFirst) {
-            onlyInFirst.forEach(item => {
-                const formatted = JSON.stringify(item.data, null, 2);
-                content1.innerHTML += `<div class="unique-item" style="background: var(--diff-deleted-bg); border-left: 4px solid var(--diff-deleted); padding: 8px;">Only in JSON 1<br>ID: ${item.id}<pre>${formatted}</pre></div>`;
-                content2.innerHTML += `<div class="unique-item" style="color: #999; padding: 8px;">---</div>`;
-            });
-        }
-        
-        // Display items only in second JSON
-        if (onlyInSecond) {
-            onlyInSecond.forEach(item => {
-                const formatted = JSON.stringify(item.data, null, 2);
-                content1.innerHTML += `<div class="unique-item" style="color: #999; padding: 8px;">---</div>`;
-                content2.innerHTML += `<div class="unique-item" style="background: var(--diff-added-bg); border-left: 4px solid var(--diff-added); padding: 8px;">Only in JSON 2<br>ID: ${item.id}<pre>${formatted}</pre></div>`;
-            });
-        }
-    }
 
     formatValue(value) {
         if (typeof value === 'string') {
             return `"${value}"`;
         } else if (typeof value === 'object' && value !== null) {
-            return JSON.stringify(value);
+            return this.json.stringify(value);
         }
         return String(value);
     }
@@ -1382,8 +2087,8 @@ class JSONComparator {
         }
     }
     generateLineByLineData(comparison) {
-        const json1Lines = JSON.stringify(comparison.originalData.json1, null, 2).split('\n');
-        const json2Lines = JSON.stringify(comparison.originalData.json2, null, 2).split('\n');
+        const json1Lines = this.json.stringify(comparison.originalData.json1, 2).split('\n');
+        const json2Lines = this.json.stringify(comparison.originalData.json2, 2).split('\n');
         
         // Create unified diff-like structure
         this.lineByLineData = {
@@ -1486,7 +2191,7 @@ class JSONComparator {
         let content, filename, mimeType;
         
         if (format === 'json') {
-            content = JSON.stringify(this.lastComparison, null, 2);
+            content = this.json.stringify(this.lastComparison, 2);
             filename = 'json-comparison-results.json';
             mimeType = 'application/json';
         } else if (format === 'html') {
@@ -1506,6 +2211,439 @@ class JSONComparator {
         URL.revokeObjectURL(url);
     }
 
+    // Three-Way Merge
+    toggleMergeMode() {
+        const basePanel = document.getElementById('merge-base-panel');
+        if (!basePanel) return;
+        
+        const show = basePanel.style.display === 'none';
+        basePanel.style.display = show ? 'block' : 'none';
+        if (!show) {
+            document.getElementById('merge-panel').style.display = 'none';
+        }
+    }
+    
+    performMerge() {
+        const inputs = { base: 'Base', 1: 'JSON 1', 2: 'JSON 2' };
+        const documents = {};
+        
+        for (const [inputNumber, label] of Object.entries(inputs)) {
+            const text = document.getElementById(`json-input-${inputNumber}`)?.value || '';
+            if (!text.trim()) {
+                alert(`Please provide ${label} input`);
+                return;
+            }
+            try {
+                documents[inputNumber] = this.parseJSON(text, inputNumber);
+            } catch (e) {
+                alert(`${label} is not valid JSON: ${e.message}`);
+                return;
+            }
+        }
+        
+        const arrayKeys = document.getElementById('array-keys')?.value?.trim() || '';
+        try {
+            this.mergeState = {
+                base: documents.base,
+                left: documents[1],
+                right: documents[2],
+                resolutions: {},
+                options: {
+                    arrayMatching: document.getElementById('array-matching')?.value || 'id',
+                    arrayKeys: arrayKeys ? new JSONPathExtractor().parseArrayKeys(arrayKeys.split('\n').filter(p => p.trim())) : {}
+                }
+            };
+            this.runMerge();
+        } catch (error) {
+            console.error('Merge failed:', error);
+            alert('Merge failed: ' + error.message);
+        }
+    }
+    
+    runMerge() {
+        const { base, left, right, resolutions, options } = this.mergeState;
+        this.lastMerge = new JSONMerger(options).merge(base, left, right, resolutions);
+        this.displayMergeResults(this.lastMerge);
+    }
+    
+    displayMergeResults(result) {
+        const panel = document.getElementById('merge-panel');
+        if (!panel) return;
+        panel.style.display = 'block';
+        
+        const summary = document.getElementById('merge-summary');
+        summary.textContent = `${result.applied.length} changes applied, ${result.conflicts.length} conflicts` +
+            (result.unresolved ? ` (${result.unresolved} unresolved)` : '');
+        document.getElementById('download-merged').disabled = result.unresolved > 0;
+        
+        const conflicts = document.getElementById('merge-conflicts');
+        conflicts.innerHTML = '';
+        if (result.conflicts.length === 0) {
+            conflicts.innerHTML = '<p>No conflicts, both sides merged cleanly.</p>';
+        }
+        result.conflicts.forEach(conflict => conflicts.appendChild(this.createConflictElement(conflict)));
+        
+        const sideLabels = { left: 'JSON 1', right: 'JSON 2', both: 'Both' };
+        const applied = document.getElementById('merge-applied');
+        applied.innerHTML = result.applied.length === 0
+            ? '<p>Neither side changed anything.</p>'
+            : result.applied.map(change => `
+                <div class="merge-applied-item diff-item--${change.type}">
+                    <strong>${sideLabels[change.side]}</strong> ${change.type} <code>${this.escapeHtml(change.path)}</code>
+                </div>
+            `).join('');
+    }
+    
+    createConflictElement(conflict) {
+        const item = document.createElement('div');
+        item.className = `merge-conflict${conflict.resolution ? ' resolved' : ''}`;
+        const show = value => (value === undefined ? '(absent)' : this.json.stringify(value, 2));
+        const choiceLabels = { left: 'JSON 1', right: 'JSON 2', edit: 'edited value' };
+        
+        item.innerHTML = `
+            <div class="diff-path">${this.escapeHtml(conflict.path)}${conflict.resolution ? ` → ${choiceLabels[conflict.resolution]}` : ''}</div>
+            <div class="merge-sides">
+                <div><strong>Base</strong><pre>${this.escapeHtml(show(conflict.base))}</pre></div>
+                <div><strong>JSON 1</strong><pre>${this.escapeHtml(show(conflict.left))}</pre></div>
+                <div><strong>JSON 2</strong><pre>${this.escapeHtml(show(conflict.right))}</pre></div>
+            </div>
+            <div class="merge-conflict-actions">
+                <button class="btn btn--sm btn--outline" data-choice="left">Use JSON 1</button>
+                <button class="btn btn--sm btn--outline" data-choice="right">Use JSON 2</button>
+                <button class="btn btn--sm btn--outline" data-choice="edit">Edit</button>
+            </div>
+        `;
+        
+        const actions = item.querySelector('.merge-conflict-actions');
+        actions.querySelector('[data-choice="left"]').addEventListener('click', () => this.resolveConflict(conflict.path, 'left'));
+        actions.querySelector('[data-choice="right"]').addEventListener('click', () => this.resolveConflict(conflict.path, 'right'));
+        actions.querySelector('[data-choice="edit"]').addEventListener('click', () => {
+            if (actions.querySelector('textarea')) return;
+            const editor = document.createElement('textarea');
+            editor.className = 'form-control';
+            editor.value = this.json.stringify(conflict.left !== undefined ? conflict.left : conflict.right, 2);
+            const apply = document.createElement('button');
+            apply.className = 'btn btn--sm btn--primary';
+            apply.textContent = 'Apply Edit';
+            apply.addEventListener('click', () => {
+                try {
+                    this.resolveConflict(conflict.path, 'edit', this.parseJSON(editor.value));
+                } catch (e) {
+                    alert('The edited value is not valid JSON: ' + e.message);
+                }
+            });
+            actions.appendChild(editor);
+            actions.appendChild(apply);
+        });
+        
+        return item;
+    }
+    
+    resolveConflict(path, choice, value) {
+        this.mergeState.resolutions[path] = { choice, value };
+        this.runMerge();
+    }
+    
+    downloadMerged() {
+        if (!this.lastMerge) return;
+        if (this.lastMerge.unresolved > 0) {
+            alert(`Resolve the remaining ${this.lastMerge.unresolved} conflicts before downloading`);
+            return;
+        }
+        this.downloadFile(this.json.stringify(this.lastMerge.merged, 2), `merged-${this.getTimestamp()}.json`, 'application/json');
+    }
+
+    // Baseline Comparison
+    toggleBaselineMode() {
+        const panel = document.getElementById('nway-panel');
+        if (!panel) return;
+        
+        const show = panel.style.display === 'none';
+        panel.style.display = show ? 'block' : 'none';
+        if (!show) {
+            document.getElementById('nway-results').style.display = 'none';
+        } else if (!panel.querySelector('.nway-candidate')) {
+            // Start from the JSON 2 document so the first candidate is ready to go
+            this.addCandidate(document.getElementById('json-input-2')?.value || '', this.getInputFormat(2));
+        }
+    }
+    
+    addCandidate(text = '', format = 'auto') {
+        const container = document.getElementById('nway-candidates');
+        if (!container) return;
+        
+        this.candidateCount = (this.candidateCount || 0) + 1;
+        const candidate = document.createElement('div');
+        candidate.className = 'json-panel nway-candidate';
+        candidate.innerHTML = `
+            <div class="panel-header">
+                <input type="text" class="form-control nway-label" value="Candidate ${this.candidateCount}" title="Candidate name">
+                <div class="panel-controls">
+                    <select class="form-control input-format nway-format" title="Input format">
+                        ${document.getElementById('input-format-1')?.innerHTML || '<option value="auto">Auto</option>'}
+                    </select>
+                    <button class="btn btn--sm btn--outline nway-remove">Remove</button>
+                </div>
+            </div>
+            <textarea class="json-input nway-input" placeholder="Paste a document to compare against the baseline..."></textarea>
+        `;
+        candidate.querySelector('.nway-input').value = text;
+        candidate.querySelector('.nway-format').value = format;
+        candidate.querySelector('.nway-remove').addEventListener('click', () => candidate.remove());
+        container.appendChild(candidate);
+    }
+    
+    performBaselineComparison() {
+        const baselineText = document.getElementById('json-input-1')?.value || '';
+        if (!baselineText.trim()) {
+            alert('Please provide the baseline in JSON 1');
+            return;
+        }
+        
+        const candidates = [...document.querySelectorAll('#nway-candidates .nway-candidate')].map((element, index) => ({
+            label: element.querySelector('.nway-label').value.trim() || `Candidate ${index + 1}`,
+            text: element.querySelector('.nway-input').value,
+            format: element.querySelector('.nway-format').value
+        }));
+        if (candidates.length === 0) {
+            alert('Add at least one candidate to compare against the baseline');
+            return;
+        }
+        const empty = candidates.find(candidate => !candidate.text.trim());
+        if (empty) {
+            alert(`Please provide ${empty.label} input`);
+            return;
+        }
+        
+        let options;
+        try {
+            options = this.getComparisonOptions(this.getMatchingOptions());
+        } catch (error) {
+            alert('Comparison failed: ' + error.message);
+            return;
+        }
+        
+        // Each candidate is a full comparison, so they run in the comparison
+        // worker like single and batch comparisons do
+        this.runInWorker(
+            { baseline: { baselineText, candidates }, options },
+            result => {
+                this.lastBaselineComparison = result;
+                this.displayBaselineResults(result);
+            },
+            () => new BaselineComparison().run(baselineText, candidates, options)
+        );
+    }
+    
+    displayBaselineResults(result) {
+        const panel = document.getElementById('nway-results');
+        if (!panel) return;
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+        
+        const divergent = result.rows.length;
+        document.getElementById('nway-summary').textContent =
+            `${result.labels.length} candidate${result.labels.length === 1 ? '' : 's'}, ${divergent} divergent path${divergent === 1 ? '' : 's'}`;
+        
+        document.getElementById('nway-candidate-stats').innerHTML = result.summary.map(summary => `
+            <div class="stat-item">
+                <div class="stat-number">${summary.totalDifferences || 0}</div>
+                <div class="stat-label">${this.escapeHtml(summary.label)}</div>
+            </div>
+        `).join('');
+        
+        const matrix = document.getElementById('nway-matrix');
+        const values = document.getElementById('nway-values');
+        if (divergent === 0) {
+            matrix.innerHTML = '<p>Every candidate matches the baseline.</p>';
+            values.innerHTML = '';
+            return;
+        }
+        
+        // Large result sets are capped to keep the page responsive
+        const limit = 1000;
+        const rows = result.rows.slice(0, limit);
+        const more = divergent > limit ? `<p class="nway-more">Showing the first ${limit} of ${divergent} paths.</p>` : '';
+        const symbols = { added: '+', deleted: '−', modified: '~', moved: '↷' };
+        const headings = result.labels.map(label => `<th>${this.escapeHtml(label)}</th>`).join('');
+        
+        matrix.innerHTML = `
+            <table class="nway-table">
+                <thead><tr><th>Path</th>${headings}<th>Diverging</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td><code>${this.escapeHtml(row.path)}</code></td>
+                            ${row.cells.map(cell => (cell
+                                ? `<td class="nway-cell nway-cell--${cell.type}" title="${cell.type}">${symbols[cell.type] || cell.type}</td>`
+                                : '<td class="nway-cell nway-cell--same" title="same as baseline">·</td>')).join('')}
+                            <td>${row.divergent} / ${result.labels.length}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${more}
+        `;
+        
+        const show = entry => (entry.present ? this.escapeHtml(this.formatValue(entry.value)) : '<em>(absent)</em>');
+        values.innerHTML = rows.map(row => `
+            <details class="nway-values">
+                <summary><code>${this.escapeHtml(row.path)}</code> differs in ${row.divergent} of ${result.labels.length}</summary>
+                <table class="nway-table">
+                    <tbody>
+                        <tr class="nway-baseline"><th>Baseline</th><td>${show(row.baseline)}</td></tr>
+                        ${row.cells.map((cell, index) => `
+                            <tr class="${cell ? `nway-row--${cell.type}` : ''}">
+                                <th>${this.escapeHtml(result.labels[index])}</th>
+                                <td>${!cell
+                                    ? `${show(row.baseline)} <span class="nway-note">same as baseline</span>`
+                                    : cell.within
+                                        ? `${cell.present ? '' : `${show(cell)} `}<span class="nway-note">${cell.type === 'added' ? 'added' : 'removed'} with ${this.escapeHtml(cell.within)}</span>`
+                                        : `${show(cell)}${cell.fromPath ? ` <span class="nway-note">moved from ${this.escapeHtml(cell.fromPath)}</span>` : ''}`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `).join('') + more;
+    }
+
+    // Batch Comparison
+    toggleBatchMode() {
+        const panel = document.getElementById('batch-panel');
+        if (!panel) return;
+        
+        const show = panel.style.display === 'none';
+        panel.style.display = show ? 'block' : 'none';
+        if (!show) {
+            document.getElementById('batch-results').style.display = 'none';
+        }
+    }
+    
+    // Files picked one by one pair by name; files from a folder by their path
+    // below the chosen folder
+    selectBatchFiles(side, event) {
+        this.batchFiles = this.batchFiles || { 1: [], 2: [] };
+        this.batchFiles[side] = [...event.target.files].map(file => ({
+            file,
+            path: file.webkitRelativePath ? file.webkitRelativePath.split('/').slice(1).join('/') : file.name
+        }));
+        
+        const selection = document.getElementById(`batch-selection-${side}`);
+        const count = this.batchFiles[side].length;
+        if (selection) selection.textContent = count > 0 ? `${count} file${count === 1 ? '' : 's'} selected` : 'No files selected';
+        event.target.value = '';
+    }
+    
+    async performBatchComparison() {
+        const selected = this.batchFiles || { 1: [], 2: [] };
+        if (selected[1].length === 0 || selected[2].length === 0) {
+            alert('Please choose files or a folder for both sides');
+            return;
+        }
+        
+        let options;
+        try {
+            options = this.getComparisonOptions(this.getMatchingOptions());
+        } catch (error) {
+            alert('Comparison failed: ' + error.message);
+            return;
+        }
+        
+        this.showLoading(true);
+        const progress = document.getElementById('loading-progress');
+        if (progress) progress.textContent = `Reading ${selected[1].length + selected[2].length} files...`;
+        
+        try {
+            const read = entries => Promise.all(entries.map(async ({ file, path }) => ({
+                path,
+                text: await file.text(),
+                format: this.formatForFile(file.name) || 'auto'
+            })));
+            const [leftFiles, rightFiles] = await Promise.all([read(selected[1]), read(selected[2])]);
+            this.startBatchComparison(leftFiles, rightFiles, options);
+        } catch (error) {
+            this.showLoading(false);
+            alert('Failed to read files: ' + error.message);
+        }
+    }
+    
+    // The pairs are compared one after another in the comparison worker; the
+    // roll-up is cheap and is built here from the per-file results
+    startBatchComparison(leftFiles, rightFiles, options) {
+        const batch = new BatchComparison();
+        this.runInWorker(
+            { batch: { leftFiles, rightFiles }, options },
+            files => {
+                this.lastBatch = { files, aggregate: batch.aggregate(files, options) };
+                this.displayBatchResults(this.lastBatch);
+            },
+            () => batch.compareFiles(leftFiles, rightFiles, options)
+        );
+    }
+    
+    displayBatchResults(batch) {
+        const panel = document.getElementById('batch-results');
+        if (!panel) return;
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+        
+        const count = status => batch.files.filter(file => file.status === status).length;
+        const paired = batch.files.length - count('only-left') - count('only-right');
+        document.getElementById('batch-summary').textContent =
+            `${paired} pairs: ${count('different')} different, ${count('identical')} identical` +
+            (count('error') ? `, ${count('error')} failed` : '') +
+            `; ${count('only-left')} only on the left, ${count('only-right')} only on the right`;
+        
+        const statusLabels = {
+            different: 'Different',
+            identical: 'Identical',
+            error: 'Failed',
+            'only-left': 'Only in left',
+            'only-right': 'Only in right'
+        };
+        const rollup = document.getElementById('batch-rollup');
+        rollup.innerHTML = `
+            <table class="nway-table batch-table">
+                <thead>
+                    <tr><th>File</th><th>Status</th><th>Added</th><th>Deleted</th><th>Modified</th><th>Moved</th><th>Total</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${batch.files.map((file, index) => {
+                        const summary = file.comparison?.summary;
+                        const cells = summary
+                            ? [summary.added, summary.deleted, summary.modified, summary.moved || 0, summary.totalDifferences]
+                                .map(value => `<td>${value}</td>`).join('')
+                            : `<td colspan="5">${file.error ? this.escapeHtml(file.error) : ''}</td>`;
+                        return `
+                            <tr class="batch-row batch-row--${file.status}">
+                                <td><code>${this.escapeHtml(file.path)}</code></td>
+                                <td>${statusLabels[file.status]}</td>
+                                ${cells}
+                                <td>${file.comparison ? `<button class="btn btn--sm btn--outline" data-batch-index="${index}">View</button>` : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+        rollup.querySelectorAll('[data-batch-index]').forEach(button => {
+            button.addEventListener('click', () => this.handleComparisonResult(batch.files[Number(button.dataset.batchIndex)].comparison));
+        });
+    }
+    
+    // Shows every file's differences together in the results panel
+    viewBatchDifferences() {
+        if (!this.lastBatch) return;
+        this.handleComparisonResult(this.lastBatch.aggregate);
+    }
+    
+    exportBatchReport() {
+        if (!this.lastBatch) return;
+        this.viewBatchDifferences();
+        this.showReportModal();
+    }
+
     // Advanced Report Generation
     showReportModal() {
         if (!this.lastComparison) {
@@ -1545,7 +2683,8 @@ class JSONComparator {
             'html': 2.0,
             'csv': 0.5,
             'json': 1.0,
-            'markdown': 1.2
+            'markdown': 1.2,
+            'json-patch': 0.8
         };
         
         const estimatedSize = (baseSize * multiplier[format] * sections).toFixed(1);
@@ -1564,13 +2703,15 @@ class JSONComparator {
             includeSummary: document.getElementById('include-summary').checked,
             includeDetailed: document.getElementById('include-detailed-diffs').checked,
             includeSideBySide: document.getElementById('include-side-by-side').checked,
-            includeMatched: document.getElementById('include-matched-items').checked
+            includeMatched: document.getElementById('include-matched-items').checked,
+            includePatchTests: document.getElementById('include-patch-tests')?.checked || false
         };
         
         this.showReportProgress(0);
         
         try {
             let content, filename, mimeType;
+            let notice = '';
             
             switch(format) {
                 case 'excel':
@@ -1603,6 +2744,16 @@ class JSONComparator {
                     filename = `${config.title.replace(/[^a-z0-9]/gi, '-')}-${this.getTimestamp()}.md`;
                     mimeType = 'text/markdown';
                     break;
+                case 'json-patch': {
+                    const { patch, verification } = this.generateJSONPatch(config);
+                    content = this.json.stringify(patch, 2);
+                    filename = `${config.title.replace(/[^a-z0-9]/gi, '-')}-${this.getTimestamp()}.patch.json`;
+                    mimeType = 'application/json-patch+json';
+                    notice = verification.valid
+                        ? `\n\nVerified: applying its ${patch.length} operations to JSON 1 yields JSON 2.`
+                        : `\n\nWarning: applying it to JSON 1 does not yield JSON 2 (${verification.message}).`;
+                    break;
+                }
             }
             
             this.showReportProgress(100);
@@ -1610,7 +2761,7 @@ class JSONComparator {
             
             setTimeout(() => {
                 this.hideReportProgress();
-                alert(`Report "${filename}" generated successfully!`);
+                alert(`Report "${filename}" generated successfully!${notice}`);
             }, 500);
             
         } catch (error) {
@@ -1638,6 +2789,13 @@ class JSONComparator {
         return now.toISOString().slice(0, 19).replace(/[^0-9]/g, '');
     }
     
+    // RFC 8785 text of one side as it was compared
+    downloadCanonical(side) {
+        if (!this.lastComparison) return;
+        const document = side === 1 ? this.lastComparison.originalData.json1 : this.lastComparison.originalData.json2;
+        this.downloadFile(new JSONCanonicalizer().serialize(document), `canonical-json${side}-${this.getTimestamp()}.json`, 'application/json');
+    }
+    
     downloadFile(content, filename, mimeType) {
         const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
@@ -1655,7 +2813,7 @@ class JSONComparator {
     async generateExcelReport(config) {
         // Simplified Excel generation (in real implementation, would use SheetJS)
         const data = this.prepareReportData(config);
-        return JSON.stringify(data, null, 2); // Placeholder
+        return this.json.stringify(data, 2); // Placeholder
     }
     
     async generatePDFReport(config) {
@@ -1666,15 +2824,17 @@ class JSONComparator {
     
     generateCSVReport(config) {
         const comparison = this.lastComparison;
-        const rows = [['Path', 'Change Type', 'Old Value', 'New Value', 'Data Type', 'Timestamp']];
+        const rows = [['Path', 'Change Type', 'Severity', 'Accepted', 'Old Value', 'New Value', 'Data Type', 'Timestamp']];
         
         comparison.differences.forEach(diff => {
             rows.push([
-                diff.path || '',
+                this.formatDiffPath(diff) || '',
                 diff.type || '',
+                diff.severity || '',
+                diff.accepted ? (diff.accepted.reason || 'yes').replace(/"/g, '""') : '',
                 this.formatValueForCSV(diff.oldValue || diff.value),
                 this.formatValueForCSV(diff.newValue || diff.value),
-                typeof (diff.newValue || diff.oldValue || diff.value),
+                this.json.isNumber(diff.newValue || diff.oldValue || diff.value) ? 'number' : typeof (diff.newValue || diff.oldValue || diff.value),
                 new Date().toISOString()
             ]);
         });
@@ -1694,10 +2854,31 @@ class JSONComparator {
             differences: this.lastComparison.differences,
             matched: config.includeMatched ? this.lastComparison.matched : undefined,
             onlyInFirst: this.lastComparison.onlyInFirst,
-            onlyInSecond: this.lastComparison.onlyInSecond
+            onlyInSecond: this.lastComparison.onlyInSecond,
+            schemaDiff: this.lastComparison.schemaDiff,
+            validation: this.lastComparison.validation,
+            masked: this.lastComparison.masked,
+            acceptance: this.lastComparison.acceptance,
+            failed: this.lastComparison.failed
         };
         
-        return JSON.stringify(reportData, null, 2);
+        return this.json.stringify(reportData, 2);
+    }
+    
+    // The patch takes the inputs as read to each other, so it is diffed again
+    // from them with arrays aligned by index: transforms, masking,
+    // canonicalization, ignore options and unordered array matching all hide
+    // changes the patch has to carry
+    generateJSONPatch(config) {
+        const { json1, json2 } = this.lastComparison.parsedData || this.lastComparison.originalData;
+        const comparison = new JSONDiffer({ arrayMatching: 'index' })
+            .compare([{ id: 'root', data: json1 }], [{ id: 'root', data: json2 }], { json1, json2 });
+        const patcher = new JSONPatch();
+        const patch = patcher.fromComparison(comparison.differences, json1, json2, {
+            includeTests: config.includePatchTests
+        });
+        
+        return { patch, verification: patcher.verify(json1, json2, patch) };
     }
     
     generateMarkdownReport(config) {
@@ -1713,20 +2894,118 @@ class JSONComparator {
             markdown += `| Added | ${comparison.summary.added} |\n`;
             markdown += `| Deleted | ${comparison.summary.deleted} |\n`;
             markdown += `| Modified | ${comparison.summary.modified} |\n`;
-            markdown += `| Equal | ${comparison.summary.equal} |\n\n`;
+            markdown += `| Moved | ${comparison.summary.moved || 0} |\n`;
+            markdown += `| Equal | ${comparison.summary.equal} |\n`;
+            if (comparison.summary.failed) markdown += `| Failed Files | ${comparison.summary.failed} |\n`;
+            if (comparison.acceptance) markdown += `| Accepted | ${comparison.acceptance.accepted} |\n`;
+            markdown += `\n`;
+            
+            const severity = comparison.summary.severity;
+            if (severity) {
+                markdown += `| Severity | Count |\n`;
+                markdown += `|----------|-------|\n`;
+                markdown += `| Breaking | ${severity.breaking} |\n`;
+                markdown += `| Warning | ${severity.warning} |\n`;
+                markdown += `| Info | ${severity.info} |\n\n`;
+            }
+        }
+        
+        if (comparison.failed && comparison.failed.length > 0) {
+            markdown += `## Failed Files\n\n`;
+            markdown += `| File | Error |\n`;
+            markdown += `|------|-------|\n`;
+            comparison.failed.forEach(entry => {
+                markdown += `| \`${entry.file}\` | ${entry.error} |\n`;
+            });
+            markdown += `\n`;
+        }
+        
+        const transforms = comparison.options?.transforms;
+        if (transforms) {
+            markdown += `## Transforms\n\n`;
+            if (transforms.left) markdown += `**JSON 1:** \`${transforms.left}\`\n\n`;
+            if (transforms.right) markdown += `**JSON 2:** \`${transforms.right}\`\n\n`;
+        }
+        
+        if (comparison.schemaDiff) {
+            const { changes, summary } = comparison.schemaDiff;
+            markdown += `## Schema Changes\n\n`;
+            markdown += `${summary.breaking} breaking, ${summary.additive} additive\n\n`;
+            if (changes.length > 0) {
+                markdown += `| Path | Change | Kind | JSON 1 | JSON 2 |\n`;
+                markdown += `|------|--------|------|--------|--------|\n`;
+                changes.forEach(change => {
+                    markdown += `| \`${change.path}\` | ${change.change} | ${change.kind} | ${change.before || ''} | ${change.after || ''} |\n`;
+                });
+                markdown += `\n`;
+            }
+        }
+        
+        if (comparison.validation) {
+            markdown += `## Schema Validation\n\n`;
+            [['JSON 1', comparison.validation.left], ['JSON 2', comparison.validation.right]].forEach(([label, result]) => {
+                markdown += `**${label}:** ${result.valid ? 'valid' : `${result.errors.length} violation${result.errors.length === 1 ? '' : 's'}`}\n\n`;
+                if (result.valid) return;
+                markdown += `| Pointer | Violation | Schema keyword |\n`;
+                markdown += `|---------|-----------|----------------|\n`;
+                result.errors.forEach(error => {
+                    markdown += `| \`${this.formatInstancePath(error)}\` | ${error.message} | \`${error.schemaPath}\` |\n`;
+                });
+                markdown += `\n`;
+            });
+        }
+        
+        if (comparison.masked && comparison.masked.length > 0) {
+            markdown += `## Masked Values\n\n`;
+            markdown += `| Pointer | Rules | Side |\n`;
+            markdown += `|---------|-------|------|\n`;
+            comparison.masked.forEach(entry => {
+                const sides = entry.sides.length === 2 ? 'both' : entry.sides[0] === 'left' ? 'JSON 1' : 'JSON 2';
+                markdown += `| \`${entry.pointer || '(root)'}\` | ${entry.rules.join(', ')} | ${sides} |\n`;
+            });
+            markdown += `\n`;
+        }
+        
+        if (comparison.acceptance) {
+            const accepted = comparison.differences.filter(diff => diff.accepted);
+            const { stale } = comparison.acceptance;
+            markdown += `## Accepted Differences\n\n`;
+            if (accepted.length > 0) {
+                markdown += `| Path | Type | Reason | Expires |\n`;
+                markdown += `|------|------|--------|---------|\n`;
+                accepted.forEach(diff => {
+                    markdown += `| \`${this.formatDiffPath(diff)}\` | ${diff.type} | ${diff.accepted.reason || ''} | ${diff.accepted.expires || ''} |\n`;
+                });
+                markdown += `\n`;
+            }
+            if (stale.length > 0) {
+                markdown += `### Stale Entries\n\n`;
+                markdown += `| Path | Type | Reason Accepted | Why Stale |\n`;
+                markdown += `|------|------|-----------------|-----------|\n`;
+                stale.forEach(({ entry, reason }) => {
+                    markdown += `| \`${this.formatDiffPath(entry)}\` | ${entry.type} | ${entry.reason || ''} | ${reason} |\n`;
+                });
+                markdown += `\n`;
+            }
         }
         
         if (config.includeDetailed) {
             markdown += `## Detailed Differences\n\n`;
-            comparison.differences.forEach(diff => {
-                markdown += `### ${diff.path}\n\n`;
+            comparison.differences.filter(diff => !diff.accepted).forEach(diff => {
+                markdown += `### ${this.formatDiffPath(diff)}\n\n`;
                 markdown += `**Type:** ${diff.type}\n\n`;
+                if (diff.severity) {
+                    markdown += `**Severity:** ${diff.severity}${diff.severityLabel ? ` (${diff.severityLabel})` : ''}\n\n`;
+                }
                 
-                if (diff.type === 'modified') {
-                    markdown += `**Old Value:**\n\`\`\`json\n${JSON.stringify(diff.oldValue, null, 2)}\n\`\`\`\n\n`;
-                    markdown += `**New Value:**\n\`\`\`json\n${JSON.stringify(diff.newValue, null, 2)}\n\`\`\`\n\n`;
+                if (diff.type === 'moved') {
+                    markdown += `**From:** \`${diff.fromPath}\`  \n**To:** \`${diff.path}\`\n\n`;
+                    markdown += `**Value:**\n\`\`\`json\n${this.json.stringify(diff.newValue, 2)}\n\`\`\`\n\n`;
+                } else if (diff.type === 'modified') {
+                    markdown += `**Old Value:**\n\`\`\`json\n${this.json.stringify(diff.oldValue, 2)}\n\`\`\`\n\n`;
+                    markdown += `**New Value:**\n\`\`\`json\n${this.json.stringify(diff.newValue, 2)}\n\`\`\`\n\n`;
                 } else {
-                    markdown += `**Value:**\n\`\`\`json\n${JSON.stringify(diff.value, null, 2)}\n\`\`\`\n\n`;
+                    markdown += `**Value:**\n\`\`\`json\n${this.json.stringify(diff.value, 2)}\n\`\`\`\n\n`;
                 }
             });
         }
@@ -1736,7 +3015,7 @@ class JSONComparator {
     
     formatValueForCSV(value) {
         if (typeof value === 'object') {
-            return JSON.stringify(value).replace(/"/g, '""');
+            return this.json.stringify(value).replace(/"/g, '""');
         }
         return String(value).replace(/"/g, '""');
     }
@@ -1751,6 +3030,19 @@ class JSONComparator {
     
     generateHTMLReport(config) {
         const comparison = this.lastComparison;
+        const renderDiff = diff => `
+            <div class="diff-item ${diff.type}">
+                <strong>${this.formatDiffPath(diff)}</strong><br>
+                ${diff.type === 'moved' ? this.formatMovedValue(diff) :
+                    diff.type === 'modified' ? 
+                    `<span class="diff-old">- ${this.formatValue(diff.oldValue)}</span><br><span class="diff-new">+ ${this.formatValue(diff.newValue)}</span>` :
+                    `${diff.type === 'added' ? '+' : diff.type === 'deleted' ? '-' : ''} ${this.formatValue(diff.value || diff.newValue || diff.oldValue)}`
+                }
+                ${diff.accepted?.reason ? `<br><em>Accepted: ${this.escapeHtml(diff.accepted.reason)}</em>` : ''}
+            </div>
+        `;
+        const accepted = comparison.differences.filter(diff => diff.accepted);
+        const stale = comparison.acceptance?.stale || [];
         return `
 <!DOCTYPE html>
 <html lang="en">
@@ -1768,6 +3060,7 @@ class JSONComparator {
         .added { background: #f0fdf4; border-color: #22c55e; }
         .deleted { background: #fef2f2; border-color: #ef4444; }
         .modified { background: #fffbeb; border-color: #f59e0b; }
+        .moved { background: #f5f3ff; border-color: #8b5cf6; }
         pre { background: #f8f9fa; padding: 10px; border-radius: 4px; overflow-x: auto; }
         .diff-old { color: #dc2626; text-decoration: line-through; }
         .diff-new { color: #16a34a; }
@@ -1783,19 +3076,37 @@ class JSONComparator {
             <div class="stat added">Added: ${comparison.summary.added}</div>
             <div class="stat deleted">Deleted: ${comparison.summary.deleted}</div>
             <div class="stat modified">Modified: ${comparison.summary.modified}</div>
+            <div class="stat moved">Moved: ${comparison.summary.moved || 0}</div>
             <div class="stat">Equal: ${comparison.summary.equal}</div>
+            ${comparison.summary.failed ? `<div class="stat deleted">Failed files: ${comparison.summary.failed}</div>` : ''}
         </div>
+        ${comparison.failed && comparison.failed.length > 0 ? `
+            <h2>Failed Files</h2>
+            <ul>
+                ${comparison.failed.map(entry => `<li><code>${this.escapeHtml(entry.file)}</code>: ${this.escapeHtml(entry.error)}</li>`).join('')}
+            </ul>
+        ` : ''}
         
         <h2>Differences</h2>
-        ${comparison.differences.map(diff => `
-            <div class="diff-item ${diff.type}">
-                <strong>${diff.path}</strong><br>
-                ${diff.type === 'modified' ? 
-                    `<span class="diff-old">- ${this.formatValue(diff.oldValue)}</span><br><span class="diff-new">+ ${this.formatValue(diff.newValue)}</span>` :
-                    `${diff.type === 'added' ? '+' : diff.type === 'deleted' ? '-' : ''} ${this.formatValue(diff.value || diff.newValue || diff.oldValue)}`
-                }
-            </div>
-        `).join('')}
+        ${comparison.differences.filter(diff => !diff.accepted).map(renderDiff).join('')}
+        ${accepted.length > 0 ? `
+            <details>
+                <summary>Accepted (${accepted.length})</summary>
+                ${accepted.map(renderDiff).join('')}
+            </details>
+        ` : ''}
+        ${comparison.masked && comparison.masked.length > 0 ? `
+            <h2>Masked Values</h2>
+            <ul>
+                ${comparison.masked.map(entry => `<li>${this.escapeHtml(this.formatMaskedValue(entry))}</li>`).join('')}
+            </ul>
+        ` : ''}
+        ${stale.length > 0 ? `
+            <h2>Stale Accepted Entries</h2>
+            <ul>
+                ${stale.map(({ entry, reason }) => `<li>${this.escapeHtml(this.formatDiffPath(entry))} (${entry.type}): ${reason}</li>`).join('')}
+            </ul>
+        ` : ''}
     </div>
 </body>
 </html>
@@ -1844,7 +3155,7 @@ class JSONComparator {
             let responseData;
             
             try {
-                responseData = JSON.parse(responseText);
+                responseData = this.parseJSON(responseText);
             } catch {
                 responseData = responseText;
             }
@@ -1893,8 +3204,39 @@ class JSONComparator {
             <div>Time: ${response.timing}ms</div>
         `;
         
-        body.textContent = typeof response.data === 'string' ? response.data : JSON.stringify(response.data, null, 2);
+        body.textContent = typeof response.data === 'string' ? response.data : this.json.stringify(response.data, 2);
         container.style.display = 'block';
+        this.validateAPIResponse(apiNumber);
+    }
+
+    // Checks a fetched response against the JSON Schema from Advanced Settings.
+    // Fetching validates on its own when there is a schema; the Validate button
+    // asks for one.
+    validateAPIResponse(apiNumber, requested = false) {
+        const container = document.getElementById(`api-${apiNumber}-validation`);
+        const responseData = this.apiResponses[`api${apiNumber}`];
+        const schemaText = this.getValidationSchema();
+        if (!container) return;
+        
+        if (!schemaText) {
+            container.hidden = true;
+            if (requested) alert('Add a JSON Schema under Advanced Settings in the Compare view first');
+            return;
+        }
+        if (responseData === undefined) {
+            container.hidden = true;
+            if (requested) alert('No API response to validate');
+            return;
+        }
+        
+        try {
+            const validator = new JSONSchemaValidator();
+            const result = validator.validate(validator.parseSchema(schemaText), responseData);
+            container.innerHTML = this.renderSchemaValidation(`API ${apiNumber} response`, result);
+        } catch (error) {
+            container.innerHTML = `<div class="schema-verdict schema-verdict--invalid">✗ ${this.escapeHtml(error.message)}</div>`;
+        }
+        container.hidden = false;
     }
 
     updateCompareResponsesButton() {
@@ -1913,7 +3255,7 @@ class JSONComparator {
         this.switchView('compare');
         
         const input = document.getElementById(`json-input-${apiNumber}`);
-        input.value = typeof responseData === 'string' ? responseData : JSON.stringify(responseData, null, 2);
+        input.value = typeof responseData === 'string' ? responseData : this.json.stringify(responseData, 2);
         this.handleJSONInput(apiNumber);
     }
 
@@ -1925,8 +3267,8 @@ class JSONComparator {
         
         this.switchView('compare');
         
-        document.getElementById('json-input-1').value = JSON.stringify(this.apiResponses.api1, null, 2);
-        document.getElementById('json-input-2').value = JSON.stringify(this.apiResponses.api2, null, 2);
+        document.getElementById('json-input-1').value = this.json.stringify(this.apiResponses.api1, 2);
+        document.getElementById('json-input-2').value = this.json.stringify(this.apiResponses.api2, 2);
         
         this.handleJSONInput(1);
         this.handleJSONInput(2);
@@ -1977,285 +3319,6812 @@ class JSONComparator {
     }
 }
 
-// JSON Path Extractor - Handles extracting objects by ID path
+// JSONPath - Parses and evaluates JSONPath expressions such as $.users[*].id,
+// $..id, $.items[0:5:2] or $.products[?(@.category == "electronics")]
+class JSONPathError extends Error {
+    constructor(message, expression, position) {
+        super(position === undefined
+            ? `Invalid JSONPath "${expression}": ${message}`
+            : `Invalid JSONPath "${expression}" at position ${position}: ${message}`);
+        this.name = 'JSONPathError';
+        this.expression = expression;
+        this.position = position;
+    }
+}
 
-class JSONPathExtractor {
-    extractByPath(data, path) {
-        if (!path || path === 'id') {
-            // Simple case: look for id at root level
-            if (Array.isArray(data)) {
-                return data.filter(item => item && typeof item === 'object' && item.id !== undefined)
-                          .map(item => ({ id: item.id, data: item }));
-            } else if (data && typeof data === 'object' && data.id !== undefined) {
-                return [{ id: data.id, data }];
-            }
-            throw new Error('No objects with id field found');
+class JSONPath {
+    constructor(expression) {
+        const trimmed = (expression || '').trim();
+        if (!trimmed) {
+            throw new JSONPathError('expression is empty', expression);
         }
         
-        // Handle array notation like "users[].id"
-        if (path.includes('[]')) {
-            return this.extractFromArrayPath(data, path);
+        // Relative paths ("users[*].id") are taken from the document root
+        if (trimmed.startsWith('$')) {
+            this.expression = trimmed;
+        } else {
+            this.expression = trimmed.startsWith('[') ? `$${trimmed}` : `$.${trimmed}`;
+        }
+        this.source = trimmed;
+        this.offset = this.expression.length - trimmed.length;
+        this.pos = 0;
+        
+        this.expect('$');
+        this.segments = this.parseSegments(false);
+        if (this.pos < this.expression.length) {
+            this.fail(`unexpected "${this.expression[this.pos]}"`);
+        }
+    }
+    
+    // Returns every matching node as { path: [...keys], value }
+    evaluate(data) {
+        return this.evaluateSegments(this.segments, [{ path: [], value: data }], data);
+    }
+    
+    // Parsing
+    
+    fail(message) {
+        throw new JSONPathError(message, this.source, Math.max(this.pos - this.offset, 0));
+    }
+    
+    peek(text) {
+        return this.expression.startsWith(text, this.pos);
+    }
+    
+    expect(text) {
+        if (!this.peek(text)) {
+            this.fail(this.pos >= this.expression.length ? `expected "${text}" but the expression ended` : `expected "${text}"`);
+        }
+        this.pos += text.length;
+    }
+    
+    skipSpaces() {
+        while (this.pos < this.expression.length && /\s/.test(this.expression[this.pos])) this.pos++;
+    }
+    
+    parseSegments(inFilter) {
+        const segments = [];
+        
+        while (this.pos < this.expression.length) {
+            if (this.peek('..')) {
+                this.pos += 2;
+                if (this.peek('[')) {
+                    segments.push({ descendant: true, selectors: this.parseBracket() });
+                } else {
+                    segments.push({ descendant: true, selectors: [this.parseDotSelector()] });
+                }
+            } else if (this.peek('.')) {
+                this.pos++;
+                segments.push({ descendant: false, selectors: [this.parseDotSelector()] });
+            } else if (this.peek('[')) {
+                segments.push({ descendant: false, selectors: this.parseBracket() });
+            } else if (inFilter) {
+                break;
+            } else {
+                this.fail(`unexpected "${this.expression[this.pos]}", expected ".", ".." or "["`);
+            }
         }
         
-        // Handle nested paths like "user.profile.id"
-        return this.extractFromNestedPath(data, path);
+        return segments;
     }
     
-    extractFromArrayPath(data, path) {
-        const [arrayPath, idField] = path.split('[].');
-        const arrayData = this.getNestedValue(data, arrayPath);
+    parseDotSelector() {
+        if (this.peek('*')) {
+            this.pos++;
+            return { type: 'wildcard' };
+        }
         
-        if (!Array.isArray(arrayData)) {
-            throw new Error(`Path ${arrayPath} does not point to an array`);
+        const match = /^[A-Za-z0-9_$\-\u0080-\uffff]+/.exec(this.expression.slice(this.pos));
+        if (!match) {
+            this.fail(this.pos >= this.expression.length ? 'expected a member name but the expression ended' : 'expected a member name or "*"');
+        }
+        this.pos += match[0].length;
+        return { type: 'name', name: match[0] };
+    }
+    
+    parseBracket() {
+        this.expect('[');
+        const selectors = [];
+        
+        for (;;) {
+            this.skipSpaces();
+            selectors.push(this.parseBracketSelector());
+            this.skipSpaces();
+            if (!this.peek(',')) break;
+            this.pos++;
         }
         
-        return arrayData.filter(item => item && typeof item === 'object')
-                       .map(item => {
-                           const id = idField ? this.getNestedValue(item, idField) : item.id;
-                           return { id, data: item };
-                       })
-                       .filter(item => item.id !== undefined);
+        this.expect(']');
+        return selectors;
     }
     
-    extractFromNestedPath(data, path) {
-        const pathParts = path.split('.');
-        const idField = pathParts.pop();
-        const objectPath = pathParts.join('.');
+    parseBracketSelector() {
+        if (this.peek('*')) {
+            this.pos++;
+            return { type: 'wildcard' };
+        }
         
-        const targetData = objectPath ? this.getNestedValue(data, objectPath) : data;
+        if (this.peek("'") || this.peek('"')) {
+            return { type: 'name', name: this.parseString() };
+        }
         
-        if (Array.isArray(targetData)) {
-            return targetData.filter(item => item && typeof item === 'object')
-                           .map(item => {
-                               const id = this.getNestedValue(item, idField);
-                               return { id, data: item };
-                           })
-                           .filter(item => item.id !== undefined);
-        } else if (targetData && typeof targetData === 'object') {
-            const id = this.getNestedValue(targetData, idField);
-            if (id !== undefined) {
-                return [{ id, data: targetData }];
-            }
+        if (this.peek('?')) {
+            this.pos++;
+            this.skipSpaces();
+            return { type: 'filter', expression: this.parseOr() };
         }
         
-        throw new Error(`No objects found with id field at path ${path}`);
+        const match = /^(-?\d+)?\s*(:\s*(-?\d+)?\s*(:\s*(-?\d+)?)?)?/.exec(this.expression.slice(this.pos));
+        if (!match[0]) {
+            this.fail('expected a name, index, slice, "*" or filter');
+        }
+        this.pos += match[0].length;
+        
+        if (!match[2]) {
+            return { type: 'index', index: parseInt(match[1], 10) };
+        }
+        
+        const step = match[5] !== undefined ? parseInt(match[5], 10) : 1;
+        if (step === 0) {
+            this.fail('slice step cannot be 0');
+        }
+        return {
+            type: 'slice',
+            start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+            end: match[3] !== undefined ? parseInt(match[3], 10) : null,
+            step
+        };
     }
     
-    getNestedValue(obj, path) {
+    parseString() {
+        const quote = this.expression[this.pos++];
+        let value = '';
+        
+        while (this.pos < this.expression.length && this.expression[this.pos] !== quote) {
+            if (this.expression[this.pos] === '\\') {
+                this.pos++;
+            }
+            value += this.expression[this.pos++] || '';
+        }
+        
+        this.expect(quote);
+        return value;
+    }
+    
+    // Filter grammar: or := and ("||" and)*, and := unary ("&&" unary)*,
+    // unary := "!" unary | comparison, comparison := operand (op operand)?
+    parseOr() {
+        let left = this.parseAnd();
+        this.skipSpaces();
+        while (this.peek('||')) {
+            this.pos += 2;
+            left = { type: 'or', left, right: this.parseAnd() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseAnd() {
+        let left = this.parseUnary();
+        this.skipSpaces();
+        while (this.peek('&&')) {
+            this.pos += 2;
+            left = { type: 'and', left, right: this.parseUnary() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseUnary() {
+        this.skipSpaces();
+        if (this.peek('!') && !this.peek('!=')) {
+            this.pos++;
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        return this.parseComparison();
+    }
+    
+    parseComparison() {
+        const left = this.parseOperand();
+        this.skipSpaces();
+        
+        const operator = ['==', '!=', '<=', '>=', '=~', '<', '>'].find(op => this.peek(op));
+        if (!operator) {
+            return left;
+        }
+        this.pos += operator.length;
+        this.skipSpaces();
+        
+        const right = operator === '=~' ? this.parseRegex() : this.parseOperand();
+        return { type: 'compare', operator, left, right };
+    }
+    
+    parseOperand() {
+        this.skipSpaces();
+        
+        if (this.peek('(')) {
+            this.pos++;
+            const inner = this.parseOr();
+            this.skipSpaces();
+            this.expect(')');
+            return inner;
+        }
+        
+        if (this.peek('@') || this.peek('$')) {
+            const relative = this.peek('@');
+            this.pos++;
+            return { type: 'path', relative, segments: this.parseSegments(true) };
+        }
+        
+        if (this.peek("'") || this.peek('"')) {
+            return { type: 'literal', value: this.parseString() };
+        }
+        
+        const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(this.expression.slice(this.pos));
+        if (!match) {
+            this.fail(this.pos >= this.expression.length ? 'filter expression ended unexpectedly' : 'expected @, $, a literal or "(" in filter');
+        }
+        this.pos += match[0].length;
+        return { type: 'literal', value: JSON.parse(match[0]) };
+    }
+    
+    parseRegex() {
+        if (!this.peek('/')) {
+            this.fail('expected a /regex/ after "=~"');
+        }
+        
+        const match = /^\/((?:\\.|[^\/\\])*)\/([imsu]*)/.exec(this.expression.slice(this.pos));
+        if (!match) {
+            this.fail('unterminated regular expression');
+        }
+        
+        try {
+            const regex = new RegExp(match[1], match[2]);
+            this.pos += match[0].length;
+            return { type: 'literal', value: regex };
+        } catch (error) {
+            this.fail(`bad regular expression: ${error.message}`);
+        }
+    }
+    
+    // Evaluation
+    
+    evaluateSegments(segments, nodes, root) {
+        return segments.reduce((current, segment) => {
+            const targets = segment.descendant ? current.flatMap(node => this.descendants(node)) : current;
+            return targets.flatMap(node => segment.selectors.flatMap(selector => this.select(selector, node, root)));
+        }, nodes);
+    }
+    
+    // Document order (each node before its children), walked with an explicit
+    // stack so large documents cannot overflow the call stack
+    descendants(node) {
+        const result = [];
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            result.push(current);
+            const children = this.children(current);
+            for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+        }
+        return result;
+    }
+    
+    children(node) {
+        const { value, path } = node;
+        if (Array.isArray(value)) {
+            return value.map((item, index) => ({ path: [...path, index], value: item }));
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).map(key => ({ path: [...path, key], value: value[key] }));
+        }
+        return [];
+    }
+    
+    select(selector, node, root) {
+        const { value, path } = node;
+        
+        switch (selector.type) {
+            case 'wildcard':
+                return this.children(node);
+            case 'name':
+                if (value && typeof value === 'object' && !Array.isArray(value) &&
+                    Object.prototype.hasOwnProperty.call(value, selector.name)) {
+                    return [{ path: [...path, selector.name], value: value[selector.name] }];
+                }
+                return [];
+            case 'index': {
+                if (!Array.isArray(value)) return [];
+                const index = selector.index < 0 ? value.length + selector.index : selector.index;
+                return index >= 0 && index < value.length ? [{ path: [...path, index], value: value[index] }] : [];
+            }
+            case 'slice':
+                return Array.isArray(value) ? this.slice(selector, node) : [];
+            case 'filter':
+                return this.children(node).filter(child => this.truthy(this.evaluateFilter(selector.expression, child, root)));
+            default:
+                return [];
+        }
+    }
+    
+    slice(selector, node) {
+        const length = node.value.length;
+        const { step } = selector;
+        const normalize = index => (index < 0 ? Math.max(length + index, step > 0 ? 0 : -1) : Math.min(index, step > 0 ? length : length - 1));
+        const start = selector.start === null ? (step > 0 ? 0 : length - 1) : normalize(selector.start);
+        const end = selector.end === null ? (step > 0 ? length : -1) : normalize(selector.end);
+        
+        const result = [];
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+            result.push({ path: [...node.path, i], value: node.value[i] });
+        }
+        return result;
+    }
+    
+    evaluateFilter(expression, current, root) {
+        switch (expression.type) {
+            case 'or':
+                return this.truthy(this.evaluateFilter(expression.left, current, root)) ||
+                    this.truthy(this.evaluateFilter(expression.right, current, root));
+            case 'and':
+                return this.truthy(this.evaluateFilter(expression.left, current, root)) &&
+                    this.truthy(this.evaluateFilter(expression.right, current, root));
+            case 'not':
+                return !this.truthy(this.evaluateFilter(expression.operand, current, root));
+            case 'literal':
+                return { value: expression.value };
+            case 'path': {
+                const start = expression.relative ? current : { path: [], value: root };
+                const nodes = this.evaluateSegments(expression.segments, [start], root);
+                if (nodes.length === 0 && expression.relative) {
+                    return this.lengthOf(expression.segments, start) || null;
+                }
+                return nodes.length > 0 ? { value: nodes[0].value } : null;
+            }
+            case 'compare':
+                return this.compare(expression.operator,
+                    this.evaluateFilter(expression.left, current, root),
+                    this.evaluateFilter(expression.right, current, root));
+            default:
+                return false;
+        }
+    }
+    
+    // "@.length" on arrays and strings, as supported by most JSONPath dialects
+    lengthOf(segments, start) {
+        const last = segments[segments.length - 1];
+        if (!last || last.descendant || last.selectors.length !== 1 || last.selectors[0].name !== 'length') {
+            return null;
+        }
+        const owners = this.evaluateSegments(segments.slice(0, -1), [start], start.value);
+        if (owners.length > 0 && (Array.isArray(owners[0].value) || typeof owners[0].value === 'string')) {
+            return { value: owners[0].value.length };
+        }
+        return null;
+    }
+    
+    // Filter results are either booleans or { value } wrappers (null = nothing)
+    truthy(result) {
+        return typeof result === 'boolean' ? result : result !== null;
+    }
+    
+    compare(operator, left, right) {
+        const toNode = result => (typeof result === 'boolean' ? { value: result } : result);
+        left = toNode(left);
+        right = toNode(right);
+        
+        if (operator === '=~') {
+            return left !== null && typeof left.value === 'string' && right.value.test(left.value);
+        }
+        if (left === null || right === null) {
+            // Comparing against a missing value: only "nothing == nothing" holds
+            if (operator === '==') return left === right;
+            if (operator === '!=') return left !== right;
+            return false;
+        }
+        
+        // Lossless numbers are compared by their nearest double, like the literals
+        const a = left.value instanceof LosslessNumber ? left.value.valueOf() : left.value;
+        const b = right.value instanceof LosslessNumber ? right.value.valueOf() : right.value;
+        switch (operator) {
+            case '==':
+                return JSON.stringify(a) === JSON.stringify(b);
+            case '!=':
+                return JSON.stringify(a) !== JSON.stringify(b);
+            default: {
+                const comparable = (typeof a === 'number' && typeof b === 'number') ||
+                    (typeof a === 'string' && typeof b === 'string');
+                if (!comparable) return false;
+                if (operator === '<') return a < b;
+                if (operator === '<=') return a <= b;
+                if (operator === '>') return a > b;
+                return a >= b;
+            }
+        }
+    }
+}
+
+// jq Filter - Parses and runs a subset of jq: paths (.a.b, .[0], .[], .[1:3],
+// ..), pipes, commas, literals, array and object construction, comparisons,
+// and/or, //, arithmetic and common builtins (map, select, del, keys, to_entries,
+// sort_by, ...). Filters produce a stream of outputs, kept here as arrays.
+class JQError extends Error {
+    constructor(message, expression, position) {
+        super(position === undefined
+            ? `Invalid jq filter "${expression}": ${message}`
+            : `Invalid jq filter "${expression}" at position ${position}: ${message}`);
+        this.name = 'JQError';
+        this.expression = expression;
+        this.position = position;
+    }
+}
+
+class JQFilter {
+    constructor(expression) {
+        this.expression = expression || '';
+        if (!this.expression.trim()) {
+            throw new JQError('filter is empty', expression);
+        }
+        this.json = new LosslessJSON();
+        // name -> accepted argument counts
+        this.builtins = {
+            empty: [0], not: [0], length: [0], keys: [0], keys_unsorted: [0], values: [0], add: [0],
+            first: [0, 1], last: [0, 1], reverse: [0], sort: [0], unique: [0], flatten: [0], min: [0], max: [0],
+            any: [0], all: [0], type: [0], tostring: [0], tonumber: [0], tojson: [0], fromjson: [0],
+            ascii_downcase: [0], ascii_upcase: [0], to_entries: [0], from_entries: [0],
+            map: [1], map_values: [1], select: [1], del: [1], has: [1], with_entries: [1],
+            sort_by: [1], group_by: [1], unique_by: [1], join: [1], split: [1], test: [1, 2],
+            startswith: [1], endswith: [1], ltrimstr: [1], rtrimstr: [1]
+        };
+        // Type selectors such as numbers, which passes numbers through
+        this.kinds = ['nulls', 'booleans', 'numbers', 'strings', 'arrays', 'objects', 'iterables', 'scalars'];
+        this.kinds.forEach(kind => {
+            this.builtins[kind] = [0];
+        });
+        
+        this.pos = 0;
+        this.ast = this.parsePipe();
+        this.skipSpaces();
+        if (this.pos < this.expression.length) {
+            this.fail(`unexpected "${this.expression[this.pos]}"`);
+        }
+    }
+    
+    // Every output of the filter for input
+    run(input) {
+        return this.evaluate(this.ast, input);
+    }
+    
+    // The single output, or all of them as an array when there are several
+    apply(input) {
+        const outputs = this.run(input);
+        if (outputs.length === 0) throw new Error('the filter produced no output');
+        return outputs.length === 1 ? outputs[0] : outputs;
+    }
+    
+    // Parsing
+    
+    fail(message) {
+        throw new JQError(message, this.expression, this.pos);
+    }
+    
+    peek(text) {
+        return this.expression.startsWith(text, this.pos);
+    }
+    
+    peekWord(word) {
+        return this.peek(word) && !/[A-Za-z0-9_]/.test(this.expression[this.pos + word.length] || '');
+    }
+    
+    expect(text) {
+        this.skipSpaces();
+        if (!this.peek(text)) {
+            this.fail(this.pos >= this.expression.length ? `expected "${text}" but the filter ended` : `expected "${text}"`);
+        }
+        this.pos += text.length;
+    }
+    
+    skipSpaces() {
+        while (this.pos < this.expression.length && /\s/.test(this.expression[this.pos])) this.pos++;
+    }
+    
+    identifier() {
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.expression.slice(this.pos));
+        if (!match) return null;
+        this.pos += match[0].length;
+        return match[0];
+    }
+    
+    // Precedence, loosest first: |, ",", //, or, and, comparisons, + -, * / %
+    parsePipe() {
+        const left = this.parseComma();
+        this.skipSpaces();
+        if (this.peek('|')) {
+            this.pos++;
+            return { type: 'pipe', left, right: this.parsePipe() };
+        }
+        return left;
+    }
+    
+    parseComma() {
+        let left = this.parseAlternative();
+        this.skipSpaces();
+        while (this.peek(',')) {
+            this.pos++;
+            left = { type: 'comma', left, right: this.parseAlternative() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseAlternative() {
+        const left = this.parseOr();
+        this.skipSpaces();
+        if (this.peek('//')) {
+            this.pos += 2;
+            return { type: 'alternative', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+    
+    parseOr() {
+        let left = this.parseAnd();
+        this.skipSpaces();
+        while (this.peekWord('or')) {
+            this.pos += 2;
+            left = { type: 'or', left, right: this.parseAnd() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseAnd() {
+        let left = this.parseComparison();
+        this.skipSpaces();
+        while (this.peekWord('and')) {
+            this.pos += 3;
+            left = { type: 'and', left, right: this.parseComparison() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseComparison() {
+        const left = this.parseAdditive();
+        this.skipSpaces();
+        const operator = ['==', '!=', '<=', '>=', '<', '>'].find(op => this.peek(op));
+        if (!operator) return left;
+        this.pos += operator.length;
+        return { type: 'binary', operator, left, right: this.parseAdditive() };
+    }
+    
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        this.skipSpaces();
+        while (this.peek('+') || this.peek('-')) {
+            const operator = this.expression[this.pos++];
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        this.skipSpaces();
+        while (this.peek('*') || this.peek('%') || (this.peek('/') && !this.peek('//'))) {
+            const operator = this.expression[this.pos++];
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+            this.skipSpaces();
+        }
+        return left;
+    }
+    
+    parseUnary() {
+        this.skipSpaces();
+        if (this.peek('-')) {
+            this.pos++;
+            return { type: 'negate', operand: this.parsePostfix() };
+        }
+        return this.parsePostfix();
+    }
+    
+    // A term followed by any number of .name, [...] and ? suffixes
+    parsePostfix() {
+        let term = this.parsePrimary();
+        for (;;) {
+            this.skipSpaces();
+            if (this.peek('[')) {
+                term = this.parseBracket(term);
+            } else if (this.peek('?')) {
+                this.pos++;
+                term = { type: 'try', body: term };
+            } else if (this.peek('.') && !this.peek('..')) {
+                this.pos++;
+                term = this.parseAccess(term);
+            } else {
+                return term;
+            }
+        }
+    }
+    
+    // What follows a ".": a name, a quoted name or a bracket
+    parseAccess(target) {
+        if (this.peek('[')) return this.parseBracket(target);
+        if (this.peek('"')) return { type: 'field', target, name: this.parseString() };
+        const name = this.identifier();
+        if (!name) this.fail('expected a field name after "."');
+        return { type: 'field', target, name };
+    }
+    
+    parsePrimary() {
+        this.skipSpaces();
+        const start = this.pos;
+        
+        if (this.peek('..')) {
+            this.pos += 2;
+            return { type: 'recurse' };
+        }
+        if (this.peek('.')) {
+            this.pos++;
+            if (this.peek('[') || this.peek('"') || /[A-Za-z_]/.test(this.expression[this.pos] || '')) {
+                return this.parseAccess({ type: 'identity' });
+            }
+            return { type: 'identity' };
+        }
+        if (this.peek('"')) {
+            return { type: 'literal', value: this.parseString() };
+        }
+        const number = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(this.expression.slice(this.pos));
+        if (number) {
+            this.pos += number[0].length;
+            return { type: 'literal', value: Number(number[0]) };
+        }
+        if (this.peek('[')) {
+            this.pos++;
+            this.skipSpaces();
+            if (this.peek(']')) {
+                this.pos++;
+                return { type: 'array', body: null };
+            }
+            const body = this.parsePipe();
+            this.expect(']');
+            return { type: 'array', body };
+        }
+        if (this.peek('{')) {
+            return this.parseObject();
+        }
+        if (this.peek('(')) {
+            this.pos++;
+            const body = this.parsePipe();
+            this.expect(')');
+            return body;
+        }
+        
+        const name = this.identifier();
+        if (!name) {
+            this.fail(this.pos >= this.expression.length ? 'the filter ended unexpectedly' : `unexpected "${this.expression[this.pos]}"`);
+        }
+        if (name === 'true' || name === 'false' || name === 'null') {
+            return { type: 'literal', value: JSON.parse(name) };
+        }
+        
+        const args = [];
+        this.skipSpaces();
+        if (this.peek('(')) {
+            this.pos++;
+            args.push(this.parsePipe());
+            this.skipSpaces();
+            while (this.peek(';')) {
+                this.pos++;
+                args.push(this.parsePipe());
+                this.skipSpaces();
+            }
+            this.expect(')');
+        }
+        if (!(this.builtins[name] || []).includes(args.length)) {
+            this.pos = start;
+            this.fail(`${name}/${args.length} is not defined`);
+        }
+        return { type: 'call', name, args };
+    }
+    
+    parseString() {
+        const match = /^"(?:[^"\\]|\\.)*"/.exec(this.expression.slice(this.pos));
+        if (!match) this.fail('unterminated string');
+        try {
+            const value = JSON.parse(match[0]);
+            this.pos += match[0].length;
+            return value;
+        } catch (error) {
+            this.fail('invalid string (interpolation is not supported)');
+        }
+    }
+    
+    // [] iterates, [i] indexes and [from:to] slices
+    parseBracket(target) {
+        this.expect('[');
+        this.skipSpaces();
+        if (this.peek(']')) {
+            this.pos++;
+            return { type: 'iterate', target };
+        }
+        
+        const from = this.peek(':') ? null : this.parsePipe();
+        this.skipSpaces();
+        if (!this.peek(':')) {
+            this.expect(']');
+            return { type: 'index', target, index: from };
+        }
+        this.pos++;
+        this.skipSpaces();
+        const to = this.peek(']') ? null : this.parsePipe();
+        this.expect(']');
+        return { type: 'slice', target, from, to };
+    }
+    
+    // {a, "b": .x, (.k): .v}; a bare key takes the field of the same name
+    parseObject() {
+        this.expect('{');
+        const entries = [];
+        this.skipSpaces();
+        if (this.peek('}')) {
+            this.pos++;
+            return { type: 'object', entries };
+        }
+        
+        for (;;) {
+            this.skipSpaces();
+            let key;
+            let name = null;
+            if (this.peek('"')) {
+                name = this.parseString();
+                key = { type: 'literal', value: name };
+            } else if (this.peek('(')) {
+                this.pos++;
+                key = this.parsePipe();
+                this.expect(')');
+            } else {
+                name = this.identifier();
+                if (name === null) this.fail('expected a key in object construction');
+                key = { type: 'literal', value: name };
+            }
+            
+            this.skipSpaces();
+            let value;
+            if (this.peek(':')) {
+                this.pos++;
+                value = this.parseAlternative();
+                this.skipSpaces();
+                while (this.peek('|')) {
+                    this.pos++;
+                    value = { type: 'pipe', left: value, right: this.parseAlternative() };
+                    this.skipSpaces();
+                }
+            } else {
+                if (name === null) this.fail('expected ":" after a computed key');
+                value = { type: 'field', target: { type: 'identity' }, name };
+            }
+            entries.push({ key, value });
+            
+            this.skipSpaces();
+            if (!this.peek(',')) break;
+            this.pos++;
+        }
+        this.expect('}');
+        return { type: 'object', entries };
+    }
+    
+    // Evaluation
+    
+    evaluate(node, input) {
+        switch (node.type) {
+            case 'identity':
+                return [input];
+            case 'recurse':
+                return this.recurse(input);
+            case 'literal':
+                return [node.value];
+            case 'field':
+                return this.evaluate(node.target, input).map(value => this.field(value, node.name));
+            case 'index':
+                return this.evaluate(node.target, input).flatMap(value => this.evaluate(node.index, input).map(index => this.index(value, index)));
+            case 'slice':
+                return this.evaluate(node.target, input).flatMap(value => {
+                    const froms = node.from ? this.evaluate(node.from, input) : [null];
+                    const tos = node.to ? this.evaluate(node.to, input) : [null];
+                    return froms.flatMap(from => tos.map(to => this.slice(value, from, to)));
+                });
+            case 'iterate':
+                return this.evaluate(node.target, input).flatMap(value => this.iterate(value));
+            case 'try':
+                try {
+                    return this.evaluate(node.body, input);
+                } catch (error) {
+                    return [];
+                }
+            case 'pipe':
+                return this.evaluate(node.left, input).flatMap(value => this.evaluate(node.right, value));
+            case 'comma':
+                return [...this.evaluate(node.left, input), ...this.evaluate(node.right, input)];
+            case 'array':
+                return [node.body ? this.evaluate(node.body, input) : []];
+            case 'object':
+                return this.construct(node.entries, input);
+            case 'negate':
+                return this.evaluate(node.operand, input).map(value => {
+                    if (!this.json.isNumber(value)) throw new Error(`${this.describe(value)} cannot be negated`);
+                    return -Number(value);
+                });
+            case 'and':
+                return this.evaluate(node.left, input).flatMap(left => (this.truthy(left)
+                    ? this.evaluate(node.right, input).map(right => this.truthy(right))
+                    : [false]));
+            case 'or':
+                return this.evaluate(node.left, input).flatMap(left => (this.truthy(left)
+                    ? [true]
+                    : this.evaluate(node.right, input).map(right => this.truthy(right))));
+            case 'alternative': {
+                let values;
+                try {
+                    values = this.evaluate(node.left, input).filter(value => this.truthy(value));
+                } catch (error) {
+                    values = [];
+                }
+                return values.length > 0 ? values : this.evaluate(node.right, input);
+            }
+            case 'binary': {
+                const rights = this.evaluate(node.right, input);
+                return this.evaluate(node.left, input).flatMap(left => rights.map(right => this.operate(node.operator, left, right)));
+            }
+            case 'call':
+                return this.call(node, input);
+            default:
+                throw new Error(`Unknown node "${node.type}"`);
+        }
+    }
+    
+    // Same order as jq's recurse, using an explicit stack instead of recursion
+    recurse(value) {
+        const result = [];
+        const stack = [value];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            result.push(current);
+            if (Array.isArray(current) || this.isObject(current)) {
+                const children = this.iterate(current);
+                for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+            }
+        }
+        return result;
+    }
+    
+    field(value, name) {
+        if (value === null) return null;
+        if (!this.isObject(value)) throw new Error(`Cannot index ${this.typeOf(value)} with "${name}"`);
+        return Object.prototype.hasOwnProperty.call(value, name) ? value[name] : null;
+    }
+    
+    index(value, index) {
+        if (typeof index === 'string') return this.field(value, index);
+        if (value === null) return null;
+        if (Array.isArray(value) && this.json.isNumber(index)) {
+            const position = Math.floor(Number(index));
+            const item = value[position < 0 ? value.length + position : position];
+            return item === undefined ? null : item;
+        }
+        throw new Error(`Cannot index ${this.typeOf(value)} with ${this.typeOf(index)}`);
+    }
+    
+    slice(value, from, to) {
+        if (value === null) return null;
+        if (!Array.isArray(value) && typeof value !== 'string') throw new Error(`Cannot slice ${this.typeOf(value)}`);
+        [from, to].forEach(bound => {
+            if (bound !== null && !this.json.isNumber(bound)) throw new Error(`Slice bounds must be numbers, not ${this.typeOf(bound)}`);
+        });
+        const length = value.length;
+        const clamp = bound => {
+            const position = Math.floor(Number(bound));
+            return Math.min(Math.max(position < 0 ? length + position : position, 0), length);
+        };
+        return value.slice(from === null ? 0 : clamp(from), to === null ? length : clamp(to));
+    }
+    
+    iterate(value) {
+        if (Array.isArray(value)) return [...value];
+        if (this.isObject(value)) return Object.keys(value).map(key => value[key]);
+        throw new Error(`Cannot iterate over ${this.describe(value)}`);
+    }
+    
+    // One object per combination of the entries' key and value outputs
+    construct(entries, input) {
+        return entries.reduce((objects, entry) => {
+            const keys = this.evaluate(entry.key, input);
+            keys.forEach(key => {
+                if (typeof key !== 'string') throw new Error(`Object keys must be strings, not ${this.typeOf(key)}`);
+            });
+            const values = this.evaluate(entry.value, input);
+            return objects.flatMap(object => keys.flatMap(key => values.map(value => this.withKey(object, key, value))));
+        }, [{}]);
+    }
+    
+    withKey(object, key, value) {
+        const copy = {};
+        Object.keys(object).forEach(name => this.define(copy, name, object[name]));
+        this.define(copy, key, value);
+        return copy;
+    }
+    
+    define(object, key, value) {
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+    }
+    
+    operate(operator, left, right) {
+        const numbers = this.json.isNumber(left) && this.json.isNumber(right);
+        switch (operator) {
+            case '==':
+                return this.json.canonical(left) === this.json.canonical(right);
+            case '!=':
+                return this.json.canonical(left) !== this.json.canonical(right);
+            case '<':
+                return this.compare(left, right) < 0;
+            case '<=':
+                return this.compare(left, right) <= 0;
+            case '>':
+                return this.compare(left, right) > 0;
+            case '>=':
+                return this.compare(left, right) >= 0;
+            case '+':
+                if (left === null) return right;
+                if (right === null) return left;
+                if (numbers) return Number(left) + Number(right);
+                if (typeof left === 'string' && typeof right === 'string') return left + right;
+                if (Array.isArray(left) && Array.isArray(right)) return [...left, ...right];
+                if (this.isObject(left) && this.isObject(right)) {
+                    return Object.keys(right).reduce((merged, key) => this.withKey(merged, key, right[key]), left);
+                }
+                break;
+            case '-':
+                if (numbers) return Number(left) - Number(right);
+                if (Array.isArray(left) && Array.isArray(right)) {
+                    const removed = new Set(right.map(item => this.json.canonical(item)));
+                    return left.filter(item => !removed.has(this.json.canonical(item)));
+                }
+                break;
+            case '*':
+                if (numbers) return Number(left) * Number(right);
+                break;
+            case '/':
+                if (numbers) {
+                    if (Number(right) === 0) throw new Error(`${this.describe(left)} cannot be divided by zero`);
+                    return Number(left) / Number(right);
+                }
+                if (typeof left === 'string' && typeof right === 'string') return left.split(right);
+                break;
+            case '%':
+                if (numbers) {
+                    if (Math.trunc(Number(right)) === 0) throw new Error(`${this.describe(left)} cannot be divided by zero`);
+                    return Math.trunc(Number(left)) % Math.trunc(Number(right));
+                }
+                break;
+        }
+        throw new Error(`${this.describe(left)} and ${this.describe(right)} cannot be combined with "${operator}"`);
+    }
+    
+    call(node, input) {
+        const [f, g] = node.args;
+        switch (node.name) {
+            case 'empty':
+                return [];
+            case 'not':
+                return [!this.truthy(input)];
+            case 'length':
+                if (input === null) return [0];
+                if (this.json.isNumber(input)) return [Math.abs(Number(input))];
+                if (typeof input === 'string' || Array.isArray(input)) return [input.length];
+                if (this.isObject(input)) return [Object.keys(input).length];
+                break;
+            case 'keys':
+            case 'keys_unsorted':
+                if (Array.isArray(input)) return [input.map((item, index) => index)];
+                if (this.isObject(input)) return [node.name === 'keys' ? Object.keys(input).sort() : Object.keys(input)];
+                break;
+            case 'values':
+                return input === null ? [] : [input];
+            case 'nulls':
+            case 'booleans':
+            case 'numbers':
+            case 'strings':
+            case 'arrays':
+            case 'objects':
+            case 'iterables':
+            case 'scalars':
+                return this.isOfKind(node.name, input) ? [input] : [];
+            case 'has':
+                return this.evaluate(f, input).map(key => {
+                    if (this.isObject(input) && typeof key === 'string') return Object.prototype.hasOwnProperty.call(input, key);
+                    if (Array.isArray(input) && this.json.isNumber(key)) return Number(key) >= 0 && Number(key) < input.length;
+                    throw new Error(`Cannot check whether ${this.typeOf(input)} has a ${this.typeOf(key)} key`);
+                });
+            case 'map':
+                return [this.iterate(input).flatMap(value => this.evaluate(f, value))];
+            case 'map_values':
+                if (Array.isArray(input)) return [input.flatMap(value => this.evaluate(f, value).slice(0, 1))];
+                if (this.isObject(input)) {
+                    return [Object.keys(input).reduce((result, key) => {
+                        const [value] = this.evaluate(f, input[key]);
+                        return value === undefined ? result : this.withKey(result, key, value);
+                    }, {})];
+                }
+                break;
+            case 'select':
+                return this.evaluate(f, input).filter(value => this.truthy(value)).map(() => input);
+            case 'del':
+                return [this.remove(input, this.paths(f, input).map(node => node.path))];
+            case 'to_entries':
+                if (this.isObject(input)) return [this.toEntries(input)];
+                break;
+            case 'from_entries':
+                return [this.fromEntries(input)];
+            case 'with_entries':
+                if (this.isObject(input)) return [this.fromEntries(this.toEntries(input).flatMap(entry => this.evaluate(f, entry)))];
+                break;
+            case 'add':
+                if (input === null) return [null];
+                return [this.iterate(input).reduce((sum, value) => this.operate('+', sum, value), null)];
+            case 'first':
+                return f ? this.evaluate(f, input).slice(0, 1) : [this.index(input, 0)];
+            case 'last':
+                return f ? this.evaluate(f, input).slice(-1) : [this.index(input, -1)];
+            case 'reverse':
+                if (input === null) return [[]];
+                if (typeof input === 'string') return [[...input].reverse().join('')];
+                if (Array.isArray(input)) return [[...input].reverse()];
+                break;
+            case 'sort':
+                if (Array.isArray(input)) return [[...input].sort((a, b) => this.compare(a, b))];
+                break;
+            case 'sort_by':
+                if (Array.isArray(input)) return [this.sortBy(input, f).map(entry => entry.value)];
+                break;
+            case 'group_by':
+                if (Array.isArray(input)) return [this.groupBy(input, f).map(group => group.map(entry => entry.value))];
+                break;
+            case 'unique':
+                if (Array.isArray(input)) return [this.groupBy(input, { type: 'identity' }).map(group => group[0].value)];
+                break;
+            case 'unique_by':
+                if (Array.isArray(input)) return [this.groupBy(input, f).map(group => group[0].value)];
+                break;
+            case 'min':
+            case 'max':
+                if (Array.isArray(input)) {
+                    if (input.length === 0) return [null];
+                    const sorted = [...input].sort((a, b) => this.compare(a, b));
+                    return [node.name === 'min' ? sorted[0] : sorted[sorted.length - 1]];
+                }
+                break;
+            case 'flatten':
+                if (Array.isArray(input)) return [this.flatten(input)];
+                break;
+            case 'any':
+                if (Array.isArray(input)) return [input.some(value => this.truthy(value))];
+                break;
+            case 'all':
+                if (Array.isArray(input)) return [input.every(value => this.truthy(value))];
+                break;
+            case 'type':
+                return [this.typeOf(input)];
+            case 'tostring':
+                return [typeof input === 'string' ? input : this.json.stringify(input)];
+            case 'tojson':
+                return [this.json.stringify(input)];
+            case 'fromjson':
+                if (typeof input === 'string') return [this.json.parse(input)];
+                break;
+            case 'tonumber':
+                if (this.json.isNumber(input)) return [input];
+                if (typeof input === 'string' && /^\s*-?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?\s*$/.test(input)) return [Number(input)];
+                if (typeof input === 'string') throw new Error(`Cannot parse "${input}" as a number`);
+                break;
+            case 'ascii_downcase':
+            case 'ascii_upcase':
+                if (typeof input === 'string') {
+                    return [input.replace(node.name === 'ascii_downcase' ? /[A-Z]+/g : /[a-z]+/g,
+                        letters => (node.name === 'ascii_downcase' ? letters.toLowerCase() : letters.toUpperCase()))];
+                }
+                break;
+            case 'join':
+                if (Array.isArray(input)) {
+                    return this.evaluate(f, input).map(separator => input.map(value => {
+                        if (value === null) return '';
+                        if (this.isObject(value) || Array.isArray(value)) throw new Error(`Cannot join ${this.typeOf(value)}`);
+                        return String(value);
+                    }).join(separator));
+                }
+                break;
+            case 'split':
+                if (typeof input === 'string') return this.evaluate(f, input).map(separator => input.split(separator));
+                break;
+            case 'test':
+                if (typeof input === 'string') {
+                    const flags = g ? this.evaluate(g, input)[0] || '' : '';
+                    return this.evaluate(f, input).map(pattern => new RegExp(pattern, flags.replace(/[^imsux]/g, '').replace('x', '')).test(input));
+                }
+                break;
+            case 'startswith':
+            case 'endswith':
+            case 'ltrimstr':
+            case 'rtrimstr':
+                if (typeof input === 'string') return this.evaluate(f, input).map(text => this.affix(node.name, input, text));
+                if (node.name === 'ltrimstr' || node.name === 'rtrimstr') return [input];
+                break;
+        }
+        throw new Error(`${node.name} cannot be applied to ${this.describe(input)}`);
+    }
+    
+    isOfKind(name, value) {
+        const type = this.typeOf(value);
+        if (name === 'iterables') return type === 'array' || type === 'object';
+        if (name === 'scalars') return type !== 'array' && type !== 'object';
+        return `${type}s` === name;
+    }
+    
+    affix(name, input, text) {
+        if (typeof text !== 'string') throw new Error(`${name} needs a string argument, not ${this.typeOf(text)}`);
+        switch (name) {
+            case 'startswith':
+                return input.startsWith(text);
+            case 'endswith':
+                return input.endsWith(text);
+            case 'ltrimstr':
+                return input.startsWith(text) ? input.slice(text.length) : input;
+            default:
+                return text && input.endsWith(text) ? input.slice(0, -text.length) : input;
+        }
+    }
+    
+    toEntries(object) {
+        return Object.keys(object).map(key => ({ key, value: object[key] }));
+    }
+    
+    // Entries may name their parts key/k/name and value/v, as jq allows
+    fromEntries(entries) {
+        return this.iterate(entries).reduce((result, entry) => {
+            if (!this.isObject(entry)) throw new Error(`Cannot use ${this.typeOf(entry)} as an entry`);
+            const key = ['key', 'k', 'name', 'Name', 'Key', 'K'].map(name => entry[name]).find(value => value !== undefined && value !== null);
+            if (key === undefined || this.isObject(key) || Array.isArray(key)) throw new Error('Entry has no usable key');
+            const value = ['value', 'v', 'Value', 'V'].map(name => entry[name]).find(value => value !== undefined);
+            return this.withKey(result, String(key), value === undefined ? null : value);
+        }, {});
+    }
+    
+    sortBy(items, filter) {
+        return items
+            .map(value => ({ value, key: this.evaluate(filter, value) }))
+            .sort((a, b) => this.compare(a.key, b.key));
+    }
+    
+    groupBy(items, filter) {
+        const groups = [];
+        this.sortBy(items, filter).forEach(entry => {
+            const last = groups[groups.length - 1];
+            if (last && this.compare(last[0].key, entry.key) === 0) last.push(entry);
+            else groups.push([entry]);
+        });
+        return groups;
+    }
+    
+    flatten(items) {
+        return items.flatMap(item => (Array.isArray(item) ? this.flatten(item) : [item]));
+    }
+    
+    // Paths (as key lists) that a path expression such as .a[].b or
+    // .items[] | select(.gone) refers to, for del
+    paths(node, input) {
+        switch (node.type) {
+            case 'identity':
+                return [{ path: [], value: input }];
+            case 'recurse': {
+                // The same explicit stack as recurse, so deep input cannot
+                // overflow the call stack. Each entry links to its parent and
+                // spells out its path only when asked, as a deep document has
+                // as many paths as nodes, each as long as its depth.
+                const entry = (value, parent, key) => ({
+                    value,
+                    parent,
+                    key,
+                    get path() {
+                        const path = [];
+                        for (let node = this; node.parent; node = node.parent) path.push(node.key);
+                        return path.reverse();
+                    }
+                });
+                const result = [];
+                const stack = [entry(input, null, null)];
+                while (stack.length > 0) {
+                    const current = stack.pop();
+                    result.push(current);
+                    if (Array.isArray(current.value) || this.isObject(current.value)) {
+                        const children = this.childPaths(current.value);
+                        for (let i = children.length - 1; i >= 0; i--) stack.push(entry(children[i][1], current, children[i][0]));
+                    }
+                }
+                return result;
+            }
+            case 'field':
+                return this.paths(node.target, input).map(({ path, value }) => ({ path: [...path, node.name], value: this.field(value, node.name) }));
+            case 'index':
+                return this.paths(node.target, input).flatMap(({ path, value }) => this.evaluate(node.index, input)
+                    .map(index => ({ path: [...path, typeof index === 'string' ? index : Math.floor(Number(index))], value: this.index(value, index) })));
+            case 'slice':
+                return this.paths(node.target, input).flatMap(({ path, value }) => {
+                    if (value === null) return [];
+                    if (!Array.isArray(value)) throw new Error(`Cannot delete a slice of ${this.typeOf(value)}`);
+                    const from = node.from ? this.evaluate(node.from, input)[0] : null;
+                    const to = node.to ? this.evaluate(node.to, input)[0] : null;
+                    const start = from === null || from === undefined ? 0 : value.length - this.slice(value, from, null).length;
+                    return this.slice(value, from ?? null, to ?? null).map((child, offset) => ({ path: [...path, start + offset], value: child }));
+                });
+            case 'iterate':
+                return this.paths(node.target, input).flatMap(({ path, value }) => {
+                    if (value === null) return [];
+                    this.iterate(value);
+                    return this.childPaths(value).map(([key, child]) => ({ path: [...path, key], value: child }));
+                });
+            case 'pipe':
+                return this.paths(node.left, input).flatMap(outer => this.paths(node.right, outer.value)
+                    .map(inner => ({ path: [...outer.path, ...inner.path], value: inner.value })));
+            case 'comma':
+                return [...this.paths(node.left, input), ...this.paths(node.right, input)];
+            case 'try':
+                try {
+                    return this.paths(node.body, input);
+                } catch (error) {
+                    return [];
+                }
+            case 'call':
+                if (node.name === 'empty') return [];
+                if (node.name === 'select') {
+                    return this.evaluate(node.args[0], input).filter(value => this.truthy(value)).map(() => ({ path: [], value: input }));
+                }
+                if (node.name === 'values' || this.kinds.includes(node.name)) {
+                    return this.evaluate(node, input).map(value => ({ path: [], value }));
+                }
+                if ((node.name === 'first' || node.name === 'last') && node.args.length === 0) {
+                    return [{ path: [node.name === 'first' ? 0 : -1], value: this.index(input, node.name === 'first' ? 0 : -1) }];
+                }
+                break;
+        }
+        throw new Error('Invalid path expression: del() takes paths such as .a, .[0], .[], .[1:3] or select(...)');
+    }
+    
+    childPaths(value) {
+        return Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.keys(value).map(key => [key, value[key]]);
+    }
+    
+    // A copy of input without the values at paths. Deeper paths and higher
+    // indices go first so earlier removals do not shift later ones.
+    remove(input, paths) {
+        if (paths.some(path => path.length === 0)) return null;
+        const result = this.json.clone(input);
+        const unique = new Map(paths.map(path => [JSON.stringify(path), path]));
+        [...unique.values()].sort((a, b) => this.compare(b, a)).forEach(path => {
+            let parent = result;
+            for (const key of path.slice(0, -1)) {
+                parent = parent !== null && typeof parent === 'object' ? parent[key] : undefined;
+            }
+            const key = path[path.length - 1];
+            if (Array.isArray(parent) && typeof key === 'number') {
+                const position = key < 0 ? parent.length + key : key;
+                if (position >= 0 && position < parent.length) parent.splice(position, 1);
+            } else if (this.isObject(parent) && typeof key === 'string') {
+                delete parent[key];
+            } else if (parent !== null && parent !== undefined) {
+                throw new Error(`Cannot delete ${typeof key === 'number' ? 'index' : 'field'} ${JSON.stringify(key)} of ${this.typeOf(parent)}`);
+            }
+        });
+        return result;
+    }
+    
+    // Values
+    
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof LosslessNumber);
+    }
+    
+    truthy(value) {
+        return value !== null && value !== false;
+    }
+    
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (this.json.isNumber(value)) return 'number';
+        return typeof value;
+    }
+    
+    // Type and a short excerpt, for error messages
+    describe(value) {
+        const text = this.json.stringify(value);
+        return `${this.typeOf(value)} (${text.length > 30 ? `${text.slice(0, 27)}...` : text})`;
+    }
+    
+    // jq's order: null < false < true < numbers < strings < arrays < objects;
+    // arrays element by element, objects by their sorted keys and then values
+    compare(a, b) {
+        const rank = value => ['null', 'boolean', 'number', 'string', 'array', 'object'].indexOf(this.typeOf(value));
+        const difference = rank(a) - rank(b);
+        if (difference !== 0) return Math.sign(difference);
+        
+        switch (this.typeOf(a)) {
+            case 'boolean':
+                return Number(a) - Number(b);
+            case 'number':
+                return Number(a) < Number(b) ? -1 : Number(a) > Number(b) ? 1 : 0;
+            case 'string':
+                return a < b ? -1 : a > b ? 1 : 0;
+            case 'array': {
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    const result = this.compare(a[i], b[i]);
+                    if (result !== 0) return result;
+                }
+                return Math.sign(a.length - b.length);
+            }
+            case 'object': {
+                const keys = this.compare(Object.keys(a).sort(), Object.keys(b).sort());
+                if (keys !== 0) return keys;
+                for (const key of Object.keys(a).sort()) {
+                    const result = this.compare(a[key], b[key]);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            }
+            default:
+                return 0;
+        }
+    }
+}
+
+// JSON Path Extractor - Handles extracting objects by ID path
+
+class JSONPathExtractor {
+    extractByPath(data, path) {
+        if (!path || path === 'id') {
+            // Simple case: look for id at root level
+            if (Array.isArray(data)) {
+                return this.extractKeyedItems(data, this.parseKeySpec('id'));
+            } else if (data && typeof data === 'object' && data.id !== undefined) {
+                return [{ id: this.getKeyValue(data, this.parseKeySpec('id')), data, pointer: '' }];
+            }
+            throw new Error('No objects with id field found');
+        }
+        
+        // Handle JSONPath expressions like "$.users[*].id" or "$..id"
+        if (path.trim().startsWith('$')) {
+            return this.extractByJSONPath(data, path.trim());
+        }
+        
+        // Handle array notation like "users[].id"
+        if (path.includes('[]')) {
+            return this.extractFromArrayPath(data, path);
+        }
+        
+        // Handle nested paths like "user.profile.id"
+        return this.extractFromNestedPath(data, path);
+    }
+    
+    extractFromArrayPath(data, path) {
+        const separator = path.indexOf('[]');
+        const arrayPath = path.slice(0, separator);
+        const keyPath = path.slice(separator + 2).replace(/^\./, '');
+        const arrayData = arrayPath ? this.getNestedValue(data, arrayPath) : data;
+        
+        if (!Array.isArray(arrayData)) {
+            throw new Error(`Path ${arrayPath} does not point to an array`);
+        }
+        
+        const arrayPointer = this.toPointer(arrayPath ? arrayPath.split('.') : []);
+        return this.extractKeyedItems(arrayData, this.parseKeySpec(keyPath || 'id'), arrayPointer);
+    }
+    
+    extractFromNestedPath(data, path) {
+        const { objectPath, keyPath } = this.splitKeyPath(path);
+        const keySpec = this.parseKeySpec(keyPath);
+        
+        const targetData = objectPath ? this.getNestedValue(data, objectPath) : data;
+        const targetPointer = this.toPointer(objectPath ? objectPath.split('.') : []);
+        
+        if (Array.isArray(targetData)) {
+            return this.extractKeyedItems(targetData, keySpec, targetPointer);
+        } else if (targetData && typeof targetData === 'object') {
+            const id = this.getKeyValue(targetData, keySpec);
+            if (id !== undefined) {
+                return [{ id, data: targetData, pointer: targetPointer }];
+            }
+        }
+        
+        throw new Error(`No objects found with id field at path ${path}`);
+    }
+    
+    extractKeyedItems(items, keySpec, basePointer = '') {
+        return items.map((item, index) => ({ item, pointer: `${basePointer}/${index}` }))
+                    .filter(({ item }) => item && typeof item === 'object')
+                    .map(({ item, pointer }) => ({ id: this.getKeyValue(item, keySpec), data: item, pointer }))
+                    .filter(item => item.id !== undefined);
+    }
+    
+    // "$.users[*].id" selects the ID values and their parent objects become the
+    // records. A trailing "{a,b}" composite key is read from the selected objects
+    // instead ("$.users[*].{tenantId,id}"), and "|lower" style normalizers apply.
+    extractByJSONPath(data, path) {
+        let records;
+        
+        if (path.endsWith('}') && path.includes('{')) {
+            const { objectPath, keyPath } = this.splitKeyPath(path);
+            const keySpec = this.parseKeySpec(keyPath);
+            records = new JSONPath(objectPath).evaluate(data)
+                .filter(node => node.value && typeof node.value === 'object' && !Array.isArray(node.value))
+                .map(node => ({ id: this.getKeyValue(node.value, keySpec), data: node.value, pointer: this.toPointer(node.path) }));
+        } else {
+            const normalizers = [];
+            let expression = path;
+            let bar;
+            while ((bar = expression.lastIndexOf('|')) > 0 && ['lower', 'upper', 'trim'].includes(expression.slice(bar + 1).trim())) {
+                normalizers.unshift(expression.slice(bar + 1).trim());
+                expression = expression.slice(0, bar);
+            }
+            
+            records = new JSONPath(expression).evaluate(data)
+                .filter(node => node.path.length > 0 && node.value !== null &&
+                    (typeof node.value !== 'object' || node.value instanceof LosslessNumber))
+                .map(node => {
+                    const parentPath = node.path.slice(0, -1);
+                    const key = node.value instanceof LosslessNumber ? node.value.lexeme : node.value;
+                    const id = normalizers.reduce((value, name) => this.normalizeKeyValue(value, name), key);
+                    return { id, data: this.getByPointer(data, this.toPointer(parentPath)), pointer: this.toPointer(parentPath) };
+                })
+                .filter(record => record.data && typeof record.data === 'object' && !Array.isArray(record.data));
+        }
+        
+        records = records.filter(record => record.id !== undefined);
+        if (records.length === 0) {
+            throw new Error(`No objects found with id field at path ${path}`);
+        }
+        return records;
+    }
+    
+    // "user.profile.id" -> { objectPath: 'user.profile', keyPath: 'id' };
+    // a trailing "{...}" composite key is kept whole even if it contains dots
+    splitKeyPath(path) {
+        if (path.endsWith('}') && path.includes('{')) {
+            const braceIndex = path.lastIndexOf('{');
+            return {
+                objectPath: path.slice(0, braceIndex).replace(/\.$/, ''),
+                keyPath: path.slice(braceIndex)
+            };
+        }
+        
+        const pathParts = path.split('.');
+        const keyPath = pathParts.pop();
+        return { objectPath: pathParts.join('.'), keyPath };
+    }
+    
+    // Key specs: "id", "profile.email", "email|lower|trim" or a composite
+    // "{tenantId,id}" whose fields accept the same nesting and normalizers
+    parseKeySpec(spec) {
+        let body = (spec || '').trim();
+        const composite = body.startsWith('{') && body.endsWith('}');
+        if (composite) {
+            body = body.slice(1, -1);
+        }
+        
+        const fields = body.split(',').map(part => {
+            const [path, ...normalizers] = part.split('|').map(token => token.trim());
+            if (!path) {
+                throw new Error(`Key "${spec}" has an empty field`);
+            }
+            normalizers.forEach(name => {
+                if (!['lower', 'upper', 'trim'].includes(name)) {
+                    throw new Error(`Unknown key normalizer "${name}" in "${spec}" (use lower, upper or trim)`);
+                }
+            });
+            return { path, normalizers };
+        });
+        
+        if (!composite && fields.length > 1) {
+            throw new Error(`Composite key "${spec}" must be wrapped in braces, e.g. {${body}}`);
+        }
+        
+        return { composite, fields };
+    }
+    
+    getKeyValue(item, keySpec) {
+        const values = [];
+        for (const field of keySpec.fields) {
+            let value = this.getNestedValue(item, field.path);
+            if (value === undefined) return undefined;
+            if (value instanceof LosslessNumber) value = value.lexeme;
+            field.normalizers.forEach(name => {
+                value = this.normalizeKeyValue(value, name);
+            });
+            values.push(value);
+        }
+        
+        if (!keySpec.composite) return values[0];
+        return `{${keySpec.fields.map((field, i) => `${field.path}=${values[i]}`).join(',')}}`;
+    }
+    
+    normalizeKeyValue(value, name) {
+        switch (name) {
+            case 'lower':
+                return String(value).toLowerCase();
+            case 'upper':
+                return String(value).toUpperCase();
+            case 'trim':
+                return String(value).trim();
+            default:
+                return value;
+        }
+    }
+    
+    // Label used inside array brackets, e.g. "sku=A12" or "tenantId=acme,id=7"
+    formatKey(keySpec, value) {
+        return keySpec.composite ? value.slice(1, -1) : `${keySpec.fields[0].path}=${value}`;
+    }
+    
+    // Parses "orders[].lines[].sku" style lines into { 'orders[].lines': 'sku' }
+    parseArrayKeys(lines) {
+        const arrayKeys = {};
+        lines.forEach(line => {
+            const spec = line.trim();
+            const separator = spec.lastIndexOf('[].');
+            if (separator <= 0) {
+                throw new Error(`Array key "${spec}" must look like "path[].keyField"`);
+            }
+            const keyPath = spec.slice(separator + 3);
+            this.parseKeySpec(keyPath);
+            arrayKeys[spec.slice(0, separator)] = keyPath;
+        });
+        return arrayKeys;
+    }
+    
+    // Structural path ("orders[]") of the value at a JSON Pointer, so nested
+    // array keys can be resolved relative to the document root
+    getSchemaPath(data, pointer) {
+        let current = data;
+        let schemaPath = '';
+        this.parsePointer(pointer).forEach(key => {
+            if (Array.isArray(current)) {
+                schemaPath += '[]';
+            } else {
+                schemaPath = schemaPath ? `${schemaPath}.${key}` : key;
+            }
+            current = current !== null && typeof current === 'object' ? current[key] : undefined;
+        });
+        return schemaPath;
+    }
+    
+    // JSON Pointer (RFC 6901) helpers
+    
+    toPointer(segments) {
+        return segments.map(segment => `/${this.escapePointerSegment(segment)}`).join('');
+    }
+    
+    escapePointerSegment(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+    
+    parsePointer(pointer) {
+        if (pointer === '') return [];
+        if (!pointer.startsWith('/')) {
+            throw new Error(`Invalid JSON Pointer "${pointer}": must be empty or start with "/"`);
+        }
+        return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+    
+    // At or under one of the pointers in matches (a Set)
+    isCoveredBy(pointer, matches) {
+        let current = pointer;
+        for (;;) {
+            if (matches.has(current)) return true;
+            if (current === '') return false;
+            current = current.slice(0, current.lastIndexOf('/'));
+        }
+    }
+    
+    getByPointer(data, pointer) {
+        return this.parsePointer(pointer).reduce((current, key) => {
+            return current !== null && typeof current === 'object' ? current[key] : undefined;
+        }, data);
+    }
+    
+    getNestedValue(obj, path) {
         return path.split('.').reduce((current, key) => {
             return current && current[key] !== undefined ? current[key] : undefined;
         }, obj);
     }
 }
 
-// JSON Differ - Performs deep comparison between JSON objects
-class JSONDiffer {
-    constructor(options = {}) {
-        this.options = {
-            mode: 'exact',
-            ignoreExtraKeys: false,
-            caseSensitive: true,
-            ...options
-        };
+// JSON Differ - Performs deep comparison between JSON objects
+class JSONDiffer {
+    constructor(options = {}) {
+        this.options = {
+            mode: 'exact',
+            arrayMatching: 'index',
+            ignoreExtraKeys: false,
+            caseSensitive: true,
+            normalizeStrings: false,
+            ignoreTimestamps: false,
+            numericTolerance: 0,
+            includePaths: [],
+            excludePaths: [],
+            detectMoves: true,
+            moveThreshold: 0.8,
+            ...options
+        };
+        this.extractor = new JSONPathExtractor();
+        
+        // Compiled up front so invalid expressions fail before any diffing
+        this.includeFilters = this.options.includePaths.map(expression => new JSONPath(expression));
+        this.excludeFilters = this.options.excludePaths.map(expression => new JSONPath(expression));
+        this.resolvedFilters = new Map();
+        this.documents = { left: undefined, right: undefined };
+        this.json = new LosslessJSON();
+        this.hashes = new WeakMap();
+        this.keyHashes = new Map();
+        this.stats = { hashing: 0, diffing: 0, hashedNodes: 0, identicalSubtrees: 0, approximateAlignments: 0 };
+    }
+    
+    // objects are { id, data, pointer } records. With documents ({ json1, json2 })
+    // pointers and path filters refer to the whole inputs, otherwise each record
+    // is treated as its own document.
+    compare(objects1, objects2, documents = null) {
+        const matched = [];
+        const onlyInFirst = [];
+        const onlyInSecond = [];
+        const differences = [];
+        const recordPointer = obj => (documents ? obj.pointer || '' : '');
+        const useDocuments = (obj1, obj2) => {
+            this.documents = documents
+                ? { left: documents.json1, right: documents.json2 }
+                : { left: obj1 ? obj1.data : undefined, right: obj2 ? obj2.data : undefined };
+        };
+        
+        // Create maps for faster lookup
+        const map1 = new Map(objects1.map(obj => [String(obj.id), obj]));
+        const map2 = new Map(objects2.map(obj => [String(obj.id), obj]));
+        const total = map1.size + map2.size;
+        let compared = 0;
+        this.lastProgress = 0;
+        this.progress = { compared, total };
+        
+        // Hash every record once up front; identical branches are then skipped
+        // by comparing hashes instead of walking them
+        const hashStart = performance.now();
+        objects1.forEach(obj => this.hashValue(obj.data));
+        objects2.forEach(obj => this.hashValue(obj.data));
+        const diffStart = performance.now();
+        this.stats.hashing += diffStart - hashStart;
+        
+        // Find matched pairs and objects only in first
+        for (const [id, obj1] of map1) {
+            const obj2 = map2.get(id);
+            if (obj2) {
+                matched.push({ id, json1: obj1.data, json2: obj2.data });
+                useDocuments(obj1, obj2);
+                const pointers = { left: recordPointer(obj1), right: recordPointer(obj2) };
+                const objDiffs = this.compareValues(obj1.data, obj2.data, id, this.options.rootPath || '', pointers) || [];
+                [].concat(objDiffs).forEach(diff => {
+                    if (this.shouldIncludeDiff(diff)) differences.push(diff);
+                });
+                map2.delete(id); // Remove from second map
+                compared += 2;
+            } else {
+                onlyInFirst.push(obj1);
+                useDocuments(obj1, null);
+                const diff = {
+                    type: 'deleted',
+                    path: `ID: ${id}`,
+                    value: obj1.data,
+                    leftPointer: recordPointer(obj1)
+                };
+                if (this.shouldIncludeDiff(diff)) differences.push(diff);
+                compared++;
+            }
+            this.reportProgress(compared, total);
+        }
+        
+        // Objects only in second
+        for (const [id, obj2] of map2) {
+            onlyInSecond.push(obj2);
+            useDocuments(null, obj2);
+            const diff = {
+                type: 'added',
+                path: `ID: ${id}`,
+                value: obj2.data,
+                rightPointer: recordPointer(obj2)
+            };
+            if (this.shouldIncludeDiff(diff)) differences.push(diff);
+            this.reportProgress(++compared, total);
+        }
+        
+        const results = this.options.detectMoves ? this.detectMoves(differences) : differences;
+        const summary = this.calculateSummary(results);
+        this.stats.diffing += performance.now() - diffStart;
+        
+        return {
+            matched,
+            onlyInFirst,
+            onlyInSecond,
+            differences: results,
+            summary,
+            stats: {
+                hashing: Math.round(this.stats.hashing),
+                diffing: Math.round(this.stats.diffing),
+                hashedNodes: this.stats.hashedNodes,
+                identicalSubtrees: this.stats.identicalSubtrees,
+                approximateAlignments: this.stats.approximateAlignments
+            }
+        };
+    }
+    
+    // Throttled so a large comparison posts a handful of updates per second
+    reportProgress(compared, total) {
+        if (!this.options.onProgress) return;
+        this.progress = { compared, total };
+        const now = Date.now();
+        if (compared < total && now - this.lastProgress < 100) return;
+        this.lastProgress = now;
+        this.options.onProgress(compared, total, null);
+    }
+    
+    // Progress through one long array, between the per-record updates
+    reportStep(label, done, total) {
+        if (!this.options.onProgress) return;
+        const now = Date.now();
+        if (now - this.lastProgress < 100) return;
+        this.lastProgress = now;
+        this.options.onProgress(this.progress.compared, this.progress.total, { label, done, total });
+    }
+    
+    compareObjects(obj1, obj2, basePath = '', schemaPath = '', pointers = { left: '', right: '' }) {
+        const differences = [];
+        const allKeys = new Set([...Object.keys(obj1), ...Object.keys(obj2)]);
+        
+        for (const key of allKeys) {
+            const path = basePath ? `${basePath}.${key}` : key;
+            const childSchemaPath = schemaPath ? `${schemaPath}.${key}` : key;
+            const segment = this.extractor.escapePointerSegment(key);
+            const childPointers = { left: `${pointers.left}/${segment}`, right: `${pointers.right}/${segment}` };
+            const value1 = obj1[key];
+            const value2 = obj2[key];
+            
+            if (!(key in obj1)) {
+                // "Ignore extra keys in JSON 2"
+                if (!this.options.ignoreExtraKeys) {
+                    differences.push({
+                        type: 'added',
+                        path,
+                        value: value2,
+                        rightPointer: childPointers.right
+                    });
+                }
+            } else if (!(key in obj2)) {
+                differences.push({
+                    type: 'deleted',
+                    path,
+                    value: value1,
+                    leftPointer: childPointers.left
+                });
+            } else {
+                this.pushComparison(differences, this.compareValues(value1, value2, path, childSchemaPath, childPointers));
+            }
+        }
+        
+        return differences;
+    }
+    
+    pushComparison(differences, comparison) {
+        if (Array.isArray(comparison)) {
+            comparison.forEach(diff => differences.push(diff));
+        } else if (comparison) {
+            differences.push(comparison);
+        }
+    }
+    
+    compareValues(value1, value2, path, schemaPath = '', pointers = { left: '', right: '' }) {
+        if (this.isExcluded(pointers)) return null;
+        if (this.options.ignoreTimestamps && this.isTimestamp(pointers)) return null;
+        
+        // Identical branches cannot hold differences under any option. Equal
+        // hashes are confirmed, since two different branches can collide
+        if (this.isContainer(value1) && this.isContainer(value2) && this.hashValue(value1) === this.hashValue(value2)
+            && this.isIdentical(value1, value2)) {
+            this.stats.identicalSubtrees++;
+            return null;
+        }
+        
+        // Handle null and undefined
+        if (value1 === null && value2 === null) return null;
+        if (value1 === undefined && value2 === undefined) return null;
+        
+        if (value1 === null || value1 === undefined || value2 === null || value2 === undefined) {
+            return {
+                type: 'modified',
+                path,
+                oldValue: value1,
+                newValue: value2,
+                leftPointer: pointers.left,
+                rightPointer: pointers.right
+            };
+        }
+        
+        // Type comparison mode: only structure and leaf types count
+        if (this.options.mode === 'type') {
+            const type1 = this.typeName(value1);
+            const type2 = this.typeName(value2);
+            if (type1 !== type2) {
+                return {
+                    type: 'modified',
+                    path,
+                    oldValue: `${type1}: ${this.describeValue(value1)}`,
+                    newValue: `${type2}: ${this.describeValue(value2)}`,
+                    leftPointer: pointers.left,
+                    rightPointer: pointers.right
+                };
+            }
+            if (!this.isContainer(value1)) {
+                return null; // Types match, consider equal in type-only mode
+            }
+        }
+        
+        // Handle arrays
+        if (Array.isArray(value1) && Array.isArray(value2)) {
+            const keyField = this.getArrayKeyField(value1, value2, schemaPath);
+            if (keyField) {
+                return this.compareArraysByKey(value1, value2, path, schemaPath, keyField, pointers);
+            }
+            switch (this.options.arrayMatching) {
+                case 'hash':
+                    return this.compareArraysByHash(value1, value2, path, schemaPath, pointers);
+                case 'best_match':
+                    return this.compareArraysByBestMatch(value1, value2, path, schemaPath, pointers);
+                default: // 'index' and 'id' without usable keys
+                    return this.compareArrays(value1, value2, path, schemaPath, pointers);
+            }
+        }
+        
+        // Handle objects
+        if (this.isContainer(value1) && this.isContainer(value2) && !Array.isArray(value1) && !Array.isArray(value2)) {
+            const nestedDiffs = this.compareObjects(value1, value2, path, schemaPath, pointers);
+            return nestedDiffs.length > 0 ? nestedDiffs : null;
+        }
+        
+        // Handle primitives
+        if (this.valuesEqual(value1, value2)) {
+            return null;
+        }
+        
+        return {
+            type: 'modified',
+            path,
+            oldValue: value1,
+            newValue: value2,
+            leftPointer: pointers.left,
+            rightPointer: pointers.right
+        };
+    }
+    
+    // Array element helpers shared by the matching strategies
+    
+    compareElements(differences, arr1, arr2, i, j, itemPath, schemaPath, pointers) {
+        const elementPointers = { left: `${pointers.left}/${i}`, right: `${pointers.right}/${j}` };
+        this.pushComparison(differences, this.compareValues(arr1[i], arr2[j], itemPath, `${schemaPath}[]`, elementPointers));
+    }
+    
+    deletedElement(arr1, i, itemPath, pointers) {
+        return { type: 'deleted', path: itemPath, value: arr1[i], leftPointer: `${pointers.left}/${i}` };
+    }
+    
+    addedElement(arr2, j, itemPath, pointers) {
+        return { type: 'added', path: itemPath, value: arr2[j], rightPointer: `${pointers.right}/${j}` };
+    }
+    
+    // Primitive equality under the tolerance, normalization and case options.
+    // Numbers kept lossless by the parser are compared as exact decimals.
+    valuesEqual(value1, value2) {
+        if (typeof value1 === 'number' && typeof value2 === 'number') {
+            return value1 === value2 || Math.abs(value1 - value2) <= this.options.numericTolerance;
+        }
+        if (this.json.isNumber(value1) && this.json.isNumber(value2)) {
+            return this.json.numbersEqual(value1, value2, this.options.numericTolerance);
+        }
+        
+        let processed1 = value1;
+        let processed2 = value2;
+        
+        if (this.options.normalizeStrings && typeof value1 === 'string' && typeof value2 === 'string') {
+            processed1 = value1.trim().toLowerCase();
+            processed2 = value2.trim().toLowerCase();
+        }
+        
+        if (!this.options.caseSensitive) {
+            return String(processed1).toLowerCase() === String(processed2).toLowerCase();
+        }
+        return processed1 === processed2;
+    }
+    
+    describeValue(value) {
+        return typeof value === 'object' ? this.json.stringify(value) : String(value);
+    }
+    
+    // Objects and arrays; lossless numbers are leaves
+    isContainer(value) {
+        return value !== null && typeof value === 'object' && !(value instanceof LosslessNumber);
+    }
+    
+    typeName(value) {
+        if (Array.isArray(value)) return 'array';
+        return value instanceof LosslessNumber ? 'number' : typeof value;
+    }
+    
+    compareArrays(arr1, arr2, path, schemaPath = '', pointers = { left: '', right: '' }) {
+        if (this.options.mode === 'ignore-order') {
+            // Compare as sets
+            const set1 = new Set(arr1.map(item => this.hashValue(item)));
+            const set2 = new Set(arr2.map(item => this.hashValue(item)));
+            
+            if (set1.size === set2.size && [...set1].every(item => set2.has(item))) {
+                return null; // Arrays are equal when order is ignored
+            }
+        }
+        
+        const keys1 = arr1.map(item => this.hashValue(item));
+        const keys2 = arr2.map(item => this.hashValue(item));
+        const differences = [];
+        let deleted = [];
+        let added = [];
+        
+        // Pair up the deletions and additions between two aligned elements:
+        // paired elements are diffed in place, the rest are reported as-is
+        const flushGap = () => {
+            const paired = Math.min(deleted.length, added.length);
+            for (let k = 0; k < paired; k++) {
+                this.compareElements(differences, arr1, arr2, deleted[k], added[k], `${path}[${deleted[k]}]`, schemaPath, pointers);
+            }
+            deleted.slice(paired).forEach(i => {
+                differences.push(this.deletedElement(arr1, i, `${path}[${i}]`, pointers));
+            });
+            added.slice(paired).forEach(j => {
+                differences.push(this.addedElement(arr2, j, `${path}[${j}]`, pointers));
+            });
+            deleted = [];
+            added = [];
+        };
+        
+        this.alignSequences(keys1, keys2).forEach((op, index, ops) => {
+            this.reportStep('alignment steps compared', index, ops.length);
+            if (op.type === 'deleted') {
+                deleted.push(op.index1);
+            } else if (op.type === 'added') {
+                added.push(op.index2);
+            } else {
+                // Aligned on equal hashes, which compareValues confirms
+                flushGap();
+                this.compareElements(differences, arr1, arr2, op.index1, op.index2, `${path}[${op.index1}]`, schemaPath, pointers);
+            }
+        });
+        flushGap();
+        
+        return differences.length > 0 ? differences : null;
+    }
+    
+    // Key field used to match the elements of the array at schemaPath: an explicit
+    // arrayKeys entry wins, otherwise 'id' matching falls back to id/_id/key
+    // when every element on both sides carries that field.
+    getArrayKeyField(arr1, arr2, schemaPath) {
+        const arrayKeys = this.options.arrayKeys || {};
+        if (arrayKeys[schemaPath]) {
+            return arrayKeys[schemaPath];
+        }
+        
+        if (this.options.arrayMatching !== 'id') return null;
+        
+        const items = [...arr1, ...arr2];
+        if (items.length === 0 || !items.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+            return null;
+        }
+        return ['id', '_id', 'key'].find(field => items.every(item => item[field] !== undefined)) || null;
+    }
+    
+    compareArraysByKey(arr1, arr2, path, schemaPath, keyField, pointers = { left: '', right: '' }) {
+        const keySpec = this.extractor.parseKeySpec(keyField);
+        const itemKey = item => (item && typeof item === 'object' ? this.extractor.getKeyValue(item, keySpec) : undefined);
+        const differences = [];
+        const keyed2 = new Map();
+        const unkeyed1 = [];
+        const unkeyed2 = [];
+        
+        arr2.forEach((item, j) => {
+            const key = itemKey(item);
+            if (key === undefined) {
+                unkeyed2.push(j);
+                return;
+            }
+            const id = String(key);
+            if (!keyed2.has(id)) keyed2.set(id, []);
+            keyed2.get(id).push(j);
+        });
+        
+        arr1.forEach((item, i) => {
+            const key = itemKey(item);
+            if (key === undefined) {
+                unkeyed1.push(i);
+                return;
+            }
+            const itemPath = `${path}[${this.extractor.formatKey(keySpec, key)}]`;
+            const candidates = keyed2.get(String(key));
+            if (candidates && candidates.length > 0) {
+                this.compareElements(differences, arr1, arr2, i, candidates.shift(), itemPath, schemaPath, pointers);
+            } else {
+                differences.push(this.deletedElement(arr1, i, itemPath, pointers));
+            }
+        });
+        
+        for (const indexes of keyed2.values()) {
+            indexes.forEach(j => {
+                const key = itemKey(arr2[j]);
+                differences.push(this.addedElement(arr2, j, `${path}[${this.extractor.formatKey(keySpec, key)}]`, pointers));
+            });
+        }
+        
+        // Elements without a key are paired up in order of appearance
+        const paired = Math.min(unkeyed1.length, unkeyed2.length);
+        for (let k = 0; k < paired; k++) {
+            this.compareElements(differences, arr1, arr2, unkeyed1[k], unkeyed2[k], `${path}[${unkeyed1[k]}]`, schemaPath, pointers);
+        }
+        unkeyed1.slice(paired).forEach(i => {
+            differences.push(this.deletedElement(arr1, i, `${path}[${i}]`, pointers));
+        });
+        unkeyed2.slice(paired).forEach(j => {
+            differences.push(this.addedElement(arr2, j, `${path}[${j}]`, pointers));
+        });
+        
+        return differences.length > 0 ? differences : null;
+    }
+    
+    compareArraysByBestMatch(arr1, arr2, path, schemaPath = '', pointers = { left: '', right: '' }) {
+        const threshold = this.options.similarityThreshold !== undefined ? this.options.similarityThreshold : 0.5;
+        const pairs = new Map();
+        
+        // Identical elements pair up first, the rest go through the assignment
+        const pending = new Map();
+        arr2.forEach((item, j) => {
+            const key = this.hashValue(item);
+            if (!pending.has(key)) pending.set(key, []);
+            pending.get(key).push(j);
+        });
+        const rest1 = [];
+        arr1.forEach((item, i) => {
+            const candidates = pending.get(this.hashValue(item));
+            if (candidates && candidates.length > 0) {
+                pairs.set(i, candidates.shift());
+            } else {
+                rest1.push(i);
+            }
+        });
+        const paired2 = new Set(pairs.values());
+        const rest2 = arr2.map((_, j) => j).filter(j => !paired2.has(j));
+        
+        if (rest1.length > 0 && rest2.length > 0 && rest1.length * rest2.length <= 40000) {
+            const weights = rest1.map(i => rest2.map(j => {
+                const score = this.calculateSimilarity(arr1[i], arr2[j]);
+                return score >= threshold && score > 0 ? score : 0;
+            }));
+            this.assignMaxWeight(weights).forEach((c, r) => {
+                if (c !== -1 && weights[r][c] > 0) {
+                    pairs.set(rest1[r], rest2[c]);
+                }
+            });
+        } else if (rest1.length > 0 && rest2.length > 0) {
+            // The assignment is cubic, so large leftovers pair up in order instead
+            this.stats.approximateAlignments++;
+            for (let k = 0; k < Math.min(rest1.length, rest2.length); k++) {
+                const score = this.calculateSimilarity(arr1[rest1[k]], arr2[rest2[k]]);
+                if (score >= threshold && score > 0) pairs.set(rest1[k], rest2[k]);
+            }
+        }
+        
+        const differences = [];
+        const matched2 = new Set(pairs.values());
+        arr1.forEach((item, i) => {
+            if (pairs.has(i)) {
+                this.compareElements(differences, arr1, arr2, i, pairs.get(i), `${path}[${i}]`, schemaPath, pointers);
+            } else {
+                differences.push(this.deletedElement(arr1, i, `${path}[${i}]`, pointers));
+            }
+        });
+        arr2.forEach((item, j) => {
+            if (!matched2.has(j)) {
+                differences.push(this.addedElement(arr2, j, `${path}[${j}]`, pointers));
+            }
+        });
+        
+        return differences.length > 0 ? differences : null;
+    }
+    
+    // Multiset comparison: elements are matched by content hash regardless of
+    // position, anything left over on either side is deleted or added
+    compareArraysByHash(arr1, arr2, path, schemaPath = '', pointers = { left: '', right: '' }) {
+        const pending = new Map();
+        arr2.forEach((item, j) => {
+            const hash = this.hashValue(item);
+            if (!pending.has(hash)) pending.set(hash, []);
+            pending.get(hash).push(j);
+        });
+        
+        const differences = [];
+        arr1.forEach((item, i) => {
+            const candidates = pending.get(this.hashValue(item)) || [];
+            const match = candidates.findIndex(j => this.isIdentical(item, arr2[j]));
+            if (match !== -1) {
+                candidates.splice(match, 1);
+            } else {
+                differences.push(this.deletedElement(arr1, i, `${path}[${i}]`, pointers));
+            }
+        });
+        for (const indexes of pending.values()) {
+            indexes.forEach(j => {
+                differences.push(this.addedElement(arr2, j, `${path}[${j}]`, pointers));
+            });
+        }
+        
+        return differences.length > 0 ? differences : null;
+    }
+    
+    // Merkle-style structural hash. Each object and array is hashed once from
+    // its children's hashes and cached, so deep documents are not serialized
+    // again at every level. Object keys are sorted when ignoreKeyOrder is set.
+    // Containers hash to a 53-bit number and primitives to their JSON text (numbers
+    // to their exact decimal), so the two can never be mistaken for each other.
+    hashValue(value) {
+        if (!this.isContainer(value)) {
+            return this.json.isNumber(value) ? this.json.canonicalNumber(value) : JSON.stringify(value);
+        }
+        
+        let hash = this.hashes.get(value);
+        if (hash !== undefined) return hash;
+        
+        const parts = [];
+        if (Array.isArray(value)) {
+            for (const item of value) parts.push(this.hashNode(item));
+        } else {
+            const keys = this.options.ignoreKeyOrder ? Object.keys(value).sort() : Object.keys(value);
+            for (const key of keys) {
+                let keyHash = this.keyHashes.get(key);
+                if (keyHash === undefined) {
+                    keyHash = this.hashString(key);
+                    this.keyHashes.set(key, keyHash);
+                }
+                parts.push(keyHash, this.hashNode(value[key]));
+            }
+        }
+        
+        let h1 = 0xdeadbeef;
+        let h2 = Array.isArray(value) ? 0x41c6ce57 : 0x2f1d6a35;
+        for (const part of parts) {
+            h1 = Math.imul(h1 ^ (part >>> 0), 2654435761);
+            h2 = Math.imul(h2 ^ (part / 4294967296), 1597334677);
+        }
+        
+        hash = this.finishHash(h1, h2);
+        this.hashes.set(value, hash);
+        this.stats.hashedNodes++;
+        return hash;
+    }
+    
+    // Exact counterpart of hashValue equality, used to confirm equal hashes
+    isIdentical(value1, value2) {
+        if (!this.isContainer(value1) || !this.isContainer(value2)) {
+            return !this.isContainer(value1) && !this.isContainer(value2) && this.hashValue(value1) === this.hashValue(value2);
+        }
+        if (Array.isArray(value1) !== Array.isArray(value2)) return false;
+        if (Array.isArray(value1)) {
+            return value1.length === value2.length && value1.every((item, i) => this.isIdentical(item, value2[i]));
+        }
+        
+        const keys1 = Object.keys(value1);
+        const keys2 = Object.keys(value2);
+        if (keys1.length !== keys2.length) return false;
+        if (!this.options.ignoreKeyOrder && keys1.some((key, i) => key !== keys2[i])) return false;
+        return keys1.every(key => Object.prototype.hasOwnProperty.call(value2, key) && this.isIdentical(value1[key], value2[key]));
+    }
+    
+    hashNode(value) {
+        const hash = this.hashValue(value);
+        return typeof hash === 'number' ? hash : this.hashString(String(hash));
+    }
+    
+    // cyrb53: 53-bit string hash from two 32-bit multiply-xorshift lanes
+    hashString(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        return this.finishHash(h1, h2);
+    }
+    
+    finishHash(h1, h2) {
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return 2097152 * (h2 & 2097151) + (h1 >>> 0);
+    }
+    
+    // Share of fields (by union of keys) that hold the same value on both sides,
+    // recursing into nested objects for partial credit. 1 means identical.
+    calculateSimilarity(value1, value2) {
+        const isObject = value => this.isContainer(value) && !Array.isArray(value);
+        
+        if (this.hashValue(value1) === this.hashValue(value2) && this.isIdentical(value1, value2)) return 1;
+        if (!isObject(value1) || !isObject(value2)) return 0;
+        
+        const keys = new Set([...Object.keys(value1), ...Object.keys(value2)]);
+        if (keys.size === 0) return 1;
+        
+        let score = 0;
+        for (const key of keys) {
+            if (key in value1 && key in value2) {
+                score += this.calculateSimilarity(value1[key], value2[key]);
+            }
+        }
+        return score / keys.size;
+    }
+    
+    // Hungarian algorithm over a rows x cols weight matrix. Returns, for each row,
+    // the column it is assigned to (or -1) so that the total weight is maximal.
+    assignMaxWeight(weights) {
+        const rows = weights.length;
+        const cols = rows > 0 ? weights[0].length : 0;
+        const size = Math.max(rows, cols);
+        const cost = (r, c) => (r < rows && c < cols ? -weights[r][c] : 0);
+        
+        const u = new Float64Array(size + 1);
+        const v = new Float64Array(size + 1);
+        const match = new Int32Array(size + 1); // column -> row (1-based)
+        const way = new Int32Array(size + 1);
+        
+        for (let r = 1; r <= size; r++) {
+            match[0] = r;
+            let c0 = 0;
+            const minv = new Float64Array(size + 1).fill(Infinity);
+            const used = new Uint8Array(size + 1);
+            do {
+                used[c0] = 1;
+                const r0 = match[c0];
+                let delta = Infinity;
+                let c1 = 0;
+                for (let c = 1; c <= size; c++) {
+                    if (used[c]) continue;
+                    const cur = cost(r0 - 1, c - 1) - u[r0] - v[c];
+                    if (cur < minv[c]) {
+                        minv[c] = cur;
+                        way[c] = c0;
+                    }
+                    if (minv[c] < delta) {
+                        delta = minv[c];
+                        c1 = c;
+                    }
+                }
+                for (let c = 0; c <= size; c++) {
+                    if (used[c]) {
+                        u[match[c]] += delta;
+                        v[c] -= delta;
+                    } else {
+                        minv[c] -= delta;
+                    }
+                }
+                c0 = c1;
+            } while (match[c0] !== 0);
+            do {
+                const c1 = way[c0];
+                match[c0] = match[c1];
+                c0 = c1;
+            } while (c0);
+        }
+        
+        const assignment = new Array(rows).fill(-1);
+        for (let c = 1; c <= size; c++) {
+            if (match[c] > 0 && match[c] <= rows && c <= cols) {
+                assignment[match[c] - 1] = c - 1;
+            }
+        }
+        return assignment;
+    }
+    
+    // Linear-space Myers diff between two sequences of keys: each box is split
+    // at its middle snake and both halves go on an explicit stack, so memory
+    // stays O(N+M) and long inputs never recurse. Once the work budget is spent
+    // the remaining boxes are aligned on their unique keys instead. Returns a
+    // list of 'equal', 'deleted' and 'added' operations in order.
+    alignSequences(keys1, keys2) {
+        const ops = [];
+        const stack = [{ start1: 0, end1: keys1.length, start2: 0, end2: keys2.length }];
+        this.alignmentBudget = 20000000;
+        
+        while (stack.length > 0) {
+            let { start1, end1, start2, end2, equal } = stack.pop();
+            // Boxes come off the stack in order, so everything before one is aligned
+            this.reportStep('array elements aligned', start1 + start2, keys1.length + keys2.length);
+            if (equal) {
+                for (let i = 0; i < end1 - start1; i++) {
+                    ops.push({ type: 'equal', index1: start1 + i, index2: start2 + i });
+                }
+                continue;
+            }
+            
+            // Common prefix and suffix never need the full search
+            while (start1 < end1 && start2 < end2 && keys1[start1] === keys2[start2]) {
+                ops.push({ type: 'equal', index1: start1++, index2: start2++ });
+            }
+            const suffixEnd1 = end1;
+            const suffixEnd2 = end2;
+            while (end1 > start1 && end2 > start2 && keys1[end1 - 1] === keys2[end2 - 1]) {
+                end1--;
+                end2--;
+            }
+            if (suffixEnd1 > end1) {
+                stack.push({ start1: end1, end1: suffixEnd1, start2: end2, end2: suffixEnd2, equal: true });
+            }
+            
+            const split = start1 < end1 && start2 < end2
+                ? this.findMiddleSnake(keys1, keys2, start1, end1, start2, end2)
+                : null;
+            if (split) {
+                stack.push({ start1: split.x, end1, start2: split.y, end2 });
+                stack.push({ start1, end1: split.x, start2, end2: split.y });
+                continue;
+            }
+            if (this.alignmentBudget <= 0 && start1 < end1 && start2 < end2) {
+                this.stats.approximateAlignments++;
+                this.alignByUniqueKeys(keys1, keys2, start1, end1, start2, end2, ops);
+                continue;
+            }
+            for (let i = start1; i < end1; i++) ops.push({ type: 'deleted', index1: i });
+            for (let j = start2; j < end2; j++) ops.push({ type: 'added', index2: j });
+        }
+        return ops;
+    }
+    
+    // O(n log n) fallback for a box the budget cannot cover: keys that occur
+    // exactly once on each side anchor the alignment (the longest run of them
+    // in the same order on both sides), and the elements between two anchors
+    // are left for compareArrays to pair up by position
+    alignByUniqueKeys(keys1, keys2, start1, end1, start2, end2, ops) {
+        const occurrences = new Map();
+        for (let i = start1; i < end1; i++) {
+            const entry = occurrences.get(keys1[i]);
+            if (entry) entry.count1++;
+            else occurrences.set(keys1[i], { count1: 1, count2: 0, index2: -1 });
+        }
+        for (let j = start2; j < end2; j++) {
+            const entry = occurrences.get(keys2[j]);
+            if (!entry) continue;
+            entry.count2++;
+            entry.index2 = j;
+        }
+        
+        // Longest increasing run of right indices, by patience sorting
+        const unique = [];
+        for (let i = start1; i < end1; i++) {
+            const entry = occurrences.get(keys1[i]);
+            if (entry.count1 === 1 && entry.count2 === 1) unique.push({ index1: i, index2: entry.index2 });
+        }
+        const tails = [];
+        const previous = new Int32Array(unique.length).fill(-1);
+        unique.forEach((anchor, k) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (unique[tails[mid]].index2 < anchor.index2) low = mid + 1;
+                else high = mid;
+            }
+            if (low > 0) previous[k] = tails[low - 1];
+            tails[low] = k;
+        });
+        const anchors = [];
+        for (let k = tails.length > 0 ? tails[tails.length - 1] : -1; k !== -1; k = previous[k]) anchors.push(unique[k]);
+        anchors.reverse();
+        
+        let i = start1;
+        let j = start2;
+        anchors.concat({ index1: end1, index2: end2 }).forEach(anchor => {
+            for (; i < anchor.index1; i++) ops.push({ type: 'deleted', index1: i });
+            for (; j < anchor.index2; j++) ops.push({ type: 'added', index2: j });
+            if (anchor.index1 < end1) ops.push({ type: 'equal', index1: i++, index2: j++ });
+        });
+    }
+    
+    // Middle snake of the box keys1[start1, end1) x keys2[start2, end2): the
+    // forward and reverse searches run until their furthest paths overlap.
+    // Returns the split point, or null when the box has nothing in common or
+    // the alignment budget runs out.
+    findMiddleSnake(keys1, keys2, start1, end1, start2, end2) {
+        const n = end1 - start1;
+        const m = end2 - start2;
+        const maxD = Math.ceil((n + m) / 2);
+        const offset = maxD + 1;
+        const size = 2 * maxD + 3;
+        const forward = new Int32Array(size).fill(-1);
+        const reverse = new Int32Array(size).fill(-1);
+        const delta = n - m;
+        const frontOverlaps = delta % 2 !== 0;
+        forward[offset + 1] = 0;
+        reverse[offset + 1] = 0;
+        
+        // Diagonals whose paths ran off the grid are trimmed from the search
+        let forwardStart = 0;
+        let forwardEnd = 0;
+        let reverseStart = 0;
+        let reverseEnd = 0;
+        
+        for (let d = 0; d < maxD; d++) {
+            this.alignmentBudget -= 2 * d + 2;
+            if (this.alignmentBudget <= 0) return null;
+            
+            for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+                let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                    ? forward[offset + k + 1]
+                    : forward[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && keys1[start1 + x] === keys2[start2 + y]) {
+                    x++;
+                    y++;
+                }
+                forward[offset + k] = x;
+                if (x > n) {
+                    forwardEnd += 2;
+                } else if (y > m) {
+                    forwardStart += 2;
+                } else if (frontOverlaps) {
+                    const mirror = offset + delta - k;
+                    if (mirror >= 0 && mirror < size && reverse[mirror] !== -1 && x >= n - reverse[mirror]) {
+                        return { x: start1 + x, y: start2 + y };
+                    }
+                }
+            }
+            
+            for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+                let x = (k === -d || (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1]))
+                    ? reverse[offset + k + 1]
+                    : reverse[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && keys1[end1 - x - 1] === keys2[end2 - y - 1]) {
+                    x++;
+                    y++;
+                }
+                reverse[offset + k] = x;
+                if (x > n) {
+                    reverseEnd += 2;
+                } else if (y > m) {
+                    reverseStart += 2;
+                } else if (!frontOverlaps) {
+                    const mirror = offset + delta - k;
+                    if (mirror >= 0 && mirror < size && forward[mirror] !== -1 && forward[mirror] >= n - x) {
+                        const splitX = forward[mirror];
+                        return { x: start1 + splitX, y: start2 + splitX - (mirror - offset) };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+    
+    // Only the key holding the value is tested, so ancestors and record ids
+    // such as "dates" or "runtime-42" do not hide whole branches. Date and time
+    // must be whole words or camelCase suffixes, so "runtime" stays compared.
+    isTimestamp(pointers) {
+        const timestampPatterns = [
+            /timestamp/i,
+            /(^|[_-])(date|time|datetime|at)$/i,
+            /[a-z](Date|Time|At)$/
+        ];
+        
+        const segments = this.extractor.parsePointer(pointers.left || pointers.right || '');
+        const key = segments[segments.length - 1];
+        return key !== undefined && timestampPatterns.some(pattern => pattern.test(key));
+    }
+    
+    // Path filters are JSONPath expressions evaluated against each side's
+    // document; a location is covered when it or one of its ancestors matched
+    resolveFilters(document) {
+        if (!this.resolvedFilters.has(document)) {
+            const collect = (filters, withAncestors) => {
+                const matches = new Set();
+                const ancestors = new Set();
+                filters.forEach(filter => {
+                    filter.evaluate(document).forEach(node => {
+                        matches.add(this.extractor.toPointer(node.path));
+                        if (withAncestors) {
+                            for (let length = 0; length < node.path.length; length++) {
+                                ancestors.add(this.extractor.toPointer(node.path.slice(0, length)));
+                            }
+                        }
+                    });
+                });
+                return { matches, ancestors };
+            };
+            const include = collect(this.includeFilters, true);
+            this.resolvedFilters.set(document, {
+                include: include.matches,
+                includeAncestors: include.ancestors,
+                exclude: collect(this.excludeFilters, false).matches
+            });
+        }
+        return this.resolvedFilters.get(document);
+    }
+    
+    isExcluded(pointers) {
+        if (this.excludeFilters.length === 0) return false;
+        return (pointers.left !== undefined && this.documents.left !== undefined &&
+                this.extractor.isCoveredBy(pointers.left, this.resolveFilters(this.documents.left).exclude)) ||
+            (pointers.right !== undefined && this.documents.right !== undefined &&
+                this.extractor.isCoveredBy(pointers.right, this.resolveFilters(this.documents.right).exclude));
+    }
+    
+    // Included diffs sit at, below or above (containing) an include match on
+    // either side, and are not excluded
+    shouldIncludeDiff(diff) {
+        const pointers = { left: diff.leftPointer, right: diff.rightPointer };
+        if (this.isExcluded(pointers)) return false;
+        if (this.includeFilters.length === 0) return true;
+        
+        return ['left', 'right'].some(side => {
+            if (pointers[side] === undefined || this.documents[side] === undefined) return false;
+            const filters = this.resolveFilters(this.documents[side]);
+            return this.extractor.isCoveredBy(pointers[side], filters.include) || filters.includeAncestors.has(pointers[side]);
+        });
+    }
+    
+    // Pairs deleted and added entries that hold the same (or, for objects and
+    // arrays, a highly similar) value into a single moved entry. Fields inside
+    // a wholly added or deleted object are candidates too, so a value moved
+    // under a new parent is found. Primitives only pair as a rename under the
+    // same parent, so unrelated fields that merely share a value stay apart.
+    // Whole records (ID: x) are identity matches and never take part.
+    detectMoves(differences) {
+        const sources = [];
+        const targets = [];
+        differences.forEach((diff, index) => {
+            if (diff.path.startsWith('ID: ')) return;
+            if (diff.type === 'deleted') this.collectMoveCandidates(sources, index, diff, diff.leftPointer);
+            else if (diff.type === 'added') this.collectMoveCandidates(targets, index, diff, diff.rightPointer);
+        });
+        if (!sources.length || !targets.length) return differences;
+        
+        const isStructured = value => this.isContainer(value);
+        const taken = new Map(); // difference index -> segment lists already used
+        const isFree = candidate => (taken.get(candidate.index) || []).every(segments => {
+            const length = Math.min(segments.length, candidate.segments.length);
+            return segments.slice(0, length).some((segment, i) => segment !== candidate.segments[i]);
+        });
+        const take = candidate => {
+            if (!taken.has(candidate.index)) taken.set(candidate.index, []);
+            taken.get(candidate.index).push(candidate.segments);
+        };
+        const moves = [];
+        const pair = (from, to, similarity) => {
+            take(from);
+            take(to);
+            moves.push({ from, to, similarity });
+        };
+        
+        // Identical values, preferring a rename, then a same-key move, then the
+        // shallowest location
+        const byHash = new Map();
+        targets.forEach(candidate => {
+            const hash = this.hashValue(candidate.value);
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(candidate);
+        });
+        const pairIdentical = from => {
+            if (!isFree(from)) return;
+            const match = (byHash.get(this.hashValue(from.value)) || [])
+                .filter(to => isFree(to) && this.isIdentical(from.value, to.value))
+                .map(to => ({ to, rank: this.moveRank(from, to) }))
+                .filter(candidate => candidate.rank > 0)
+                .sort((a, b) => b.rank - a.rank || a.to.segments.length - b.to.segments.length)[0];
+            if (match) pair(from, match.to, 1);
+        };
+        
+        // Objects and arrays go first so a moved subtree is reported once
+        // rather than field by field
+        sources.filter(candidate => isStructured(candidate.value)).forEach(pairIdentical);
+        
+        // Then objects and arrays that were edited while being moved
+        const rows = sources.filter(candidate => isStructured(candidate.value) && isFree(candidate));
+        const cols = targets.filter(candidate => isStructured(candidate.value) && isFree(candidate));
+        const threshold = this.options.moveThreshold;
+        if (rows.length && cols.length && rows.length * cols.length <= 40000) {
+            const weights = rows.map(from => cols.map(to => {
+                const score = this.calculateSimilarity(from.value, to.value);
+                return score >= threshold ? score : 0;
+            }));
+            this.assignMaxWeight(weights)
+                .map((col, row) => ({ row, col, weight: col >= 0 ? weights[row][col] : 0 }))
+                .filter(assignment => assignment.weight > 0)
+                .sort((a, b) => b.weight - a.weight)
+                .forEach(({ row, col, weight }) => {
+                    // Overlapping locations of one entry can both be assigned
+                    if (isFree(rows[row]) && isFree(cols[col])) pair(rows[row], cols[col], weight);
+                });
+        }
+        
+        sources.filter(candidate => !isStructured(candidate.value)).forEach(pairIdentical);
+        if (!moves.length) return differences;
+        
+        const movesFrom = new Map();
+        moves.forEach(move => {
+            if (!movesFrom.has(move.from.index)) movesFrom.set(move.from.index, []);
+            movesFrom.get(move.from.index).push(move);
+        });
+        
+        const results = [];
+        differences.forEach((diff, index) => {
+            (movesFrom.get(index) || []).forEach(move => this.pushMove(results, move));
+            if (taken.has(index)) {
+                this.pushRemainder(results, diff, taken.get(index));
+            } else {
+                results.push(diff);
+            }
+        });
+        return results;
+    }
+    
+    // The entry itself plus the fields of the plain objects below it. An added
+    // or deleted array element moves as a whole or not at all: its scalar
+    // fields are part of the record, not values that left it.
+    collectMoveCandidates(candidates, index, diff, pointer = '', depth = 3) {
+        const isElement = diff.path.endsWith(']');
+        const visit = (value, path, segments, valuePointer) => {
+            if (!(isElement && segments.length > 0 && !this.isContainer(value))) {
+                candidates.push({ index, value, path, segments, pointer: valuePointer });
+            }
+            if (segments.length >= depth || !this.isContainer(value) || Array.isArray(value)) return;
+            Object.keys(value).forEach(key => {
+                visit(value[key], `${path}.${key}`, [...segments, key],
+                    `${valuePointer}/${this.extractor.escapePointerSegment(key)}`);
+            });
+        };
+        visit(diff.value, diff.path, [], pointer);
+    }
+    
+    pushMove(results, { from, to, similarity }) {
+        const moved = {
+            type: 'moved',
+            path: to.path,
+            fromPath: from.path,
+            // A different index under the same array is a reorder, not a rename
+            renamed: this.splitPath(from.path).parent === this.splitPath(to.path).parent && !to.path.endsWith(']'),
+            oldValue: from.value,
+            newValue: to.value,
+            leftPointer: from.pointer,
+            rightPointer: to.pointer
+        };
+        results.push(moved);
+        if (similarity < 1) {
+            moved.similarity = similarity;
+            const pointers = { left: from.pointer || '', right: to.pointer || '' };
+            this.pushComparison(results, this.compareValues(from.value, to.value, to.path, '', pointers));
+        }
+    }
+    
+    // An added or deleted object some of whose fields were paired as moves is
+    // still reported, holding only the fields that did not move
+    pushRemainder(results, diff, usedSegments) {
+        if (usedSegments.some(segments => segments.length === 0)) return;
+        const value = this.json.clone(diff.value);
+        usedSegments.forEach(segments => {
+            const parent = segments.slice(0, -1).reduce((node, key) => node[key], value);
+            delete parent[segments[segments.length - 1]];
+        });
+        results.push({ ...diff, value });
+    }
+    
+    // 2 = renamed under the same parent, 1 = a structured value anywhere, 0 =
+    // not a plausible move. Booleans and nulls say too little on their own to
+    // count as a rename.
+    moveRank(from, to) {
+        const structured = this.isContainer(from.value);
+        if (this.splitPath(from.path).parent === this.splitPath(to.path).parent &&
+            (structured || ['string', 'number'].includes(this.typeName(from.value)))) return 2;
+        return structured ? 1 : 0;
+    }
+    
+    splitPath(path) {
+        const match = /^(.*?)(?:\.([^.[\]]+)|\[([^\]]*)\])$/.exec(path);
+        return match ? { parent: match[1], key: match[2] ?? match[3] } : { parent: '', key: path };
+    }
+    
+    calculateSummary(differences) {
+        const summary = {
+            totalDifferences: differences.length,
+            added: 0,
+            deleted: 0,
+            modified: 0,
+            moved: 0,
+            equal: 0
+        };
+        
+        differences.forEach(diff => {
+            if (Array.isArray(diff)) {
+                // Handle nested differences
+                diff.forEach(nestedDiff => {
+                    if (nestedDiff.type && summary[nestedDiff.type] !== undefined) {
+                        summary[nestedDiff.type]++;
+                    }
+                });
+            } else if (diff.type && summary[diff.type] !== undefined) {
+                summary[diff.type]++;
+            }
+        });
+        
+        return summary;
+    }
+}
+
+// Severity Rules - Grades every difference as breaking, warning or info. A rule
+// names the changes it covers ('added', 'deleted', 'modified', 'moved', and the
+// narrower 'type-changed' and 'renamed'), optionally a JSONPath the difference
+// must sit at or under and a JSONPath filter on its value ('@ == null'), and
+// the severity and label it assigns. Custom rules are tried before the
+// preset's, the first match wins and unmatched differences are info.
+class SeverityRules {
+    constructor(rules = [], preset = null) {
+        this.extractor = new JSONPathExtractor();
+        this.severities = ['breaking', 'warning', 'info'];
+        this.changes = ['added', 'deleted', 'modified', 'moved', 'type-changed', 'renamed'];
+        this.presets = {
+            // Clients reading JSON 1's shape break on removals, renames and type changes
+            'api-contract': [
+                { change: 'deleted', severity: 'breaking', label: 'Removed' },
+                { change: 'modified', when: '@ == null', severity: 'warning', label: 'Became null' },
+                { change: 'type-changed', severity: 'breaking', label: 'Type changed' },
+                { change: 'renamed', severity: 'breaking', label: 'Renamed' },
+                { change: 'moved', severity: 'warning', label: 'Moved' },
+                { change: 'modified', severity: 'info', label: 'Value changed' },
+                { change: 'added', severity: 'info', label: 'Added' }
+            ],
+            // Any change to existing data breaks; additions only warn
+            strict: [
+                { change: ['deleted', 'modified', 'renamed'], severity: 'breaking', label: 'Changed' },
+                { change: ['added', 'moved'], severity: 'warning', label: 'Changed' }
+            ],
+            // Only lost fields and type changes are worth a look
+            lenient: [
+                { change: ['deleted', 'type-changed'], severity: 'warning', label: 'Removed or retyped' }
+            ]
+        };
+        
+        if (preset && !this.presets[preset]) throw new Error(`Unknown severity preset "${preset}"`);
+        this.rules = [
+            ...rules.map((rule, index) => this.compile(rule, `Severity rule ${index + 1}`)),
+            ...(preset ? this.presets[preset].map(rule => this.compile(rule, preset)) : [])
+        ];
+    }
+    
+    compile(rule, name) {
+        if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${name} must be an object`);
+        if (!this.severities.includes(rule.severity)) {
+            throw new Error(`${name}: severity must be one of ${this.severities.join(', ')}`);
+        }
+        const changes = rule.change === undefined || rule.change === '*' ? null : [].concat(rule.change);
+        (changes || []).forEach(change => {
+            if (!this.changes.includes(change)) throw new Error(`${name}: unknown change "${change}", expected one of ${this.changes.join(', ')}`);
+        });
+        
+        let path = null;
+        let condition = null;
+        try {
+            if (rule.path) path = new JSONPath(rule.path);
+            // The condition is a filter selector run over a one-element array
+            if (rule.when) condition = new JSONPath(`$[?(${rule.when})]`);
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+        return {
+            severity: rule.severity,
+            label: rule.label || '',
+            changes,
+            path,
+            condition,
+            pointers: new Map() // document -> pointers the path matched in it
+        };
+    }
+    
+    // Tags each difference with severity (and severityLabel when the rule has
+    // one). Path rules only match when the compared documents are given.
+    classify(differences, documents = null) {
+        differences.forEach(diff => {
+            const kinds = this.kindsOf(diff);
+            const rule = this.rules.find(candidate => this.matches(candidate, diff, kinds, documents));
+            diff.severity = rule ? rule.severity : 'info';
+            if (rule && rule.label) diff.severityLabel = rule.label;
+        });
+    }
+    
+    count(differences) {
+        const counts = { breaking: 0, warning: 0, info: 0 };
+        differences.forEach(diff => {
+            if (counts[diff.severity] !== undefined) counts[diff.severity]++;
+        });
+        return counts;
+    }
+    
+    kindsOf(diff) {
+        const kinds = [diff.type];
+        if (diff.type === 'modified' && this.typeOf(diff.oldValue) !== this.typeOf(diff.newValue)) kinds.push('type-changed');
+        if (diff.type === 'moved' && diff.renamed) kinds.push('renamed');
+        return kinds;
+    }
+    
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (value instanceof LosslessNumber) return 'number';
+        return typeof value;
+    }
+    
+    matches(rule, diff, kinds, documents) {
+        if (rule.changes && !kinds.some(kind => rule.changes.includes(kind))) return false;
+        if (rule.path && !this.isAtPath(rule, diff, documents)) return false;
+        if (rule.condition) {
+            // The value after the change, or the removed value for deletions
+            const value = diff.type === 'modified' || diff.type === 'moved' ? diff.newValue : diff.value;
+            if (rule.condition.evaluate([value]).length === 0) return false;
+        }
+        return true;
+    }
+    
+    isAtPath(rule, diff, documents) {
+        if (!documents) return false;
+        return [['left', diff.leftPointer], ['right', diff.rightPointer]].some(([side, pointer]) => {
+            if (pointer === undefined || documents[side] === undefined) return false;
+            if (!rule.pointers.has(documents[side])) {
+                const matches = rule.path.evaluate(documents[side]).map(node => this.extractor.toPointer(node.path));
+                rule.pointers.set(documents[side], new Set(matches));
+            }
+            return this.extractor.isCoveredBy(pointer, rule.pointers.get(documents[side]));
+        });
+    }
+}
+
+// Value Masker - Replaces volatile values (UUIDs, tokens, timestamps, hashes)
+// with a placeholder before the documents are compared. Each rule is a
+// built-in detector or a regular expression, optionally scoped to the values
+// at or under a JSONPath. Matches inside strings are replaced where they
+// occur; numbers are replaced whole when their text matches.
+class ValueMasker {
+    constructor(rules = []) {
+        this.extractor = new JSONPathExtractor();
+        this.detectors = {
+            uuid: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+            jwt: /eyJ[\w-]*\.[\w-]+\.[\w-]*/g,
+            'iso-date': /(?<!\d)\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?(?!\d)/g,
+            'epoch-millis': /(?<!\d)1\d{12}(?!\d)/g,
+            'hex-hash': /(?<![0-9a-f])(?:[0-9a-f]{128}|[0-9a-f]{64}|[0-9a-f]{40}|[0-9a-f]{32})(?![0-9a-f])/gi
+        };
+        this.rules = rules.map((rule, index) => this.compile(rule, `Masking rule ${index + 1}`));
+    }
+    
+    compile(rule, name) {
+        if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${name} must be an object`);
+        if ((rule.detector === undefined) === (rule.pattern === undefined)) throw new Error(`${name} needs either a detector or a pattern`);
+        
+        let pattern;
+        if (rule.detector !== undefined) {
+            pattern = this.detectors[rule.detector];
+            if (!pattern) throw new Error(`${name}: unknown detector "${rule.detector}", expected one of ${Object.keys(this.detectors).join(', ')}`);
+        } else {
+            try {
+                pattern = new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`);
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+            if (pattern.test('')) throw new Error(`${name}: pattern matches empty text`);
+        }
+        
+        let path = null;
+        try {
+            if (rule.path) path = new JSONPath(rule.path);
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+        return {
+            name: rule.label || rule.detector || `/${rule.pattern}/`,
+            pattern,
+            whole: new RegExp(`^(?:${pattern.source})$`, pattern.flags.replace('g', '')),
+            placeholder: rule.placeholder ?? `<${rule.detector || 'masked'}>`,
+            path
+        };
+    }
+    
+    // Masks the document in place, keeping its containers so source locations
+    // still resolve, and returns the masked document (a masked root is a new
+    // value) with the pointer of every value that changed
+    mask(document) {
+        const scopes = new Map(this.rules.filter(rule => rule.path).map(rule => [
+            rule,
+            new Set(rule.path.evaluate(document).map(node => this.extractor.toPointer(node.path)))
+        ]));
+        const masked = [];
+        const visit = (value, pointer, active) => {
+            const rules = active.length === this.rules.length ? active
+                : this.rules.filter(rule => active.includes(rule) || scopes.get(rule)?.has(pointer));
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    value[index] = visit(item, `${pointer}/${index}`, rules);
+                });
+                return value;
+            }
+            if (value !== null && typeof value === 'object' && !(value instanceof LosslessNumber)) {
+                Object.keys(value).forEach(key => {
+                    value[key] = visit(value[key], `${pointer}/${this.extractor.escapePointerSegment(key)}`, rules);
+                });
+                return value;
+            }
+            
+            const result = this.maskValue(value, rules);
+            if (result.rules.length > 0) masked.push({ pointer, rules: result.rules });
+            return result.value;
+        };
+        const value = visit(document, '', this.rules.filter(rule => !rule.path));
+        return { value, masked };
+    }
+    
+    maskValue(value, rules) {
+        const applied = [];
+        if (typeof value === 'string') {
+            let text = value;
+            rules.forEach(rule => {
+                const replaced = text.replace(rule.pattern, () => rule.placeholder);
+                if (replaced !== text) applied.push(rule.name);
+                text = replaced;
+            });
+            return { value: text, rules: applied };
+        }
+        if (typeof value === 'number' || value instanceof LosslessNumber) {
+            const rule = rules.find(candidate => candidate.whole.test(String(value)));
+            if (rule) return { value: rule.placeholder, rules: [rule.name] };
+        }
+        return { value, rules: applied };
+    }
+    
+    // Both sides' masked pointers as one list: [{ pointer, rules, sides }]
+    merge(left, right) {
+        const byPointer = new Map();
+        [['left', left], ['right', right]].forEach(([side, masked]) => {
+            masked.forEach(({ pointer, rules }) => {
+                let entry = byPointer.get(pointer);
+                if (!entry) {
+                    entry = { pointer, rules: [], sides: [] };
+                    byPointer.set(pointer, entry);
+                }
+                rules.forEach(rule => {
+                    if (!entry.rules.includes(rule)) entry.rules.push(rule);
+                });
+                entry.sides.push(side);
+            });
+        });
+        return [...byPointer.values()];
+    }
+}
+
+// JSON Canonicalizer - Rewrites a document into the JSON Canonicalization
+// Scheme (RFC 8785) form before it is compared: object keys in UTF-16 code
+// unit order and numbers in their shortest round-trip text. Sort specs put the
+// arrays at a JSONPath into a fixed order, by their values or by fields of
+// their elements. Numbers a double cannot hold exactly keep every digit instead
+// of being rounded.
+class JSONCanonicalizer {
+    constructor(sortSpecs = [], options = {}) {
+        this.json = new LosslessJSON();
+        this.extractor = new JSONPathExtractor();
+        this.sortKeys = options.sortKeys ?? true;
+        this.specs = sortSpecs.map((spec, index) => this.compile(spec, `Sort spec ${index + 1}`));
+    }
+    
+    // A spec is a JSONPath, or { path, by, order } where by names the element
+    // field (or fields, for ties) to sort on
+    compile(spec, name) {
+        if (typeof spec === 'string') spec = { path: spec };
+        if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${name} must be a JSONPath or an object`);
+        if (typeof spec.path !== 'string' || !spec.path) throw new Error(`${name} has no path`);
+        
+        const by = spec.by === undefined ? [] : [].concat(spec.by);
+        if (by.some(field => typeof field !== 'string' || !field)) throw new Error(`${name}: by must be a field name or a list of them`);
+        const order = spec.order || 'asc';
+        if (order !== 'asc' && order !== 'desc') throw new Error(`${name}: order must be asc or desc`);
+        try {
+            return { name, expression: spec.path, path: new JSONPath(spec.path), by, descending: order === 'desc' };
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+    
+    // The canonical copy of document, and a mapping from pointers in the copy
+    // back to the document for arrays whose elements were reordered. A spec
+    // that matches anything but an array is an error rather than a no-op.
+    canonicalize(document) {
+        const sorts = new Map(); // source pointer -> spec, the last spec wins
+        this.specs.forEach(spec => {
+            spec.path.evaluate(document).forEach(node => {
+                const pointer = this.extractor.toPointer(node.path);
+                if (!Array.isArray(node.value)) {
+                    const type = node.value === null ? 'null' : this.json.isNumber(node.value) ? 'a number'
+                        : typeof node.value === 'object' ? 'an object' : `a ${typeof node.value}`;
+                    throw new Error(`${spec.name}: "${spec.expression}" matches ${pointer || 'the root'}, which is ${type}, not an array`);
+                }
+                sorts.set(pointer, spec);
+            });
+        });
+        
+        const orders = new WeakMap(); // canonical array -> source index of each element
+        const copy = (value, pointer) => {
+            if (this.json.isNumber(value)) return this.canonicalNumber(value);
+            if (value === null || typeof value !== 'object') return value;
+            if (Array.isArray(value)) {
+                const items = value.map((item, index) => ({ index, value: copy(item, `${pointer}/${index}`) }));
+                const spec = sorts.get(pointer);
+                if (!spec) return items.map(item => item.value);
+                
+                items.sort((a, b) => this.compareItems(a.value, b.value, spec));
+                const sorted = items.map(item => item.value);
+                orders.set(sorted, items.map(item => item.index));
+                return sorted;
+            }
+            const result = {};
+            const keys = this.sortKeys ? Object.keys(value).sort() : Object.keys(value);
+            keys.forEach(key => {
+                const item = copy(value[key], `${pointer}/${this.extractor.escapePointerSegment(key)}`);
+                Object.defineProperty(result, key, { value: item, enumerable: true, writable: true, configurable: true });
+            });
+            return result;
+        };
+        const value = copy(document, '');
+        
+        const sourcePointer = pointer => {
+            if (!pointer) return pointer;
+            let node = value;
+            return pointer.split('/').slice(1).map(segment => {
+                const order = node !== null && typeof node === 'object' ? orders.get(node) : undefined;
+                const next = node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+                const source = order && /^\d+$/.test(segment) && order[segment] !== undefined ? String(order[segment]) : segment;
+                node = next;
+                return `/${source}`;
+            }).join('');
+        };
+        return { value, sourcePointer };
+    }
+    
+    // Numbers that are exactly a double become that double; the rest keep
+    // their exact digits in the same layout
+    canonicalNumber(value) {
+        if (typeof value === 'number') return value;
+        const text = this.numberText(value);
+        return text === JSON.stringify(Number(value.lexeme)) ? Number(value.lexeme) : new LosslessNumber(text);
+    }
+    
+    // ECMAScript Number::toString layout applied to the exact decimal
+    numberText(value) {
+        if (typeof value === 'number') return JSON.stringify(value);
+        const double = JSON.stringify(Number(value.lexeme));
+        if (this.json.canonicalNumber(value) === double) return double;
+        
+        const decimal = this.json.toDecimal(value.lexeme);
+        const sign = decimal.sign < 0 ? '-' : '';
+        const digits = decimal.digits;
+        const point = decimal.exponent + digits.length;
+        if (digits.length <= point && point <= 21) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+        if (point > 0 && point <= 21) return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+        if (point > -6 && point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+        const exponent = point - 1;
+        return `${sign}${digits[0]}${digits.length > 1 ? `.${digits.slice(1)}` : ''}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+    }
+    
+    compareItems(a, b, spec) {
+        const fields = spec.by.length > 0 ? spec.by : [null];
+        for (const field of fields) {
+            const left = field === null ? a : this.fieldOf(a, field);
+            const right = field === null ? b : this.fieldOf(b, field);
+            // Elements without the field go last whatever the order
+            if (left === undefined || right === undefined) {
+                if (left !== right) return left === undefined ? 1 : -1;
+                continue;
+            }
+            const result = this.compareValues(left, right);
+            if (result !== 0) return spec.descending ? -result : result;
+        }
+        return 0;
+    }
+    
+    fieldOf(value, field) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, field)
+            ? value[field] : undefined;
+    }
+    
+    // null < booleans < numbers < strings < arrays < objects; strings by code
+    // unit so the order does not depend on the locale
+    compareValues(a, b) {
+        const rank = value => {
+            if (value === null) return 0;
+            if (typeof value === 'boolean') return 1;
+            if (this.json.isNumber(value)) return 2;
+            if (typeof value === 'string') return 3;
+            return Array.isArray(value) ? 4 : 5;
+        };
+        const difference = rank(a) - rank(b);
+        if (difference !== 0) return difference;
+        
+        switch (rank(a)) {
+            case 1:
+                return Number(a) - Number(b);
+            case 2:
+                return this.json.compareNumbers(a, b);
+            case 0:
+                return 0;
+            default: {
+                const left = typeof a === 'string' ? a : this.serialize(a);
+                const right = typeof b === 'string' ? b : this.serialize(b);
+                return left < right ? -1 : left > right ? 1 : 0;
+            }
+        }
+    }
+    
+    // The RFC 8785 text: no whitespace, keys always sorted
+    serialize(value) {
+        if (this.json.isNumber(value)) return this.numberText(value);
+        if (Array.isArray(value)) return `[${value.map(item => this.serialize(item)).join(',')}]`;
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.serialize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+}
+
+// Schema Inferrer - Infers a JSON Schema (draft 2020-12) from a document. All
+// elements of an array share one item schema, properties present in every
+// instance of an object are required, and values of several types give a type
+// union. Shapes are accumulated in a single pass over the document.
+class SchemaInferrer {
+    infer(value) {
+        return this.toSchema(this.shape(value), true);
+    }
+    
+    shape(value) {
+        const shape = this.emptyShape();
+        this.add(shape, value);
+        return shape;
+    }
+    
+    emptyShape() {
+        return { types: new Set(), properties: null, objects: 0, items: null };
+    }
+    
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (value instanceof LosslessNumber) return /^-?\d+$/.test(value.toString()) ? 'integer' : 'number';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+    
+    add(shape, value) {
+        const type = this.typeOf(value);
+        shape.types.add(type);
+        
+        if (type === 'array') {
+            if (value.length > 0 && !shape.items) shape.items = this.emptyShape();
+            value.forEach(item => this.add(shape.items, item));
+        } else if (type === 'object') {
+            if (!shape.properties) shape.properties = new Map();
+            shape.objects++;
+            Object.keys(value).forEach(key => {
+                let property = shape.properties.get(key);
+                if (!property) {
+                    property = { shape: this.emptyShape(), count: 0 };
+                    shape.properties.set(key, property);
+                }
+                property.count++;
+                this.add(property.shape, value[key]);
+            });
+        }
+    }
+    
+    // Integers are numbers, so a union that has both only needs 'number'
+    typeList(shape) {
+        const types = [...shape.types];
+        return shape.types.has('number') ? types.filter(type => type !== 'integer') : types;
+    }
+    
+    isRequired(shape, key) {
+        return shape.properties.get(key).count === shape.objects;
+    }
+    
+    toSchema(shape, root = false) {
+        const schema = root ? { $schema: 'https://json-schema.org/draft/2020-12/schema' } : {};
+        const types = this.typeList(shape);
+        if (types.length === 1) schema.type = types[0];
+        else if (types.length > 1) schema.type = types;
+        
+        if (shape.properties) {
+            const properties = {};
+            const required = [];
+            shape.properties.forEach((property, key) => {
+                Object.defineProperty(properties, key, {
+                    value: this.toSchema(property.shape),
+                    enumerable: true,
+                    writable: true,
+                    configurable: true
+                });
+                if (this.isRequired(shape, key)) required.push(key);
+            });
+            schema.properties = properties;
+            if (required.length > 0) schema.required = required;
+        }
+        if (shape.items && shape.items.types.size > 0) schema.items = this.toSchema(shape.items);
+        return schema;
+    }
+}
+
+// Schema Differ - Diffs the inferred schemas of two documents and classifies
+// each change from the point of view of code reading documents shaped like the
+// first one: removed properties, fields that became optional and types that
+// widened are breaking; new properties, newly required fields and narrowed
+// types are additive.
+class SchemaDiffer {
+    constructor() {
+        this.inferrer = new SchemaInferrer();
+    }
+    
+    compare(json1, json2) {
+        const left = this.inferrer.shape(json1);
+        const right = this.inferrer.shape(json2);
+        const changes = [];
+        this.compareShapes(left, right, '$', changes);
+        
+        return {
+            left: this.inferrer.toSchema(left, true),
+            right: this.inferrer.toSchema(right, true),
+            changes,
+            summary: {
+                additive: changes.filter(change => change.kind === 'additive').length,
+                breaking: changes.filter(change => change.kind === 'breaking').length
+            }
+        };
+    }
+    
+    describe(shape) {
+        return this.inferrer.typeList(shape).join(' | ') || 'unknown';
+    }
+    
+    childPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+    
+    compareShapes(left, right, path, changes) {
+        const before = this.inferrer.typeList(left);
+        const after = this.inferrer.typeList(right);
+        const covers = (types, type) => types.includes(type) || (type === 'integer' && types.includes('number'));
+        const added = after.filter(type => !covers(before, type));
+        const removed = before.filter(type => !covers(after, type));
+        
+        if (added.length > 0 || removed.length > 0) {
+            const change = added.length === 0 ? 'type narrowed' : removed.length === 0 ? 'type widened' : 'type changed';
+            changes.push({
+                path,
+                kind: change === 'type narrowed' ? 'additive' : 'breaking',
+                change,
+                before: this.describe(left),
+                after: this.describe(right)
+            });
+        }
+        
+        if (left.properties && right.properties) {
+            left.properties.forEach((property, key) => {
+                if (!right.properties.has(key)) {
+                    changes.push({ path: this.childPath(path, key), kind: 'breaking', change: 'property removed', before: this.describe(property.shape) });
+                }
+            });
+            right.properties.forEach((property, key) => {
+                const childPath = this.childPath(path, key);
+                const required = this.inferrer.isRequired(right, key);
+                if (!left.properties.has(key)) {
+                    changes.push({
+                        path: childPath,
+                        kind: 'additive',
+                        change: required ? 'required property added' : 'optional property added',
+                        after: this.describe(property.shape)
+                    });
+                    return;
+                }
+                
+                const wasRequired = this.inferrer.isRequired(left, key);
+                if (wasRequired && !required) {
+                    changes.push({ path: childPath, kind: 'breaking', change: 'became optional' });
+                } else if (!wasRequired && required) {
+                    changes.push({ path: childPath, kind: 'additive', change: 'became required' });
+                }
+                this.compareShapes(left.properties.get(key).shape, property.shape, childPath, changes);
+            });
+        }
+        
+        if (left.items && right.items) {
+            this.compareShapes(left.items, right.items, `${path}[*]`, changes);
+        }
+    }
+}
+
+// JSON Schema Validator - Validates a document against a JSON Schema using the
+// draft 2020-12 core, applicator, validation and unevaluated vocabularies.
+// References resolve within the schema ('#', JSON Pointer fragments, $anchor,
+// $dynamicAnchor and embedded $id resources) and 'format' is only an
+// annotation. Every error names the failing value and the schema keyword by
+// JSON Pointer.
+class JSONSchemaValidator {
+    constructor() {
+        this.json = new LosslessJSON();
+        this.extractor = new JSONPathExtractor();
+        this.inferrer = new SchemaInferrer();
+        this.patterns = new Map();
+        this.nothingSeen = { properties: new Set(), items: new Set() };
+        this.subschemas = {
+            single: ['items', 'additionalProperties', 'contains', 'propertyNames', 'not', 'if', 'then', 'else', 'unevaluatedItems', 'unevaluatedProperties'],
+            lists: ['prefixItems', 'allOf', 'anyOf', 'oneOf'],
+            maps: ['properties', 'patternProperties', 'dependentSchemas', '$defs', 'definitions']
+        };
+    }
+    
+    validate(schema, instance) {
+        this.resources = new Map(); // base URI -> schema resource
+        this.anchors = new Map(); // base URI#name -> schema
+        this.dynamicAnchors = new Set();
+        this.bases = new Map(); // schema -> base URI it was written under
+        this.active = new Map(); // schema -> instance pointers being checked through a reference
+        this.references = new Map(); // base URI + reference -> resolved target
+        this.index(schema, 'https://json-schema.local/schema.json');
+        
+        const errors = [];
+        this.evaluate(schema, instance, '', '#', errors, []);
+        return { valid: errors.length === 0, errors };
+    }
+    
+    parseSchema(text) {
+        let schema;
+        try {
+            schema = this.json.parse(text, { dialect: 'auto', lossless: false });
+        } catch (error) {
+            throw new Error(`Schema is not valid JSON: ${error.message}`);
+        }
+        if (typeof schema !== 'boolean' && !this.isSchemaObject(schema)) {
+            throw new Error('Schema must be a JSON object or a boolean');
+        }
+        return schema;
+    }
+    
+    // Errors listed under the pointer of every value that contains them, so a
+    // value's violations include its descendants'. A missing required property
+    // counts against the pointer the property would have.
+    groupByPointer(errors) {
+        const groups = new Map();
+        errors.forEach(error => {
+            const target = error.property !== undefined
+                ? `${error.instancePath}/${this.extractor.escapePointerSegment(error.property)}`
+                : error.instancePath;
+            const segments = target.split('/');
+            for (let length = segments.length; length >= 1; length--) {
+                const pointer = segments.slice(0, length).join('/');
+                if (!groups.has(pointer)) groups.set(pointer, []);
+                groups.get(pointer).push(error);
+            }
+        });
+        return groups;
+    }
+    
+    // Records the base URI of every subschema and the resources and anchors
+    // references can name
+    index(schema, base) {
+        if (!this.isSchemaObject(schema) || this.bases.has(schema)) return;
+        if (typeof schema.$id === 'string') base = new URL(schema.$id, base).href.replace(/#.*$/, '');
+        if (typeof schema.$id === 'string' || this.resources.size === 0) this.resources.set(base, schema);
+        this.bases.set(schema, base);
+        
+        if (typeof schema.$anchor === 'string') this.anchors.set(`${base}#${schema.$anchor}`, schema);
+        if (typeof schema.$dynamicAnchor === 'string') {
+            this.anchors.set(`${base}#${schema.$dynamicAnchor}`, schema);
+            this.dynamicAnchors.add(`${base}#${schema.$dynamicAnchor}`);
+        }
+        
+        this.subschemas.single.forEach(keyword => this.index(schema[keyword], base));
+        this.subschemas.lists.forEach(keyword => {
+            if (Array.isArray(schema[keyword])) schema[keyword].forEach(subschema => this.index(subschema, base));
+        });
+        this.subschemas.maps.forEach(keyword => {
+            if (this.isSchemaObject(schema[keyword])) Object.values(schema[keyword]).forEach(subschema => this.index(subschema, base));
+        });
+    }
+    
+    isSchemaObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    resolve(reference, base) {
+        const key = `${base} ${reference}`;
+        if (!this.references.has(key)) this.references.set(key, this.lookup(reference, base));
+        return this.references.get(key);
+    }
+    
+    lookup(reference, base) {
+        const uri = new URL(reference, base);
+        const fragment = decodeURIComponent(uri.hash.slice(1));
+        uri.hash = '';
+        const resource = this.resources.get(uri.href);
+        
+        let schema;
+        if (resource !== undefined) {
+            if (fragment === '') {
+                schema = resource;
+            } else if (fragment.startsWith('/')) {
+                schema = this.extractor.parsePointer(fragment).reduce((node, key) =>
+                    node !== null && typeof node === 'object' ? node[key] : undefined, resource);
+            } else {
+                schema = this.anchors.get(`${uri.href}#${fragment}`);
+            }
+        }
+        if (schema === undefined) throw new Error(`Cannot resolve schema reference "${reference}"`);
+        return { schema, anchor: `${uri.href}#${fragment}`, fragment };
+    }
+    
+    // Validates value against schema, appending errors, and returns the
+    // properties and items the schema evaluated (for unevaluated*)
+    evaluate(schema, value, pointer, schemaPath, errors, scope) {
+        // Only objects and arrays have properties or items to record
+        const seen = value !== null && typeof value === 'object'
+            ? { properties: new Set(), items: new Set() }
+            : this.nothingSeen;
+        if (schema === true) return seen;
+        if (schema === false) {
+            errors.push({ instancePath: pointer, schemaPath, keyword: 'false', message: 'No value is allowed here' });
+            return seen;
+        }
+        if (!this.isSchemaObject(schema)) throw new Error(`Invalid schema at ${schemaPath}: expected an object or a boolean`);
+        
+        const base = this.bases.get(schema) || scope[scope.length - 1];
+        if (base !== scope[scope.length - 1]) scope = [...scope, base];
+        const at = keyword => `${schemaPath}/${keyword}`;
+        const fail = (keyword, message, instancePath = pointer, details = {}) => {
+            errors.push({ instancePath, schemaPath: at(keyword), keyword, message, ...details });
+        };
+        
+        if (typeof schema.$ref === 'string') {
+            this.follow(this.resolve(schema.$ref, base).schema, value, pointer, at('$ref'), errors, scope, seen);
+        }
+        if (typeof schema.$dynamicRef === 'string') {
+            let target = this.resolve(schema.$dynamicRef, base);
+            if (this.dynamicAnchors.has(target.anchor)) {
+                const outermost = scope.map(uri => `${uri}#${target.fragment}`).find(anchor => this.dynamicAnchors.has(anchor));
+                if (outermost) target = { schema: this.anchors.get(outermost) };
+            }
+            this.follow(target.schema, value, pointer, at('$dynamicRef'), errors, scope, seen);
+        }
+        
+        this.evaluateValue(schema, value, fail);
+        if (this.json.isNumber(value)) {
+            this.evaluateNumber(schema, value, fail);
+        } else if (typeof value === 'string') {
+            this.evaluateString(schema, value, fail);
+        } else if (Array.isArray(value)) {
+            this.evaluateArray(schema, value, pointer, at, fail, errors, scope, seen);
+        } else if (value !== null && typeof value === 'object') {
+            this.evaluateObject(schema, value, pointer, at, fail, errors, scope, seen);
+        }
+        this.evaluateCombinators(schema, value, pointer, at, fail, errors, scope, seen);
+        this.evaluateUnevaluated(schema, value, pointer, at, errors, scope, seen);
+        return seen;
+    }
+    
+    // Applies a referenced schema, refusing to re-enter it for the same value
+    follow(schema, value, pointer, schemaPath, errors, scope, seen) {
+        let visiting = this.active.get(schema);
+        if (!visiting) this.active.set(schema, visiting = new Set());
+        if (visiting.has(pointer)) throw new Error(`Schema reference loop at ${schemaPath}`);
+        
+        visiting.add(pointer);
+        try {
+            this.merge(seen, this.evaluate(schema, value, pointer, schemaPath, errors, scope));
+        } finally {
+            visiting.delete(pointer);
+        }
+    }
+    
+    merge(seen, other) {
+        other.properties.forEach(key => seen.properties.add(key));
+        other.items.forEach(index => seen.items.add(index));
+    }
+    
+    // true when value is valid against schema, without reporting why not
+    matches(schema, value, pointer, schemaPath, scope) {
+        const errors = [];
+        const seen = this.evaluate(schema, value, pointer, schemaPath, errors, scope);
+        return errors.length === 0 ? seen : null;
+    }
+    
+    // additionalProperties, items and the unevaluated keywords read better with
+    // their own message when they forbid everything
+    evaluateExtra(schema, value, pointer, schemaPath, keyword, message, errors, scope) {
+        if (schema === false) {
+            errors.push({ instancePath: pointer, schemaPath, keyword, message });
+        } else {
+            this.evaluate(schema, value, pointer, schemaPath, errors, scope);
+        }
+    }
+    
+    evaluateValue(schema, value, fail) {
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.hasType(value, type))) {
+                fail('type', `Expected ${types.join(' or ')} but found ${this.inferrer.typeOf(value)}`);
+            }
+        }
+        if (schema.const !== undefined && this.json.canonical(value) !== this.json.canonical(schema.const)) {
+            fail('const', `Value must be ${JSON.stringify(schema.const)}`);
+        }
+        if (Array.isArray(schema.enum)) {
+            const key = this.json.canonical(value);
+            if (!schema.enum.some(option => this.json.canonical(option) === key)) {
+                const options = schema.enum.slice(0, 5).map(option => JSON.stringify(option)).join(', ');
+                fail('enum', `Value must be one of ${options}${schema.enum.length > 5 ? `, … (${schema.enum.length} values)` : ''}`);
+            }
+        }
+    }
+    
+    hasType(value, type) {
+        switch (type) {
+            case 'integer': return this.json.isNumber(value) && this.isIntegral(value);
+            case 'number': return this.json.isNumber(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof LosslessNumber);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+    
+    // 1.0 is an integer too
+    isIntegral(value) {
+        const decimal = this.json.toDecimal(value);
+        return decimal ? decimal.exponent >= 0 : false;
+    }
+    
+    evaluateNumber(schema, value, fail) {
+        const bounds = [
+            ['minimum', order => order >= 0, '>='],
+            ['maximum', order => order <= 0, '<='],
+            ['exclusiveMinimum', order => order > 0, '>'],
+            ['exclusiveMaximum', order => order < 0, '<']
+        ];
+        bounds.forEach(([keyword, holds, symbol]) => {
+            if (this.json.isNumber(schema[keyword]) && !holds(this.json.compareNumbers(value, schema[keyword]))) {
+                fail(keyword, `Value must be ${symbol} ${schema[keyword]}`);
+            }
+        });
+        if (this.json.isNumber(schema.multipleOf) && !this.isMultiple(value, schema.multipleOf)) {
+            fail('multipleOf', `Value must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+    
+    // Exact on the decimals, so 0.3 is a multiple of 0.1
+    isMultiple(value, divisor) {
+        const a = this.json.toDecimal(value);
+        const b = this.json.toDecimal(divisor);
+        if (!a || !b || b.digits === '0') return Number.isInteger(value / divisor);
+        
+        const exponent = Math.min(a.exponent, b.exponent);
+        if (Math.max(a.exponent, b.exponent) - exponent > 1000) return Number.isInteger(value / divisor);
+        const scale = decimal => BigInt(decimal.digits) * 10n ** BigInt(decimal.exponent - exponent);
+        return scale(a) % scale(b) === 0n;
+    }
+    
+    evaluateString(schema, value, fail) {
+        if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+            const length = [...value].length;
+            if (length < schema.minLength) fail('minLength', `String must have at least ${schema.minLength} characters`);
+            if (length > schema.maxLength) fail('maxLength', `String must have at most ${schema.maxLength} characters`);
+        }
+        if (typeof schema.pattern === 'string' && !this.pattern(schema.pattern).test(value)) {
+            fail('pattern', `String must match the pattern ${schema.pattern}`);
+        }
+    }
+    
+    pattern(source) {
+        if (!this.patterns.has(source)) {
+            try {
+                this.patterns.set(source, new RegExp(source, 'u'));
+            } catch (error) {
+                throw new Error(`Invalid pattern "${source}" in schema: ${error.message}`);
+            }
+        }
+        return this.patterns.get(source);
+    }
+    
+    evaluateArray(schema, value, pointer, at, fail, errors, scope, seen) {
+        let start = 0;
+        if (Array.isArray(schema.prefixItems)) {
+            start = Math.min(schema.prefixItems.length, value.length);
+            for (let i = 0; i < start; i++) {
+                this.evaluate(schema.prefixItems[i], value[i], `${pointer}/${i}`, at(`prefixItems/${i}`), errors, scope);
+                seen.items.add(i);
+            }
+        }
+        if (schema.items !== undefined) {
+            for (let i = start; i < value.length; i++) {
+                this.evaluateExtra(schema.items, value[i], `${pointer}/${i}`, at('items'), 'items',
+                    `Array must not have more than ${start} item${start === 1 ? '' : 's'}`, errors, scope);
+                seen.items.add(i);
+            }
+        }
+        
+        if (schema.contains !== undefined) {
+            let count = 0;
+            value.forEach((item, i) => {
+                if (this.matches(schema.contains, item, `${pointer}/${i}`, at('contains'), scope)) {
+                    count++;
+                    seen.items.add(i);
+                }
+            });
+            const min = schema.minContains ?? 1;
+            if (count < min) {
+                fail(schema.minContains === undefined ? 'contains' : 'minContains', `Array must contain at least ${min} matching item${min === 1 ? '' : 's'} but has ${count}`);
+            }
+            if (count > schema.maxContains) {
+                fail('maxContains', `Array must contain at most ${schema.maxContains} matching item${schema.maxContains === 1 ? '' : 's'} but has ${count}`);
+            }
+        }
+        
+        if (value.length < schema.minItems) fail('minItems', `Array must have at least ${schema.minItems} items`);
+        if (value.length > schema.maxItems) fail('maxItems', `Array must have at most ${schema.maxItems} items`);
+        if (schema.uniqueItems === true) {
+            const first = new Map();
+            value.forEach((item, i) => {
+                const key = this.json.canonical(item);
+                if (first.has(key)) {
+                    fail('uniqueItems', `Item equals item ${first.get(key)}, but items must be unique`, `${pointer}/${i}`);
+                } else {
+                    first.set(key, i);
+                }
+            });
+        }
+    }
+    
+    evaluateObject(schema, value, pointer, at, fail, errors, scope, seen) {
+        const has = key => Object.prototype.hasOwnProperty.call(value, key);
+        const escape = key => /[~/]/.test(key) ? this.extractor.escapePointerSegment(key) : key;
+        const keys = Object.keys(value);
+        
+        if (Array.isArray(schema.required)) {
+            schema.required.filter(key => !has(key)).forEach(key => {
+                fail('required', `Missing required property "${key}"`, pointer, { property: key });
+            });
+        }
+        if (this.isSchemaObject(schema.dependentRequired)) {
+            Object.keys(schema.dependentRequired).filter(has).forEach(key => {
+                schema.dependentRequired[key].filter(dependency => !has(dependency)).forEach(dependency => {
+                    fail('dependentRequired', `Property "${dependency}" is required when "${key}" is present`, pointer, { property: dependency });
+                });
+            });
+        }
+        if (keys.length < schema.minProperties) fail('minProperties', `Object must have at least ${schema.minProperties} properties`);
+        if (keys.length > schema.maxProperties) fail('maxProperties', `Object must have at most ${schema.maxProperties} properties`);
+        
+        if (schema.propertyNames !== undefined) {
+            keys.forEach(key => {
+                const nameErrors = [];
+                const child = `${pointer}/${escape(key)}`;
+                this.evaluate(schema.propertyNames, key, child, at('propertyNames'), nameErrors, scope);
+                if (nameErrors.length > 0) fail('propertyNames', `Property name "${key}" is not allowed: ${nameErrors[0].message}`, child);
+            });
+        }
+        
+        const properties = this.isSchemaObject(schema.properties) ? schema.properties : {};
+        const patterns = this.isSchemaObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+        keys.forEach(key => {
+            const escaped = escape(key);
+            const child = `${pointer}/${escaped}`;
+            let matched = false;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                matched = true;
+                this.evaluate(properties[key], value[key], child, at(`properties/${escaped}`), errors, scope);
+            }
+            patterns.filter(source => this.pattern(source).test(key)).forEach(source => {
+                matched = true;
+                this.evaluate(schema.patternProperties[source], value[key], child,
+                    at(`patternProperties/${escape(source)}`), errors, scope);
+            });
+            if (!matched && schema.additionalProperties !== undefined) {
+                this.evaluateExtra(schema.additionalProperties, value[key], child, at('additionalProperties'),
+                    'additionalProperties', `Property "${key}" is not allowed`, errors, scope);
+                matched = true;
+            }
+            if (matched) seen.properties.add(key);
+        });
+        
+        if (this.isSchemaObject(schema.dependentSchemas)) {
+            Object.keys(schema.dependentSchemas).filter(has).forEach(key => {
+                const path = at(`dependentSchemas/${escape(key)}`);
+                this.merge(seen, this.evaluate(schema.dependentSchemas[key], value, pointer, path, errors, scope));
+            });
+        }
+    }
+    
+    evaluateCombinators(schema, value, pointer, at, fail, errors, scope, seen) {
+        if (Array.isArray(schema.allOf)) {
+            schema.allOf.forEach((subschema, i) => {
+                this.merge(seen, this.evaluate(subschema, value, pointer, at(`allOf/${i}`), errors, scope));
+            });
+        }
+        if (Array.isArray(schema.anyOf)) {
+            const passed = schema.anyOf
+                .map((subschema, i) => this.matches(subschema, value, pointer, at(`anyOf/${i}`), scope))
+                .filter(result => result);
+            passed.forEach(result => this.merge(seen, result));
+            if (passed.length === 0) fail('anyOf', 'Value does not match any of the anyOf schemas');
+        }
+        if (Array.isArray(schema.oneOf)) {
+            const passed = [];
+            schema.oneOf.forEach((subschema, i) => {
+                const result = this.matches(subschema, value, pointer, at(`oneOf/${i}`), scope);
+                if (result) passed.push({ index: i, result });
+            });
+            if (passed.length === 1) {
+                this.merge(seen, passed[0].result);
+            } else if (passed.length === 0) {
+                fail('oneOf', 'Value does not match any of the oneOf schemas');
+            } else {
+                fail('oneOf', `Value matches oneOf schemas ${passed.map(match => match.index).join(', ')} but must match exactly one`);
+            }
+        }
+        if (schema.not !== undefined && this.matches(schema.not, value, pointer, at('not'), scope)) {
+            fail('not', 'Value must not match the "not" schema');
+        }
+        if (schema.if !== undefined) {
+            const condition = this.matches(schema.if, value, pointer, at('if'), scope);
+            if (condition) this.merge(seen, condition);
+            const branch = condition ? 'then' : 'else';
+            if (schema[branch] !== undefined) {
+                this.merge(seen, this.evaluate(schema[branch], value, pointer, at(branch), errors, scope));
+            }
+        }
+    }
+    
+    evaluateUnevaluated(schema, value, pointer, at, errors, scope, seen) {
+        if (schema.unevaluatedItems !== undefined && Array.isArray(value)) {
+            value.forEach((item, i) => {
+                if (seen.items.has(i)) return;
+                this.evaluateExtra(schema.unevaluatedItems, item, `${pointer}/${i}`, at('unevaluatedItems'),
+                    'unevaluatedItems', `Item ${i} is not allowed`, errors, scope);
+                seen.items.add(i);
+            });
+        }
+        if (schema.unevaluatedProperties !== undefined && this.hasType(value, 'object')) {
+            Object.keys(value).forEach(key => {
+                if (seen.properties.has(key)) return;
+                this.evaluateExtra(schema.unevaluatedProperties, value[key], `${pointer}/${this.extractor.escapePointerSegment(key)}`,
+                    at('unevaluatedProperties'), 'unevaluatedProperties', `Property "${key}" is not allowed`, errors, scope);
+                seen.properties.add(key);
+            });
+        }
+    }
+}
+
+// Lossless Number - A JSON number kept exactly as written because reading it as
+// a double would change its value or its spelling (9007199254740993, 0.10, 1e3).
+// The lexeme is not enumerable, so tree walkers see an opaque leaf.
+class LosslessNumber {
+    constructor(lexeme) {
+        Object.defineProperty(this, 'lexeme', { value: lexeme });
+    }
+    
+    valueOf() {
+        return Number(this.lexeme);
+    }
+    
+    toString() {
+        return this.lexeme;
+    }
+    
+    // Plain JSON.stringify falls back to the nearest double
+    toJSON() {
+        return this.valueOf();
+    }
+}
+
+// JSON Syntax Error - A parse failure with its line and column and an excerpt of
+// the offending line with a caret under the column
+class JSONSyntaxError extends SyntaxError {
+    constructor(message, position, location, excerpt) {
+        super(`${message} at line ${location.line}, column ${location.column}`);
+        this.name = 'JSONSyntaxError';
+        this.reason = message;
+        this.position = position;
+        this.line = location.line;
+        this.column = location.column;
+        this.excerpt = excerpt;
+    }
+}
+
+// Lossless JSON - Parses JSON without rounding numbers, serializes such trees
+// back with the original lexemes and compares numbers as exact decimals.
+// Parsing also reports duplicate keys (JSON.parse silently keeps the last one)
+// and can record where every value starts, looked up by JSON Pointer. The
+// 'json5' dialect also accepts JSON5 and JSONC; 'auto' falls back to it when
+// the text is not strict JSON.
+class LosslessJSON {
+    parse(text, options = {}) {
+        if (options.dialect === 'auto') {
+            try {
+                return this.parse(text, { ...options, dialect: 'json' });
+            } catch (strictError) {
+                if (!(strictError instanceof JSONSyntaxError)) throw strictError;
+                try {
+                    return this.parse(text, { ...options, dialect: 'json5' });
+                } catch (lenientError) {
+                    // Whichever got further explains the problem better
+                    throw lenientError.position >= strictError.position ? lenientError : strictError;
+                }
+            }
+        }
+        
+        this.text = text;
+        this.index = 0;
+        this.lenient = options.dialect === 'json5';
+        this.extensions = new Set();
+        this.lossless = options.lossless ?? true;
+        this.trackLocations = options.locations || false;
+        this.segments = [];
+        this.warnings = [];
+        this.offsets = new Map(); // container -> start offsets of its children, in key order
+        this.lineStarts = null;
+        
+        this.skipWhitespace();
+        this.rootOffset = this.index;
+        const value = this.parseValue();
+        this.root = value;
+        this.skipWhitespace();
+        if (this.index < text.length) {
+            this.fail(`Unexpected non-whitespace character ${JSON.stringify(text[this.index])} after JSON`);
+        }
+        
+        // Comments and trailing commas alone make JSONC, anything else JSON5
+        const jsonc = [...this.extensions].every(extension => extension === 'comments' || extension === 'trailing commas');
+        this.dialect = this.extensions.size === 0 ? 'JSON' : jsonc ? 'JSONC' : 'JSON5';
+        return value;
+    }
+    
+    parseValue() {
+        const char = this.text[this.index];
+        if (char === '{') return this.parseObject();
+        if (char === '[') return this.parseArray();
+        if (this.lenient) {
+            if (char === '"' || char === "'") return this.parseLenientString(char);
+            if ('+-.IN'.includes(char) || (char >= '0' && char <= '9')) return this.parseLenientNumber();
+        }
+        if (char === '"') return this.parseString();
+        if (char === '-' || (char >= '0' && char <= '9')) return this.parseNumber();
+        
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (this.text.startsWith(word, this.index)) {
+                this.index += word.length;
+                return value;
+            }
+        }
+        this.fail(char === undefined ? 'Unexpected end of JSON input' : `Unexpected token ${JSON.stringify(char)}`);
+    }
+    
+    parseObject() {
+        const object = {};
+        const offsets = this.trackLocations ? [] : null;
+        if (offsets) this.offsets.set(object, offsets);
+        this.index++;
+        this.skipWhitespace();
+        if (this.text[this.index] === '}') {
+            this.index++;
+            return object;
+        }
+        
+        for (;;) {
+            const keyPosition = this.index;
+            const key = this.parseKey();
+            this.skipWhitespace();
+            this.expect(':');
+            this.skipWhitespace();
+            this.segments.push(key);
+            const duplicate = Object.prototype.hasOwnProperty.call(object, key);
+            if (duplicate) {
+                this.warnings.push({
+                    message: `Duplicate key ${JSON.stringify(key)}, only the last value is kept`,
+                    key,
+                    pointer: this.pointer(),
+                    position: keyPosition,
+                    ...this.locate(keyPosition)
+                });
+            }
+            if (offsets && duplicate) offsets[Object.keys(object).indexOf(key)] = this.index;
+            else if (offsets) offsets.push(this.index);
+            const value = this.parseValue();
+            this.segments.pop();
+            if (key === '__proto__') {
+                Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+            } else {
+                object[key] = value;
+            }
+            this.skipWhitespace();
+            if (this.text[this.index] !== ',') break;
+            this.index++;
+            this.skipWhitespace();
+            if (this.lenient && this.text[this.index] === '}') {
+                this.extensions.add('trailing commas');
+                break;
+            }
+        }
+        this.expect('}');
+        return object;
+    }
+    
+    parseArray() {
+        const array = [];
+        const offsets = this.trackLocations ? [] : null;
+        if (offsets) this.offsets.set(array, offsets);
+        this.index++;
+        this.skipWhitespace();
+        if (this.text[this.index] === ']') {
+            this.index++;
+            return array;
+        }
+        
+        for (;;) {
+            this.segments.push(array.length);
+            if (offsets) offsets.push(this.index);
+            array.push(this.parseValue());
+            this.segments.pop();
+            this.skipWhitespace();
+            if (this.text[this.index] !== ',') break;
+            this.index++;
+            this.skipWhitespace();
+            if (this.lenient && this.text[this.index] === ']') {
+                this.extensions.add('trailing commas');
+                break;
+            }
+        }
+        this.expect(']');
+        return array;
+    }
+    
+    parseString() {
+        const start = ++this.index;
+        let end = start;
+        let escaped = false;
+        for (;;) {
+            const code = this.text.charCodeAt(end);
+            if (code === 34) break;
+            if (code === 92) {
+                escaped = true;
+                end += 2;
+            } else if (code < 32 || Number.isNaN(code)) {
+                this.index = end;
+                this.fail(Number.isNaN(code) ? 'Unterminated string in JSON' : 'Bad control character in string literal');
+            } else {
+                end++;
+            }
+        }
+        
+        this.index = end + 1;
+        const raw = this.text.slice(start, end);
+        if (!escaped) return raw;
+        try {
+            return JSON.parse(`"${raw}"`);
+        } catch (error) {
+            this.index = start;
+            this.fail('Bad escaped character in string literal');
+        }
+    }
+    
+    parseNumber() {
+        const pattern = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        pattern.lastIndex = this.index;
+        const match = pattern.exec(this.text);
+        if (!match) this.fail('No number after minus sign in JSON');
+        
+        this.index += match[0].length;
+        return this.toNumber(match[0]);
+    }
+    
+    // Numbers that survive the trip through a double unchanged stay plain numbers
+    toNumber(lexeme) {
+        const number = Number(lexeme);
+        return !this.lossless || String(number) === lexeme ? number : new LosslessNumber(lexeme);
+    }
+    
+    parseKey() {
+        const char = this.text[this.index];
+        if (this.lenient && (char === '"' || char === "'")) return this.parseLenientString(char);
+        if (char === '"') return this.parseString();
+        if (this.lenient) {
+            const pattern = /[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/uy;
+            pattern.lastIndex = this.index;
+            const match = pattern.exec(this.text);
+            if (match) {
+                this.extensions.add('unquoted keys');
+                this.index += match[0].length;
+                return match[0];
+            }
+        }
+        this.fail(this.lenient ? 'Expected property name' : 'Expected double-quoted property name');
+    }
+    
+    // JSON5 strings: either quote, \x and \v escapes, escaped line breaks as
+    // line continuations and any other escaped character standing for itself
+    parseLenientString(quote) {
+        if (quote === "'") this.extensions.add('single-quoted strings');
+        const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        let result = '';
+        this.index++;
+        for (;;) {
+            const char = this.text[this.index];
+            if (char === quote) {
+                this.index++;
+                return result;
+            }
+            if (char === undefined) this.fail('Unterminated string');
+            if (char === '\n' || char === '\r') this.fail('Unescaped line break in string literal');
+            if (char !== '\\') {
+                result += char;
+                this.index++;
+                continue;
+            }
+            
+            const escape = this.text[this.index + 1];
+            if (escape === undefined) this.fail('Unterminated string');
+            if (escape === 'u' || escape === 'x') {
+                const length = escape === 'u' ? 4 : 2;
+                const hex = this.text.slice(this.index + 2, this.index + 2 + length);
+                if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) this.fail(`Bad \\${escape} escape in string literal`);
+                if (escape === 'x') this.extensions.add('string escapes');
+                result += String.fromCharCode(parseInt(hex, 16));
+                this.index += 2 + length;
+                continue;
+            }
+            if ((escape >= '1' && escape <= '9') || (escape === '0' && /\d/.test(this.text[this.index + 2] || ''))) {
+                this.fail('Octal escapes are not allowed in string literal');
+            }
+            if (simple[escape] === undefined) this.extensions.add('string escapes');
+            if (escape === '\r' && this.text[this.index + 2] === '\n') this.index++;
+            if (!'\n\r\u2028\u2029'.includes(escape)) {
+                result += escape === 'v' ? '\v' : escape === '0' ? '\0' : simple[escape] ?? escape;
+            }
+            this.index += 2;
+        }
+    }
+    
+    // JSON5 numbers: hexadecimal, a leading +, leading or trailing decimal
+    // points, Infinity and NaN. Finite ones are rewritten as JSON number text.
+    parseLenientNumber() {
+        const position = this.index;
+        const pattern = /([+-]?)(?:(Infinity|NaN)|0[xX]([0-9a-fA-F]+)|((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?))/y;
+        pattern.lastIndex = position;
+        const match = pattern.exec(this.text);
+        if (!match) this.fail(`Unexpected token ${JSON.stringify(this.text[position])}`);
+        const [lexeme, sign, special, hex, decimal] = match;
+        if (decimal && /^0\d/.test(decimal)) this.fail('Leading zeros are not allowed in numbers');
+        this.index += lexeme.length;
+        
+        if (special) {
+            this.extensions.add('non-finite numbers');
+            this.warnings.push({
+                message: `${lexeme} has no JSON equivalent and is written as null in strict JSON`,
+                pointer: this.pointer(),
+                position,
+                ...this.locate(position)
+            });
+            const value = special === 'NaN' ? NaN : Infinity;
+            return sign === '-' ? -value : value;
+        }
+        
+        const negative = sign === '-' ? '-' : '';
+        const text = hex
+            ? `${negative}${BigInt(`0x${hex}`)}`
+            : `${negative}${decimal.replace(/^\./, '0.').replace(/\.(?=[eE]|$)/, '')}`;
+        if (text !== lexeme) this.extensions.add(hex ? 'hexadecimal numbers' : 'relaxed numbers');
+        return this.toNumber(text);
+    }
+    
+    skipWhitespace() {
+        for (;;) {
+            const code = this.text.charCodeAt(this.index);
+            if (code === 32 || code === 10 || code === 13 || code === 9) {
+                this.index++;
+                continue;
+            }
+            if (!this.lenient) return;
+            
+            const char = this.text[this.index];
+            const next = this.text[this.index + 1];
+            if (char === '/' && next === '/') {
+                const end = this.text.indexOf('\n', this.index);
+                this.index = end === -1 ? this.text.length : end;
+                this.extensions.add('comments');
+            } else if (char === '/' && next === '*') {
+                const end = this.text.indexOf('*/', this.index + 2);
+                if (end === -1) this.fail('Unterminated comment');
+                this.index = end + 2;
+                this.extensions.add('comments');
+            } else if (char !== undefined && /[\v\f\u00a0\ufeff\u2028\u2029\p{Zs}]/u.test(char)) {
+                this.index++;
+            } else {
+                return;
+            }
+        }
+    }
+    
+    expect(char) {
+        if (this.text[this.index] !== char) {
+            const found = this.text[this.index];
+            this.fail(found === undefined ? `Expected "${char}" but the input ended` : `Expected "${char}" but found ${JSON.stringify(found)}`);
+        }
+        this.index++;
+    }
+    
+    fail(message) {
+        throw new JSONSyntaxError(message, this.index, this.locate(this.index), this.excerpt(this.index));
+    }
+    
+    pointer() {
+        return this.segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+    }
+    
+    // 1-based line and column of an offset in the last parsed text
+    locate(position) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = this.text.indexOf('\n'); i !== -1; i = this.text.indexOf('\n', i + 1)) {
+                this.lineStarts.push(i + 1);
+            }
+        }
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.lineStarts[middle] <= position) low = middle;
+            else high = middle - 1;
+        }
+        return { line: low + 1, column: position - this.lineStarts[low] + 1 };
+    }
+    
+    // The line holding the offset, cut to 80 characters around it on long
+    // (minified) lines, with a caret under the offset
+    excerpt(position) {
+        const { line } = this.locate(position);
+        const start = this.lineStarts[line - 1];
+        const end = line < this.lineStarts.length ? this.lineStarts[line] - 1 : this.text.length;
+        const from = Math.max(start, Math.min(position - 40, end - 80));
+        const source = this.text.slice(from, Math.min(end, from + 80)).replace(/\r$/, '').replace(/\t/g, ' ');
+        const caret = position - from;
+        return `${from > start ? '…' : ''}${source}\n${' '.repeat(caret + (from > start ? 1 : 0))}^`;
+    }
+    
+    // Where the value at a pointer starts in the last text parsed with locations,
+    // falling back to its deepest existing ancestor
+    locationOf(pointer) {
+        if (!this.trackLocations) return null;
+        
+        let node = this.root;
+        let offset = this.rootOffset;
+        const segments = pointer ? pointer.split('/').slice(1) : [];
+        for (const segment of segments) {
+            const offsets = this.offsets.get(node);
+            const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            const index = Array.isArray(node) ? Number(key) : offsets && Object.keys(node).indexOf(key);
+            if (!offsets || offsets[index] === undefined) break;
+            offset = offsets[index];
+            node = node[key];
+        }
+        return this.locate(offset);
+    }
+    
+    // JSON.stringify(value, null, indent) that writes lossless numbers as written
+    stringify(value, indent = 0) {
+        const gap = ' '.repeat(indent);
+        const write = (node, margin) => {
+            if (node instanceof LosslessNumber) return node.lexeme;
+            if (node === null || typeof node !== 'object') return JSON.stringify(node);
+            if (typeof node.toJSON === 'function') return write(node.toJSON(), margin);
+            
+            const inner = margin + gap;
+            const open = gap ? `\n${inner}` : '';
+            const close = gap ? `\n${margin}` : '';
+            const separator = gap ? `,\n${inner}` : ',';
+            if (Array.isArray(node)) {
+                if (node.length === 0) return '[]';
+                return `[${open}${node.map(item => write(item, inner) ?? 'null').join(separator)}${close}]`;
+            }
+            
+            const members = [];
+            Object.keys(node).forEach(key => {
+                const text = write(node[key], inner);
+                if (text !== undefined) members.push(`${JSON.stringify(key)}:${gap ? ' ' : ''}${text}`);
+            });
+            return members.length > 0 ? `{${open}${members.join(separator)}${close}}` : '{}';
+        };
+        return write(value, '');
+    }
+    
+    // Deep copy that shares the (immutable) lossless numbers. Containers are
+    // copied off an explicit stack, so deep nesting cannot overflow the call stack.
+    clone(value) {
+        const isLeaf = node => node === null || typeof node !== 'object' || node instanceof LosslessNumber;
+        if (isLeaf(value)) return value;
+        const copy = Array.isArray(value) ? [] : {};
+        const stack = [[value, copy]];
+        while (stack.length > 0) {
+            const [source, target] = stack.pop();
+            const keys = Array.isArray(source) ? source.keys() : Object.keys(source);
+            for (const key of keys) {
+                const child = source[key];
+                if (isLeaf(child)) {
+                    target[key] = child;
+                } else {
+                    target[key] = Array.isArray(child) ? [] : {};
+                    stack.push([child, target[key]]);
+                }
+            }
+        }
+        return copy;
+    }
+    
+    isNumber(value) {
+        return typeof value === 'number' || value instanceof LosslessNumber;
+    }
+    
+    // { sign, digits, exponent } with no leading or trailing zeros in digits, so
+    // equal values always give equal decimals. null for NaN and Infinity.
+    toDecimal(value) {
+        const match = /^(-?)(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(String(value));
+        if (!match) return null;
+        
+        const fraction = match[3] || '';
+        const digits = (match[2] + fraction).replace(/^0+/, '');
+        if (!digits) return { sign: 1, digits: '0', exponent: 0 };
+        const trimmed = digits.replace(/0+$/, '');
+        return {
+            sign: match[1] ? -1 : 1,
+            digits: trimmed,
+            exponent: Number(match[4] || 0) - fraction.length + digits.length - trimmed.length
+        };
+    }
+    
+    // Text that is equal for equal JSON values, whatever the key order, with 1
+    // and 1.0 the same number
+    canonical(value) {
+        if (this.isNumber(value)) return this.canonicalNumber(value);
+        if (Array.isArray(value)) return `[${value.map(item => this.canonical(item)).join(',')}]`;
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonical(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+    
+    // Text that is equal for equal values: the plain JSON of the double when the
+    // number is exactly that double, the exact decimal otherwise
+    canonicalNumber(value) {
+        if (typeof value === 'number') return JSON.stringify(value);
+        
+        const decimal = this.toDecimal(value.lexeme);
+        const double = this.toDecimal(String(Number(value.lexeme)));
+        if (double && double.sign === decimal.sign && double.digits === decimal.digits && double.exponent === decimal.exponent) {
+            return JSON.stringify(Number(value.lexeme));
+        }
+        return `${decimal.sign < 0 ? '-' : ''}${decimal.digits}e${decimal.exponent}`;
+    }
+    
+    // |value1 - value2| <= tolerance, worked out on the exact decimals
+    numbersEqual(value1, value2, tolerance = 0) {
+        const a = this.toDecimal(value1);
+        const b = this.toDecimal(value2);
+        const limit = this.toDecimal(Math.abs(tolerance));
+        if (!a || !b || !limit) {
+            return Number(value1) === Number(value2) || Math.abs(value1 - value2) <= tolerance;
+        }
+        if (a.sign === b.sign && a.digits === b.digits && a.exponent === b.exponent) return true;
+        if (!tolerance) return false;
+        
+        // Scaling to a shared exponent is exact but grows with the exponent spread;
+        // past 1000 digits the doubles are as good an answer as any
+        const exponent = Math.min(a.exponent, b.exponent, limit.exponent);
+        if (Math.max(a.exponent, b.exponent, limit.exponent) - exponent > 1000) {
+            return Math.abs(value1 - value2) <= tolerance;
+        }
+        const scale = decimal => BigInt(decimal.sign < 0 ? `-${decimal.digits}` : decimal.digits) * 10n ** BigInt(decimal.exponent - exponent);
+        const difference = scale(a) - scale(b);
+        return (difference < 0n ? -difference : difference) <= scale(limit);
+    }
+    
+    // -1, 0 or 1, worked out on the exact decimals
+    compareNumbers(value1, value2) {
+        const a = this.toDecimal(value1);
+        const b = this.toDecimal(value2);
+        if (!a || !b) return Math.sign(value1 - value2);
+        
+        const signOf = decimal => decimal.digits === '0' ? 0 : decimal.sign;
+        if (signOf(a) !== signOf(b) || signOf(a) === 0) return Math.sign(signOf(a) - signOf(b));
+        
+        // Same sign: the leading digit's position decides, then the digits
+        let order = (a.digits.length + a.exponent) - (b.digits.length + b.exponent);
+        if (order === 0) {
+            const length = Math.max(a.digits.length, b.digits.length);
+            const digits1 = a.digits.padEnd(length, '0');
+            const digits2 = b.digits.padEnd(length, '0');
+            order = digits1 < digits2 ? -1 : digits1 > digits2 ? 1 : 0;
+        }
+        return signOf(a) * Math.sign(order);
+    }
+}
+
+// YAML Parser - Block and flow collections, plain/quoted/block scalars, anchors,
+// aliases and merge keys, with core schema typing. Several documents in one
+// stream come back as an array.
+class YAMLParser {
+    constructor(toNumber = Number) {
+        this.toNumber = toNumber;
+    }
+    
+    parse(text) {
+        this.anchors = new Map();
+        this.warnings = [];
+        this.lines = text.replace(/^﻿/, '').split(/\r\n|\r|\n/).map((raw, i) => ({
+            raw,
+            number: i + 1,
+            indent: raw.search(/\S|$/),
+            content: raw.trim()
+        }));
+        this.index = 0;
+        
+        const documents = [];
+        for (;;) {
+            this.skipBlank();
+            while (this.index < this.lines.length && /^%/.test(this.current().content)) {
+                this.index++;
+                this.skipBlank();
+            }
+            if (this.index >= this.lines.length) break;
+            
+            let line = this.current();
+            if (/^---(\s|$)/.test(line.content)) {
+                const rest = line.content.slice(3).trim();
+                if (rest && !rest.startsWith('#')) {
+                    this.replaceCurrent(this.columnOf(line, rest), rest);
+                } else {
+                    this.index++;
+                }
+                this.skipBlank();
+                line = this.current();
+            }
+            
+            const ended = !line || /^(---|\.\.\.)(\s|$)/.test(line.content);
+            documents.push(ended ? null : this.parseBlock(-1));
+            this.skipBlank();
+            if (this.current() && /^\.\.\.(\s|$)/.test(this.current().content)) {
+                this.index++;
+                this.skipBlank();
+            }
+            if (this.current() && !/^(---|\.\.\.)(\s|$)/.test(this.current().content)) {
+                this.fail('Unexpected content after the end of the document', this.current());
+            }
+        }
+        
+        if (documents.length === 0) return null;
+        return documents.length === 1 ? documents[0] : documents;
+    }
+    
+    current() {
+        return this.lines[this.index];
+    }
+    
+    // Lets "- key: value" and "--- value" be read as if the rest of the line
+    // started a line of its own at that column
+    replaceCurrent(column, content) {
+        const line = this.current();
+        this.lines[this.index] = { raw: ' '.repeat(column) + content, number: line.number, indent: column, content };
+    }
+    
+    columnOf(line, rest) {
+        return line.indent + line.content.length - rest.length;
+    }
+    
+    skipBlank() {
+        while (this.index < this.lines.length) {
+            const content = this.current().content;
+            if (content && !content.startsWith('#')) return;
+            this.index++;
+        }
+    }
+    
+    fail(message, line = this.current()) {
+        throw new Error(line ? `${message} (line ${line.number})` : message);
+    }
+    
+    // The node whose lines are indented more than parentIndent
+    parseBlock(parentIndent) {
+        this.skipBlank();
+        const line = this.current();
+        if (!line || line.indent <= parentIndent || /^(---|\.\.\.)(\s|$)/.test(line.content)) return null;
+        
+        const { anchor, tag, rest } = this.readProperties(line.content);
+        if (anchor || tag) {
+            if (!rest || rest.startsWith('#')) {
+                this.index++;
+                return this.remember(anchor, this.applyTag(tag, this.parseBlock(parentIndent)));
+            }
+            this.replaceCurrent(this.columnOf(line, rest), rest);
+            return this.remember(anchor, this.applyTag(tag, this.parseBlock(parentIndent)));
+        }
+        
+        if (/^-(\s|$)/.test(line.content)) return this.parseSequence(line.indent);
+        if (this.splitKey(line.content)) return this.parseMapping(line.indent);
+        return this.parseScalarLines(parentIndent);
+    }
+    
+    isMarker(line) {
+        return line.indent === 0 && /^(---|\.\.\.)(\s|$)/.test(line.content);
+    }
+    
+    parseSequence(indent) {
+        const items = [];
+        for (;;) {
+            this.skipBlank();
+            const line = this.current();
+            if (!line || line.indent !== indent || !/^-(\s|$)/.test(line.content)) break;
+            
+            const rest = line.content.slice(1).trim();
+            if (!rest || rest.startsWith('#')) {
+                this.index++;
+                items.push(this.parseBlock(indent));
+            } else {
+                this.replaceCurrent(this.columnOf(line, rest), rest);
+                items.push(this.parseBlock(indent));
+            }
+        }
+        return items;
+    }
+    
+    parseMapping(indent) {
+        const mapping = {};
+        const merged = new Set();
+        for (;;) {
+            this.skipBlank();
+            const line = this.current();
+            if (!line || line.indent !== indent || this.isMarker(line)) break;
+            const entry = this.splitKey(line.content);
+            if (!entry) {
+                if (/^-(\s|$)/.test(line.content)) break;
+                this.fail('Expected a "key: value" entry', line);
+            }
+            
+            this.index++;
+            const value = this.parseEntryValue(entry.value, indent, line);
+            if (entry.key === '<<') {
+                // Merge keys copy in the fields the mapping does not set itself
+                [].concat(value).forEach(source => {
+                    Object.keys(source || {}).forEach(key => {
+                        if (Object.prototype.hasOwnProperty.call(mapping, key)) return;
+                        this.assign(mapping, key, source[key]);
+                        merged.add(key);
+                    });
+                });
+            } else {
+                if (Object.prototype.hasOwnProperty.call(mapping, entry.key) && !merged.delete(entry.key)) {
+                    this.fail(`Duplicate key "${entry.key}"`, line);
+                }
+                this.assign(mapping, entry.key, value);
+            }
+        }
+        return mapping;
+    }
+    
+    assign(object, key, value) {
+        if (key === '__proto__') {
+            Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+        } else {
+            object[key] = value;
+        }
+    }
+    
+    parseEntryValue(text, indent, line) {
+        const { anchor, tag, rest } = this.readProperties(text);
+        let value;
+        if (!rest || rest.startsWith('#')) {
+            // A sequence may sit at the same indentation as its key
+            this.skipBlank();
+            const next = this.current();
+            value = next && next.indent === indent && /^-(\s|$)/.test(next.content)
+                ? this.parseSequence(indent)
+                : this.parseBlock(indent);
+        } else if (/^[|>]/.test(rest)) {
+            value = this.parseBlockScalar(rest, indent, line);
+        } else {
+            value = this.parseInline(rest, indent, line);
+        }
+        return this.remember(anchor, this.applyTag(tag, value));
+    }
+    
+    // "&anchor !tag rest" prefixes in either order
+    readProperties(text) {
+        let rest = text;
+        let anchor = null;
+        let tag = null;
+        for (;;) {
+            const match = /^(&[^\s,[\]{}]+|![^\s,[\]{}]*)(\s+|$)/.exec(rest);
+            if (!match) break;
+            if (match[1][0] === '&') anchor = match[1].slice(1);
+            else tag = match[1];
+            rest = rest.slice(match[0].length);
+        }
+        return { anchor, tag, rest };
+    }
+    
+    remember(anchor, value) {
+        if (anchor) this.anchors.set(anchor, value);
+        return value;
+    }
+    
+    applyTag(tag, value) {
+        if (tag === '!!str' && value !== null && typeof value !== 'object') return String(value);
+        if ((tag === '!!int' || tag === '!!float') && typeof value === 'string') return this.toNumber(value);
+        return value;
+    }
+    
+    // "key: value" -> { key, value }; keys may be quoted
+    splitKey(content) {
+        let key;
+        let rest;
+        if (content[0] === '"' || content[0] === "'") {
+            const end = this.findQuoteEnd(content, 0);
+            if (end === -1) return null;
+            const after = content.slice(end + 1);
+            const match = /^\s*:(\s|$)/.exec(after);
+            if (!match) return null;
+            key = this.parseQuoted(content.slice(0, end + 1));
+            rest = after.slice(match[0].length);
+        } else {
+            if (/^[[{]/.test(content) || content.startsWith('? ')) return null;
+            const match = /^([^#]*?)\s*:(\s|$)/.exec(content);
+            if (!match || match[1].includes(': ') || !match[1]) return null;
+            key = match[1];
+            rest = content.slice(match[0].length);
+        }
+        return { key: String(key), value: rest.trim() };
+    }
+    
+    findQuoteEnd(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (quote === '"' && text[i] === '\\') i++;
+            else if (text[i] === quote) {
+                if (quote === "'" && text[i + 1] === "'") i++;
+                else return i;
+            }
+        }
+        return -1;
+    }
+    
+    // Values written on the key's line: flow collections, quoted and plain
+    // scalars, which may continue on more indented lines
+    parseInline(text, indent, line) {
+        if (text[0] === '*') {
+            const name = text.slice(1).replace(/\s+#.*$/, '').trim();
+            if (!this.anchors.has(name)) this.fail(`Unknown alias "*${name}"`, line);
+            return this.anchors.get(name);
+        }
+        
+        let source = text;
+        if (source[0] === '[' || source[0] === '{' || source[0] === '"' || source[0] === "'") {
+            // Flow collections and quoted scalars may run over several lines
+            while (!this.isComplete(source) && this.index < this.lines.length) {
+                source += `\n${this.current().content}`;
+                this.index++;
+            }
+            const flow = new YAMLFlowParser(source, this, line);
+            const value = flow.parseValue();
+            flow.skipSpace();
+            if (flow.index < source.length && source[flow.index] !== '#') this.fail('Unexpected text after a flow value', line);
+            return value;
+        }
+        
+        const parts = [this.stripComment(source)];
+        while (this.index < this.lines.length) {
+            const next = this.current();
+            if (next.content && (next.indent <= indent || next.content.startsWith('#') ||
+                /^(---|\.\.\.)(\s|$)/.test(next.content))) break;
+            const part = this.stripComment(next.content);
+            if (/:(\s|$)/.test(part)) this.fail('Mapping values are not allowed here', next);
+            parts.push(part);
+            this.index++;
+        }
+        return this.resolvePlain(this.fold(parts), line);
+    }
+    
+    // A scalar block that is not part of any collection
+    parseScalarLines(parentIndent) {
+        const first = this.current();
+        const text = first.content;
+        this.index++;
+        if (/^[|>]/.test(text)) return this.parseBlockScalar(text, parentIndent, first);
+        return this.parseInline(text, parentIndent, first);
+    }
+    
+    isComplete(source) {
+        const flow = new YAMLFlowParser(source, this, null);
+        try {
+            flow.parseValue();
+            return true;
+        } catch (error) {
+            return !flow.reachedEnd;
+        }
+    }
+    
+    stripComment(text) {
+        return text.replace(/(^|\s)#.*$/, '').trim();
+    }
+    
+    // Line folding for plain and quoted scalars: single breaks become spaces,
+    // blank lines become newlines
+    fold(parts) {
+        let result = '';
+        let breaks = 0;
+        parts.forEach((part, i) => {
+            if (!part) {
+                breaks++;
+                return;
+            }
+            if (i > 0 && result) result += breaks > 0 ? '\n'.repeat(breaks) : ' ';
+            result += part;
+            breaks = 0;
+        });
+        return result;
+    }
+    
+    // "|" keeps line breaks, ">" folds them; "-" strips and "+" keeps the
+    // final breaks, and a digit sets the indentation explicitly
+    parseBlockScalar(header, indent, line) {
+        const match = /^([|>])([1-9]?)([+-]?)([1-9]?)\s*(#.*)?$/.exec(header);
+        if (!match) this.fail('Invalid block scalar header', line);
+        const literal = match[1] === '|';
+        const chomping = match[3];
+        const explicit = Number(match[2] || match[4]) || 0;
+        
+        const lines = [];
+        let blockIndent = explicit ? Math.max(indent, 0) + explicit : 0;
+        while (this.index < this.lines.length) {
+            const next = this.current();
+            if (next.content) {
+                if (!blockIndent) blockIndent = next.indent;
+                if (next.indent < blockIndent || next.indent <= indent) break;
+            }
+            lines.push(next.raw.slice(blockIndent));
+            this.index++;
+        }
+        
+        let trailing = 0;
+        while (lines.length && !lines[lines.length - 1].trim()) {
+            lines.pop();
+            trailing++;
+        }
+        
+        let text = '';
+        if (literal) {
+            text = lines.join('\n');
+        } else {
+            // Breaks between lines become spaces unless a line is blank or
+            // more indented
+            let breaks = 0;
+            let started = false;
+            let previousMore = false;
+            lines.forEach(current => {
+                if (!current) {
+                    breaks++;
+                    return;
+                }
+                const more = /^\s/.test(current);
+                if (!started) text += '\n'.repeat(breaks);
+                else if (more || previousMore) text += '\n'.repeat(breaks + 1);
+                else text += breaks ? '\n'.repeat(breaks) : ' ';
+                text += current;
+                breaks = 0;
+                started = true;
+                previousMore = more;
+            });
+        }
+        
+        if (chomping === '-' || lines.length === 0) return text;
+        return chomping === '+' ? text + '\n'.repeat(trailing + 1) : `${text}\n`;
+    }
+    
+    parseQuoted(text) {
+        if (text[0] === "'") {
+            return this.fold(text.slice(1, -1).split('\n').map(part => part.trim())).replace(/''/g, "'");
+        }
+        const escapes = { '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+            e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: ' ', P: ' ' };
+        const body = text.slice(1, -1)
+            .replace(/\\\n\s*/g, '')
+            .split('\n').map((part, i, parts) => (i === 0 ? part.trimEnd() : i === parts.length - 1 ? part.trimStart() : part.trim()));
+        return this.fold(body).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (all, escape) => {
+            if (escape.length > 1) return String.fromCodePoint(parseInt(escape.slice(1), 16));
+            if (escapes[escape] === undefined) throw new Error(`Invalid escape "\\${escape}" in double-quoted string`);
+            return escapes[escape];
+        });
+    }
+    
+    // YAML 1.2 core schema
+    resolvePlain(text, line) {
+        if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?\d+$/.test(text)) return this.toNumber(text.replace(/^\+/, ''));
+        if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+        if (/^0x[0-9a-fA-F]+$/.test(text)) return this.toNumber(BigInt(text).toString());
+        if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) {
+            return this.toNumber(text.replace(/^\+/, '').replace(/^(-?)\./, '$10.').replace(/\.(?=[eE]|$)/, ''));
+        }
+        if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return this.nonFinite(text[0] === '-' ? -Infinity : Infinity, text, line);
+        if (/^\.(nan|NaN|NAN)$/.test(text)) return this.nonFinite(NaN, text, line);
+        return text;
+    }
+    
+    // .inf and .nan read fine but cannot be written back as JSON numbers. The
+    // trial parse in isComplete has no line and leaves the warning to the real one
+    nonFinite(value, text, line) {
+        if (!line) return value;
+        const column = line.raw.indexOf(text);
+        this.warnings.push({
+            message: `${text} has no JSON equivalent and is written as null in strict JSON`,
+            line: line.number,
+            column: (column >= 0 ? column : line.indent) + 1
+        });
+        return value;
+    }
+}
+
+// YAML Flow Parser - "[a, b]" and "{a: 1}" collections inside a YAML value
+class YAMLFlowParser {
+    constructor(source, yaml, line) {
+        this.source = source;
+        this.yaml = yaml;
+        this.line = line;
+        this.index = 0;
+        this.reachedEnd = false;
+    }
+    
+    fail(message) {
+        if (this.index >= this.source.length) this.reachedEnd = true;
+        this.yaml.fail(message, this.line);
+    }
+    
+    skipSpace() {
+        for (;;) {
+            while (/\s/.test(this.source[this.index] || '')) this.index++;
+            if (this.source[this.index] !== '#' || (this.index > 0 && !/\s/.test(this.source[this.index - 1]))) return;
+            while (this.index < this.source.length && this.source[this.index] !== '\n') this.index++;
+        }
+    }
+    
+    parseValue() {
+        this.skipSpace();
+        const char = this.source[this.index];
+        if (char === undefined) this.fail('Unexpected end of a flow value');
+        if (char === '[') return this.parseCollection(']');
+        if (char === '{') return this.parseCollection('}');
+        if (char === '"' || char === "'") {
+            const end = this.yaml.findQuoteEnd(this.source, this.index);
+            if (end === -1) {
+                this.index = this.source.length;
+                this.fail('Unterminated quoted string');
+            }
+            const text = this.source.slice(this.index, end + 1);
+            this.index = end + 1;
+            return this.yaml.parseQuoted(text);
+        }
+        if (char === '*') {
+            const match = /^\*([^\s,[\]{}]+)/.exec(this.source.slice(this.index));
+            this.index += match[0].length;
+            if (!this.yaml.anchors.has(match[1])) this.fail(`Unknown alias "*${match[1]}"`);
+            return this.yaml.anchors.get(match[1]);
+        }
+        
+        const start = this.index;
+        while (this.index < this.source.length && !/[,[\]{}]/.test(this.source[this.index]) &&
+            !(this.source[this.index] === ':' && /[\s,[\]{}]|^$/.test(this.source[this.index + 1] || '')) &&
+            !(this.source[this.index] === '#' && /\s/.test(this.source[this.index - 1]))) {
+            this.index++;
+        }
+        return this.yaml.resolvePlain(this.yaml.fold(this.source.slice(start, this.index).split('\n').map(part => part.trim())), this.line);
+    }
+    
+    parseCollection(close) {
+        const mapping = close === '}';
+        const result = mapping ? {} : [];
+        this.index++;
+        for (;;) {
+            this.skipSpace();
+            if (this.source[this.index] === close) {
+                this.index++;
+                return result;
+            }
+            
+            const key = this.parseValue();
+            this.skipSpace();
+            if (this.source[this.index] === ':') {
+                this.index++;
+                const value = this.source[this.index] === undefined ? null : this.parseValue();
+                if (mapping) this.yaml.assign(result, String(key), value);
+                else result.push({ [key]: value });
+            } else if (mapping) {
+                this.yaml.assign(result, String(key), null);
+            } else {
+                result.push(key);
+            }
+            
+            this.skipSpace();
+            if (this.source[this.index] === ',') {
+                this.index++;
+            } else if (this.source[this.index] !== close) {
+                this.fail(`Expected "," or "${close}" in a flow collection`);
+            }
+        }
+    }
+}
+
+// TOML Parser - Tables, arrays of tables, dotted keys, inline tables and all
+// string and number forms. Dates and times are kept as their text.
+class TOMLParser {
+    constructor(toNumber = Number) {
+        this.toNumber = toNumber;
+    }
+    
+    parse(text) {
+        this.text = text.replace(/^﻿/, '');
+        this.index = 0;
+        this.root = {};
+        this.defined = new WeakSet();
+        // Inline tables and static arrays are closed to later headers
+        this.inline = new WeakSet();
+        let table = this.root;
+        
+        for (;;) {
+            this.skipTrivia(true);
+            if (this.index >= this.text.length) break;
+            
+            if (this.text[this.index] === '[') {
+                const arrayTable = this.text[this.index + 1] === '[';
+                this.index += arrayTable ? 2 : 1;
+                const keys = this.parseKey();
+                this.expect(arrayTable ? ']]' : ']');
+                table = arrayTable ? this.appendTable(keys) : this.defineTable(keys);
+            } else {
+                const keys = this.parseKey();
+                this.expect('=');
+                this.assign(table, keys, this.parseValue());
+            }
+            this.endOfLine();
+        }
+        return this.root;
+    }
+    
+    fail(message) {
+        const line = this.text.slice(0, this.index).split('\n').length;
+        throw new Error(`${message} (line ${line})`);
+    }
+    
+    skipTrivia(newlines) {
+        for (;;) {
+            const char = this.text[this.index];
+            if (char === ' ' || char === '\t' || (newlines && (char === '\n' || char === '\r'))) {
+                this.index++;
+            } else if (char === '#') {
+                while (this.index < this.text.length && this.text[this.index] !== '\n') this.index++;
+            } else {
+                return;
+            }
+        }
+    }
+    
+    endOfLine() {
+        this.skipTrivia(false);
+        if (this.index < this.text.length && !/[\r\n]/.test(this.text[this.index])) {
+            this.fail('Expected a new line after the value');
+        }
+    }
+    
+    expect(token) {
+        this.skipTrivia(false);
+        if (!this.text.startsWith(token, this.index)) this.fail(`Expected "${token}"`);
+        this.index += token.length;
+    }
+    
+    // Bare, quoted and dotted keys -> ['a', 'b.c', 'd']
+    parseKey() {
+        const keys = [];
+        for (;;) {
+            this.skipTrivia(false);
+            const char = this.text[this.index];
+            if (char === '"' || char === "'") {
+                if (this.text.startsWith(char.repeat(3), this.index)) this.fail('Multi-line strings cannot be keys');
+                keys.push(this.parseString());
+            } else {
+                const match = /^[A-Za-z0-9_-]+/.exec(this.text.slice(this.index, this.index + 256));
+                if (!match) this.fail('Expected a key');
+                keys.push(match[0]);
+                this.index += match[0].length;
+            }
+            this.skipTrivia(false);
+            if (this.text[this.index] !== '.') return keys;
+            this.index++;
+        }
+    }
+    
+    child(table, key, create) {
+        if (!Object.prototype.hasOwnProperty.call(table, key)) {
+            const value = create();
+            Object.defineProperty(table, key, { value, enumerable: true, writable: true, configurable: true });
+            return value;
+        }
+        return table[key];
+    }
+    
+    // Walks to the table holding the last key, creating intermediate tables;
+    // the last element of an array of tables is the one being extended
+    descend(table, keys) {
+        let current = table;
+        keys.forEach(key => {
+            let next = this.child(current, key, () => ({}));
+            if (Array.isArray(next) && !this.inline.has(next)) next = next[next.length - 1];
+            if (next === null || typeof next !== 'object' || Array.isArray(next) || this.inline.has(next)) {
+                this.fail(`"${key}" is already defined as a value`);
+            }
+            current = next;
+        });
+        return current;
+    }
+    
+    defineTable(keys) {
+        const table = this.descend(this.root, keys);
+        if (this.defined.has(table)) this.fail(`Table [${keys.join('.')}] is defined twice`);
+        this.defined.add(table);
+        return table;
+    }
+    
+    appendTable(keys) {
+        const parent = this.descend(this.root, keys.slice(0, -1));
+        const last = keys[keys.length - 1];
+        const array = this.child(parent, last, () => []);
+        if (!Array.isArray(array) || this.inline.has(array)) this.fail(`"${last}" is not an array of tables`);
+        const table = {};
+        array.push(table);
+        return table;
+    }
+    
+    assign(table, keys, value) {
+        const parent = this.descend(table, keys.slice(0, -1));
+        const last = keys[keys.length - 1];
+        if (Object.prototype.hasOwnProperty.call(parent, last)) this.fail(`Duplicate key "${keys.join('.')}"`);
+        this.child(parent, last, () => value);
+    }
+    
+    parseValue() {
+        this.skipTrivia(false);
+        const char = this.text[this.index];
+        if (char === '"' || char === "'") return this.parseString();
+        if (char === '[') return this.parseArray();
+        if (char === '{') return this.parseInlineTable();
+        
+        const rest = this.text.slice(this.index, this.index + 256);
+        let match = /^(true|false)(?![A-Za-z0-9_-])/.exec(rest);
+        if (match) {
+            this.index += match[0].length;
+            return match[1] === 'true';
+        }
+        
+        match = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[-+]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(\.\d+)?)/.exec(rest);
+        if (match) {
+            this.index += match[0].length;
+            return match[0];
+        }
+        
+        match = /^[-+]?(inf|nan)(?![A-Za-z0-9_])/.exec(rest);
+        if (match) {
+            this.index += match[0].length;
+            if (match[1] === 'nan') return NaN;
+            return match[0][0] === '-' ? -Infinity : Infinity;
+        }
+        
+        match = /^0(x[0-9a-fA-F](_?[0-9a-fA-F])*|o[0-7](_?[0-7])*|b[01](_?[01])*)/.exec(rest);
+        if (match) {
+            this.index += match[0].length;
+            return this.toNumber(BigInt(match[0].replace(/_/g, '')).toString());
+        }
+        
+        match = /^[-+]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][-+]?\d(_?\d)*)?(?![A-Za-z0-9_.])/.exec(rest);
+        if (match) {
+            this.index += match[0].length;
+            return this.toNumber(match[0].replace(/_/g, '').replace(/^\+/, ''));
+        }
+        
+        this.fail('Expected a value');
+    }
+    
+    parseString() {
+        const quote = this.text[this.index];
+        const multiline = this.text.startsWith(quote.repeat(3), this.index);
+        const delimiter = multiline ? quote.repeat(3) : quote;
+        this.index += delimiter.length;
+        // A newline straight after the opening delimiter is not part of the string
+        if (multiline) {
+            if (this.text.startsWith('\r\n', this.index)) this.index += 2;
+            else if (this.text[this.index] === '\n') this.index++;
+        }
+        
+        let result = '';
+        for (;;) {
+            if (this.index >= this.text.length) this.fail('Unterminated string');
+            if (this.text.startsWith(delimiter, this.index)) {
+                // Up to two quotes may directly precede the closing delimiter
+                let extra = 0;
+                while (multiline && extra < 2 && this.text[this.index + 3 + extra] === quote) extra++;
+                result += quote.repeat(extra);
+                this.index += delimiter.length + extra;
+                return result;
+            }
+            
+            const char = this.text[this.index];
+            if (!multiline && (char === '\n' || char === '\r')) this.fail('Strings cannot span lines');
+            if (char === '\\' && quote === '"') {
+                result += this.parseEscape(multiline);
+            } else {
+                result += char;
+                this.index++;
+            }
+        }
+    }
+    
+    parseEscape(multiline) {
+        const escapes = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+        const next = this.text[this.index + 1];
+        if (multiline && /[ \t\r\n]/.test(next)) {
+            // Line-ending backslash trims the break and the following whitespace
+            const match = /^\\[ \t]*\r?\n[\s]*/.exec(this.text.slice(this.index));
+            if (!match) this.fail('Invalid escape');
+            this.index += match[0].length;
+            return '';
+        }
+        if (escapes[next] !== undefined) {
+            this.index += 2;
+            return escapes[next];
+        }
+        const match = /^\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8})/.exec(this.text.slice(this.index, this.index + 10));
+        if (!match) this.fail(`Invalid escape "\\${next}"`);
+        this.index += match[0].length;
+        return String.fromCodePoint(parseInt(match[1].slice(1), 16));
+    }
+    
+    parseArray() {
+        const array = [];
+        this.inline.add(array);
+        this.index++;
+        for (;;) {
+            this.skipTrivia(true);
+            if (this.text[this.index] === ']') {
+                this.index++;
+                return array;
+            }
+            array.push(this.parseValue());
+            this.skipTrivia(true);
+            if (this.text[this.index] === ',') this.index++;
+            else if (this.text[this.index] !== ']') this.fail('Expected "," or "]" in an array');
+        }
+    }
+    
+    parseInlineTable() {
+        const table = {};
+        this.inline.add(table);
+        this.index++;
+        this.skipTrivia(false);
+        if (this.text[this.index] === '}') {
+            this.index++;
+            return table;
+        }
+        for (;;) {
+            const keys = this.parseKey();
+            this.expect('=');
+            this.inline.delete(table);
+            this.assign(table, keys, this.parseValue());
+            this.inline.add(table);
+            this.skipTrivia(false);
+            if (this.text[this.index] === '}') {
+                this.index++;
+                return table;
+            }
+            if (this.text[this.index] !== ',') this.fail('Expected "," or "}" in an inline table');
+            this.index++;
+        }
+    }
+}
+
+// XML Converter - Elements become objects keyed by tag name, repeated tags
+// become arrays, attributes get a prefix and text sits under a text key when
+// the element also has attributes or children.
+class XMLConverter {
+    constructor(options = {}) {
+        this.attributePrefix = options.attributePrefix ?? '@';
+        this.textKey = options.textKey || '#text';
+        this.coerce = options.coerce || (text => text);
+    }
+    
+    parse(text) {
+        this.text = text.replace(/^﻿/, '');
+        this.index = 0;
+        
+        this.skipMisc();
+        if (this.text[this.index] !== '<') this.fail('Expected the root element');
+        const root = this.parseElement();
+        this.skipMisc();
+        if (this.index < this.text.length) this.fail('Unexpected content after the root element');
+        return { [root.name]: root.value };
+    }
+    
+    fail(message) {
+        const line = this.text.slice(0, this.index).split('\n').length;
+        throw new Error(`${message} (line ${line})`);
+    }
+    
+    // Skips whitespace, comments, processing instructions and the doctype
+    skipMisc() {
+        for (;;) {
+            while (/\s/.test(this.text[this.index] || '')) this.index++;
+            if (this.text.startsWith('<!--', this.index)) this.skipPast('-->');
+            else if (this.text.startsWith('<?', this.index)) this.skipPast('?>');
+            else if (this.text.startsWith('<!DOCTYPE', this.index)) this.skipDoctype();
+            else return;
+        }
+    }
+    
+    skipPast(terminator) {
+        const end = this.text.indexOf(terminator, this.index);
+        if (end === -1) this.fail(`Missing "${terminator}"`);
+        this.index = end + terminator.length;
+    }
+    
+    skipDoctype() {
+        let depth = 0;
+        for (; this.index < this.text.length; this.index++) {
+            const char = this.text[this.index];
+            if (char === '[') depth++;
+            else if (char === ']') depth--;
+            else if (char === '>' && depth === 0) {
+                this.index++;
+                return;
+            }
+        }
+        this.fail('Unterminated doctype');
+    }
+    
+    readName() {
+        const match = /^[^\s/>=<"']+/.exec(this.text.slice(this.index, this.index + 256));
+        if (!match) this.fail('Expected a name');
+        this.index += match[0].length;
+        return match[0];
+    }
+    
+    decode(text) {
+        const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (all, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+            }
+            return entities[entity] ?? all;
+        });
+    }
+    
+    parseElement() {
+        this.index++;
+        const name = this.readName();
+        const attributes = [];
+        
+        for (;;) {
+            while (/\s/.test(this.text[this.index] || '')) this.index++;
+            const char = this.text[this.index];
+            if (char === undefined) this.fail(`Unterminated tag <${name}>`);
+            if (char === '>' || (char === '/' && this.text[this.index + 1] === '>')) break;
+            
+            const attribute = this.readName();
+            while (/\s/.test(this.text[this.index] || '')) this.index++;
+            if (this.text[this.index] !== '=') this.fail(`Expected "=" after attribute "${attribute}"`);
+            this.index++;
+            while (/\s/.test(this.text[this.index] || '')) this.index++;
+            const quote = this.text[this.index];
+            if (quote !== '"' && quote !== "'") this.fail(`Attribute "${attribute}" must be quoted`);
+            const end = this.text.indexOf(quote, this.index + 1);
+            if (end === -1) this.fail(`Unterminated value for attribute "${attribute}"`);
+            attributes.push([attribute, this.coerce(this.decode(this.text.slice(this.index + 1, end)))]);
+            this.index = end + 1;
+        }
+        
+        const children = [];
+        let text = '';
+        if (this.text[this.index] === '/') {
+            this.index += 2;
+        } else {
+            this.index++;
+            for (;;) {
+                const next = this.text.indexOf('<', this.index);
+                if (next === -1) this.fail(`Missing closing tag </${name}>`);
+                text += this.decode(this.text.slice(this.index, next));
+                this.index = next;
+                
+                if (this.text.startsWith('</', this.index)) {
+                    this.index += 2;
+                    const closing = this.readName();
+                    if (closing !== name) this.fail(`Expected </${name}> but found </${closing}>`);
+                    while (/\s/.test(this.text[this.index] || '')) this.index++;
+                    if (this.text[this.index] !== '>') this.fail(`Unterminated closing tag </${name}>`);
+                    this.index++;
+                    break;
+                }
+                if (this.text.startsWith('<![CDATA[', this.index)) {
+                    const end = this.text.indexOf(']]>', this.index);
+                    if (end === -1) this.fail('Unterminated CDATA section');
+                    text += this.text.slice(this.index + 9, end);
+                    this.index = end + 3;
+                } else if (this.text.startsWith('<!--', this.index)) {
+                    this.skipPast('-->');
+                } else if (this.text.startsWith('<?', this.index)) {
+                    this.skipPast('?>');
+                } else {
+                    children.push(this.parseElement());
+                }
+            }
+        }
+        
+        return { name, value: this.buildValue(attributes, children, text) };
+    }
+    
+    buildValue(attributes, children, text) {
+        const content = text.trim();
+        if (attributes.length === 0 && children.length === 0) return content ? this.coerce(content) : null;
+        
+        const value = {};
+        const assign = (key, item) => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                Object.defineProperty(value, key, { value: item, enumerable: true, writable: true, configurable: true });
+            } else if (Array.isArray(value[key])) {
+                value[key].push(item);
+            } else {
+                value[key] = [value[key], item];
+            }
+        };
+        attributes.forEach(([name, item]) => assign(this.attributePrefix + name, item));
+        children.forEach(child => assign(child.name, child.value));
+        if (content) assign(this.textKey, this.coerce(content));
+        return value;
+    }
+}
+
+// CSV Parser - RFC 4180 fields with the delimiter sniffed from the header row;
+// each following row becomes an object keyed by the header names
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || null;
+        this.coerce = options.coerce || (text => text);
+    }
+    
+    parse(text) {
+        const source = text.replace(/^﻿/, '');
+        const delimiter = this.delimiter || this.detectDelimiter(source);
+        const rows = this.readRows(source, delimiter)
+            .filter(row => row.fields.length > 1 || row.fields[0] !== '' || row.quoted[0]);
+        if (rows.length === 0) return [];
+        
+        const header = rows[0].fields.map(name => name.trim());
+        const seen = new Set();
+        header.forEach(name => {
+            if (!name) throw new Error('Header row has an empty column name (line 1)');
+            if (seen.has(name)) throw new Error(`Duplicate column "${name}" (line 1)`);
+            seen.add(name);
+        });
+        
+        return rows.slice(1).map(row => {
+            if (row.fields.length !== header.length) {
+                throw new Error(`Expected ${header.length} fields but found ${row.fields.length} (line ${row.line})`);
+            }
+            const record = {};
+            header.forEach((name, i) => {
+                const value = row.quoted[i] ? row.fields[i] : this.coerce(row.fields[i]);
+                Object.defineProperty(record, name, { value, enumerable: true, writable: true, configurable: true });
+            });
+            return record;
+        });
+    }
+    
+    // The candidate that splits the header line into the most fields
+    detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        let best = ',';
+        let bestCount = 0;
+        [',', '\t', ';', '|'].forEach(candidate => {
+            const count = header.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+    
+    readRows(text, delimiter) {
+        const rows = [];
+        let fields = [];
+        let quoted = [];
+        let field = '';
+        let wasQuoted = false;
+        let line = 1;
+        let rowLine = 1;
+        let i = 0;
+        
+        const endField = () => {
+            fields.push(field);
+            quoted.push(wasQuoted);
+            field = '';
+            wasQuoted = false;
+        };
+        
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '"' && field === '' && !wasQuoted) {
+                // Quoted field: doubled quotes stand for one, breaks are kept
+                wasQuoted = true;
+                i++;
+                for (;;) {
+                    if (i >= text.length) throw new Error(`Unterminated quoted field (line ${rowLine})`);
+                    if (text[i] === '"') {
+                        if (text[i + 1] === '"') {
+                            field += '"';
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    if (text[i] === '\n') line++;
+                    field += text[i++];
+                }
+                if (i < text.length && text[i] !== delimiter && text[i] !== '\r' && text[i] !== '\n') {
+                    throw new Error(`Unexpected text after a quoted field (line ${line})`);
+                }
+            } else if (char === delimiter) {
+                endField();
+                i++;
+            } else if (char === '\r' || char === '\n') {
+                endField();
+                rows.push({ fields, quoted, line: rowLine });
+                fields = [];
+                quoted = [];
+                i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+                i++;
+            }
+        }
+        if (field !== '' || wasQuoted || fields.length) {
+            endField();
+            rows.push({ fields, quoted, line: rowLine });
+        }
+        return rows;
+    }
+}
+
+// NDJSON Parser - One JSON value per line (JSON Lines). Lines that do not parse
+// are skipped and reported by line number instead of failing the whole input;
+// locations are worked out lazily by re-reading just the record's line.
+class NDJSONParser {
+    constructor(options = {}) {
+        this.lossless = options.lossless ?? true;
+        this.json = new LosslessJSON();
+    }
+    
+    parse(text) {
+        this.lines = text.replace(/^﻿/, '').split('\n');
+        this.recordLines = [];
+        this.warnings = [];
+        this.skipped = 0;
+        const records = [];
+        
+        for (let i = 0; i < this.lines.length; i++) {
+            const line = this.lines[i];
+            if (!line.trim()) continue;
+            try {
+                const record = this.json.parse(line, { lossless: this.lossless });
+                this.json.warnings.forEach(warning => this.warnings.push({
+                    ...warning,
+                    line: i + 1,
+                    pointer: `/${records.length}${warning.pointer}`
+                }));
+                records.push(record);
+                this.recordLines.push(i + 1);
+            } catch (error) {
+                if (!(error instanceof JSONSyntaxError)) throw error;
+                this.skipped++;
+                this.warnings.push({
+                    message: `Skipped malformed line: ${error.reason}`,
+                    line: i + 1,
+                    column: error.column,
+                    skipped: true
+                });
+            }
+        }
+        return records;
+    }
+    
+    locationOf(pointer) {
+        const match = /^\/(\d+)(\/.*)?$/.exec(pointer);
+        const line = match ? this.recordLines[Number(match[1])] : undefined;
+        if (line === undefined) return null;
+        
+        const parser = new LosslessJSON();
+        parser.parse(this.lines[line - 1], { lossless: this.lossless, locations: true });
+        const location = parser.locationOf(match[2] || '');
+        return location && { line, column: location.column };
+    }
+}
+
+// Format Converter - Reads JSON, JSON5, NDJSON, YAML, TOML, XML and CSV inputs
+// into the values LosslessJSON produces, so any of them can be compared with any
+// other. 'auto' picks the format from the text itself.
+class FormatConverter {
+    constructor(parser = new LosslessJSON()) {
+        this.json = parser;
+        this.format = 'JSON';
+        this.warnings = [];
+        this.locator = null;
+    }
+    
+    parse(text, options = {}) {
+        const requested = options.format || 'auto';
+        const format = requested === 'auto' ? this.detect(text) : requested;
+        this.lossless = options.lossless ?? true;
+        this.format = format === 'json5' ? 'JSON5' : format.toUpperCase();
+        this.warnings = [];
+        this.locator = null;
+        
+        const toNumber = lexeme => this.toNumber(lexeme);
+        const coerce = value => this.coerce(value);
+        const typed = options.typedValues ?? true;
+        switch (format) {
+            case 'json':
+            case 'json5': {
+                const value = this.json.parse(text, { ...options, dialect: requested === 'auto' ? 'auto' : format });
+                this.format = this.json.dialect;
+                this.warnings = this.json.warnings;
+                this.locator = this.json;
+                return value;
+            }
+            case 'ndjson': {
+                const reader = new NDJSONParser({ lossless: this.lossless });
+                const value = reader.parse(text);
+                this.warnings = reader.warnings;
+                this.locator = reader;
+                return value;
+            }
+            case 'yaml': {
+                const reader = new YAMLParser(toNumber);
+                const value = reader.parse(text);
+                this.warnings = reader.warnings;
+                return value;
+            }
+            case 'toml':
+                return new TOMLParser(toNumber).parse(text);
+            case 'xml':
+                return new XMLConverter({ ...options.xml, coerce: typed ? coerce : null }).parse(text);
+            case 'csv':
+                return new CSVParser({ coerce: value => (value === '' ? null : typed ? coerce(value) : value) }).parse(text);
+            default:
+                throw new Error(`Unknown input format "${format}"`);
+        }
+    }
+    
+    // Best guess at the format of a text: markup is XML, bracketed text is JSON
+    // unless it reads as TOML table headers, rows with a consistent delimiter
+    // count are CSV, and everything else is read as YAML
+    detect(text) {
+        const trimmed = text.replace(/^﻿/, '').trim();
+        if (trimmed.startsWith('<')) return 'xml';
+        
+        const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        const first = lines[0] || '';
+        const tomlKey = /^([A-Za-z0-9_-]+|"[^"]*"|'[^']*')(\s*\.\s*([A-Za-z0-9_-]+|"[^"]*"|'[^']*'))*\s*=(?!=)/;
+        if (/^\[\[?[^[\]]+\]\]?$/.test(first) && lines.slice(1).some(line => tomlKey.test(line))) return 'toml';
+        if (tomlKey.test(first)) return 'toml';
+        
+        if (/^[[{]/.test(trimmed) && this.looksLikeNDJSON(lines)) return 'ndjson';
+        if (/^([[{]|\/\/|\/\*)/.test(trimmed)) return 'json';
+        if (this.looksLikeCSV(trimmed)) return 'csv';
+        if (/^("|-?\d[\d.eE+-]*$|(true|false|null)$)/.test(trimmed)) return 'json';
+        return 'yaml';
+    }
+    
+    // A first line holding a complete object or array, and more like it after
+    looksLikeNDJSON(lines) {
+        const complete = lines.slice(0, 5).map(line => /^[[{].*[}\]]$/.test(line));
+        return complete[0] && complete.filter(Boolean).length > 1;
+    }
+    
+    looksLikeCSV(text) {
+        const rows = text.replace(/"([^"]|"")*"/g, '""').split(/\r?\n/, 6).filter(row => row.trim());
+        if (rows.length < 2 || /^[^,;\t|]*:(\s|$)|^-(\s|$)/.test(rows[0])) return false;
+        return [',', '\t', ';', '|'].some(delimiter => {
+            const count = rows[0].split(delimiter).length;
+            return count > 1 && rows.every(row => row.split(delimiter).length === count);
+        });
+    }
+    
+    // Numbers that survive the trip through a double unchanged stay plain numbers
+    toNumber(lexeme) {
+        const number = Number(lexeme);
+        return !this.lossless || String(number) === lexeme ? number : new LosslessNumber(lexeme);
+    }
+    
+    // Line and column of a JSON Pointer in the text last parsed, where the
+    // format keeps track of them
+    locationOf(pointer) {
+        return this.locator ? this.locator.locationOf(pointer) : null;
+    }
+    
+    // Untyped text (XML content, CSV cells) that spells a JSON number or
+    // boolean is read as one, so it can match typed values on the other side
+    coerce(text) {
+        if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return this.toNumber(text);
+        if (text === 'true' || text === 'false') return text === 'true';
+        return text;
+    }
+}
+
+// Comparison Runner - Parses both inputs, extracts records and diffs them. Shared
+// by the page and the comparison worker so both produce the same results.
+class ComparisonRunner {
+    run(json1Text, json2Text, options, onProgress = null) {
+        const startTime = performance.now();
+        const sources = { left: new FormatConverter(), right: new FormatConverter() };
+        const formats = options.inputFormats || {};
+        const lossless = options.losslessNumbers || false;
+        const readOptions = { lossless, xml: options.xml, typedValues: options.typedValues };
+        const labels = options.labels || { left: 'JSON 1', right: 'JSON 2' };
+        // Compiled first so bad rules fail before any parsing or diffing
+        const severityRules = options.severity ? new SeverityRules(options.severity.rules, options.severity.preset) : null;
+        const masker = options.masking && options.masking.length > 0 ? new ValueMasker(options.masking) : null;
+        const transforms = this.compileTransforms(options.transforms || {}, labels);
+        const arraySorts = options.arraySorts || [];
+        const canonicalizer = options.canonicalize || arraySorts.length > 0
+            ? new JSONCanonicalizer(arraySorts, { sortKeys: options.ignoreKeyOrder ?? true })
+            : null;
+        let json1 = this.parse(sources.left, json1Text, labels.left, { ...readOptions, format: formats.left || 'json' });
+        let json2 = this.parse(sources.right, json2Text, labels.right, { ...readOptions, format: formats.right || 'json' });
+        const parsedTime = performance.now();
+        // The inputs as read are kept for JSON Patch export whenever the compared
+        // documents differ from them; masking works in place, so it gets copies
+        const parsedData = transforms.left || transforms.right || masker || canonicalizer ? { json1, json2 } : undefined;
+        if (transforms.left) json1 = this.transform(transforms.left, json1, labels.left);
+        if (transforms.right) json2 = this.transform(transforms.right, json2, labels.right);
+        const transformedTime = performance.now();
+        // Validated before masking so placeholders are not held against the schema
+        const validation = options.validationSchema ? this.validate(options.validationSchema, json1, json2) : undefined;
+        const validatedTime = performance.now();
+        let masked;
+        if (masker) {
+            const copy = new LosslessJSON();
+            const left = masker.mask(copy.clone(json1));
+            const right = masker.mask(copy.clone(json2));
+            json1 = left.value;
+            json2 = right.value;
+            masked = masker.merge(left.masked, right.masked);
+        }
+        const maskedTime = performance.now();
+        // Differences point into the canonical copies; locations and violations
+        // are looked up at the matching pointers in the parsed inputs
+        const sourcePointers = { left: pointer => pointer, right: pointer => pointer };
+        if (canonicalizer) {
+            const left = this.canonicalize(canonicalizer, json1, labels.left);
+            const right = this.canonicalize(canonicalizer, json2, labels.right);
+            json1 = left.value;
+            json2 = right.value;
+            sourcePointers.left = left.sourcePointer;
+            sourcePointers.right = right.sourcePointer;
+        }
+        const canonicalTime = performance.now();
+        
+        const extractor = new JSONPathExtractor();
+        const enhancedOptions = { ...options, rootPath: '' };
+        let objects1, objects2;
+        
+        try {
+            if (enhancedOptions.idKey && enhancedOptions.idKey.trim()) {
+                objects1 = extractor.extractByPath(json1, enhancedOptions.idKey);
+                objects2 = extractor.extractByPath(json2, enhancedOptions.idKey);
+                const sample = objects1[0] || objects2[0];
+                enhancedOptions.rootPath = sample ? extractor.getSchemaPath(sample === objects1[0] ? json1 : json2, sample.pointer) : '';
+            } else {
+                // Direct comparison without ID matching
+                objects1 = [{ id: 'root', data: json1 }];
+                objects2 = [{ id: 'root', data: json2 }];
+            }
+        } catch (error) {
+            if (error instanceof JSONPathError) {
+                throw error;
+            }
+            console.warn('Path extraction failed, using direct comparison:', error.message);
+            // If path extraction fails, compare the entire objects
+            objects1 = [{ id: 'root', data: json1 }];
+            objects2 = [{ id: 'root', data: json2 }];
+        }
+        
+        const extractedTime = performance.now();
+        const differ = new JSONDiffer({ ...enhancedOptions, onProgress });
+        const comparison = differ.compare(objects1, objects2, { json1, json2 });
+        // A transformed side has no source text to point into
+        this.locateDifferences(comparison.differences, sources, {
+            left: transforms.left ? null : sourcePointers.left,
+            right: transforms.right ? null : sourcePointers.right
+        });
+        if (validation) this.markViolations(validation, comparison.differences, sourcePointers);
+        if (severityRules) {
+            severityRules.classify(comparison.differences, { left: json1, right: json2 });
+            comparison.summary.severity = severityRules.count(comparison.differences);
+        }
+        const diffedTime = performance.now();
+        const schemaDiff = options.schemaDiff ? new SchemaDiffer().compare(json1, json2) : undefined;
+        const endTime = performance.now();
+        
+        return {
+            ...comparison,
+            schemaDiff,
+            validation,
+            masked,
+            options: enhancedOptions,
+            originalData: { json1, json2 },
+            parsedData,
+            inputWarnings: { left: sources.left.warnings, right: sources.right.warnings },
+            timing: {
+                duration: Math.round(endTime - startTime),
+                parsing: Math.round(parsedTime - startTime),
+                transform: transforms.left || transforms.right ? Math.round(transformedTime - parsedTime) : undefined,
+                validation: validation ? Math.round(validatedTime - transformedTime) : undefined,
+                masking: masker ? Math.round(maskedTime - validatedTime) : undefined,
+                canonicalization: canonicalizer ? Math.round(canonicalTime - maskedTime) : undefined,
+                extraction: Math.round(extractedTime - canonicalTime),
+                ...comparison.stats,
+                schema: schemaDiff ? Math.round(endTime - diffedTime) : undefined,
+                objectsCompared: objects1.length + objects2.length
+            }
+        };
+    }
+    
+    // Tags each difference with the line and column it starts at in each input
+    locateDifferences(differences, sources, sourcePointers) {
+        differences.forEach(diff => {
+            if (diff.leftPointer !== undefined && sourcePointers.left) diff.leftLocation = sources.left.locationOf(sourcePointers.left(diff.leftPointer));
+            if (diff.rightPointer !== undefined && sourcePointers.right) diff.rightLocation = sources.right.locationOf(sourcePointers.right(diff.rightPointer));
+        });
+    }
+    
+    // jq filters for either side, compiled so a bad one fails before parsing
+    compileTransforms(transforms, labels) {
+        const compiled = {};
+        ['left', 'right'].forEach(side => {
+            if (!transforms[side] || !transforms[side].trim()) return;
+            try {
+                compiled[side] = new JQFilter(transforms[side]);
+            } catch (error) {
+                throw new Error(`${labels[side]} transform: ${error.message}`);
+            }
+        });
+        return compiled;
+    }
+    
+    canonicalize(canonicalizer, document, label) {
+        try {
+            return canonicalizer.canonicalize(document);
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+    }
+    
+    transform(filter, document, label) {
+        try {
+            return filter.apply(document);
+        } catch (error) {
+            throw new Error(`${label} transform failed: ${error.message}`);
+        }
+    }
+    
+    parse(converter, text, label, parseOptions) {
+        try {
+            return converter.parse(text, { ...parseOptions, locations: true });
+        } catch (error) {
+            throw new Error(`${label} is not valid ${converter.format}: ${error.message}`);
+        }
+    }
+    
+    validate(schemaText, json1, json2) {
+        const validator = new JSONSchemaValidator();
+        const schema = validator.parseSchema(schemaText);
+        return { left: validator.validate(schema, json1), right: validator.validate(schema, json2) };
+    }
+    
+    // Marks every difference whose value on either side holds a violation
+    markViolations(validation, differences, sourcePointers) {
+        const validator = new JSONSchemaValidator();
+        const violationsBySide = {
+            left: validator.groupByPointer(validation.left.errors),
+            right: validator.groupByPointer(validation.right.errors)
+        };
+        
+        differences.forEach(diff => {
+            const left = diff.leftPointer !== undefined ? violationsBySide.left.get(sourcePointers.left(diff.leftPointer)) : undefined;
+            const right = diff.rightPointer !== undefined ? violationsBySide.right.get(sourcePointers.right(diff.rightPointer)) : undefined;
+            if (left || right) diff.violations = { left, right };
+        });
+    }
+}
+
+// Baseline Comparison - Compares one baseline document against any number of
+// candidates with the same extraction and differ options, then pivots the
+// differences into one row per path with a cell per candidate
+class BaselineComparison {
+    constructor(runner = new ComparisonRunner()) {
+        this.runner = runner;
+    }
+    
+    // candidates: [{ label, text, format }]
+    run(baselineText, candidates, options, onProgress = null) {
+        const formats = options.inputFormats || {};
+        const progressFor = (candidate, index) => (onProgress
+            ? (compared, total, step) => onProgress(compared, total, step,
+                { path: candidate.label, index, count: candidates.length, unit: 'candidate' })
+            : null);
+        const comparisons = candidates.map((candidate, index) => this.runner.run(baselineText, candidate.text, {
+            ...options,
+            inputFormats: { left: formats.left, right: candidate.format || formats.right },
+            labels: { left: 'Baseline', right: candidate.label }
+        }, progressFor(candidate, index)));
+        
+        const rows = new Map();
+        comparisons.forEach((comparison, index) => {
+            comparison.differences.forEach(diff => {
+                if (diff.type === 'equal') return;
+                let row = rows.get(diff.path);
+                if (!row) {
+                    row = { path: diff.path, baseline: { present: false }, cells: new Array(candidates.length).fill(null), divergent: 0 };
+                    rows.set(diff.path, row);
+                }
+                if (!row.baseline.present && (diff.type === 'modified' || diff.type === 'deleted')) {
+                    row.baseline = { present: true, value: diff.type === 'modified' ? diff.oldValue : diff.value };
+                }
+                if (!row.cells[index]) row.divergent++;
+                row.cells[index] = this.candidateCell(diff);
+            });
+        });
+        
+        // A candidate that added or removed a whole branch reports nothing below
+        // it, so its cells on other candidates' rows inside the branch take the
+        // branch's change instead of reading as same as baseline
+        comparisons.forEach((comparison, index) => {
+            const branches = new Map();
+            comparison.differences.forEach(diff => {
+                if (diff.type === 'added' || diff.type === 'deleted') {
+                    branches.set(diff.path.startsWith('ID: ') ? diff.path.slice(4) : diff.path, diff);
+                }
+            });
+            if (branches.size === 0) return;
+            rows.forEach(row => {
+                if (row.cells[index]) return;
+                const branch = this.enclosingBranch(row.path, branches);
+                if (!branch) return;
+                row.cells[index] = { type: branch.type, present: branch.type === 'added', within: branch.path };
+                row.divergent++;
+            });
+        });
+        
+        return {
+            labels: candidates.map(candidate => candidate.label),
+            comparisons,
+            rows: [...rows.values()],
+            summary: comparisons.map((comparison, index) => ({ label: candidates[index].label, ...comparison.summary }))
+        };
+    }
+    
+    // Nearest ancestor of path (cut before a "." or "[") that is a branch
+    enclosingBranch(path, branches) {
+        for (let i = path.length - 1; i > 0; i--) {
+            if (path[i] !== '.' && path[i] !== '[') continue;
+            const branch = branches.get(path.slice(0, i));
+            if (branch) return branch;
+        }
+        return null;
+    }
+    
+    // What the candidate holds at the path, where it differs from the baseline
+    candidateCell(diff) {
+        switch (diff.type) {
+            case 'added':
+                return { type: diff.type, present: true, value: diff.value };
+            case 'deleted':
+                return { type: diff.type, present: false };
+            case 'moved':
+                return { type: diff.type, present: true, value: diff.newValue, fromPath: diff.fromPath };
+            default:
+                return { type: diff.type, present: true, value: diff.newValue };
+        }
+    }
+}
+
+// Batch Comparison - Pairs two sets of files by relative path and compares each
+// pair with the same options. The results roll up into one comparison whose
+// differences carry their file and file-prefixed pointers, so the existing
+// results panel and reports work on the whole batch.
+class BatchComparison {
+    constructor(runner = new ComparisonRunner()) {
+        this.runner = runner;
+        this.extractor = new JSONPathExtractor();
+    }
+    
+    // files: [{ path, text, format }]
+    pair(leftFiles, rightFiles) {
+        const right = new Map(rightFiles.map(file => [file.path, file]));
+        const pairs = [];
+        const onlyLeft = [];
+        leftFiles.forEach(file => {
+            const match = right.get(file.path);
+            if (match) {
+                pairs.push({ path: file.path, left: file, right: match });
+                right.delete(file.path);
+            } else {
+                onlyLeft.push(file);
+            }
+        });
+        return { pairs, onlyLeft, onlyRight: [...right.values()] };
+    }
+    
+    run(leftFiles, rightFiles, options, onProgress = null) {
+        const files = this.compareFiles(leftFiles, rightFiles, options, onProgress);
+        return { files, aggregate: this.aggregate(files, options) };
+    }
+    
+    // onProgress(compared, total, step, { path, index, count }) follows the
+    // records of each pair in turn
+    compareFiles(leftFiles, rightFiles, options, onProgress = null) {
+        const { pairs, onlyLeft, onlyRight } = this.pair(leftFiles, rightFiles);
+        const progressFor = (pair, index) => (onProgress
+            ? (compared, total, step) => onProgress(compared, total, step, { path: pair.path, index, count: pairs.length })
+            : null);
+        
+        return [
+            ...pairs.map((pair, index) => this.comparePair(pair, options, progressFor(pair, index))),
+            ...onlyLeft.map(file => ({ path: file.path, status: 'only-left', value: this.read(file, options) })),
+            ...onlyRight.map(file => ({ path: file.path, status: 'only-right', value: this.read(file, options) }))
+        ].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    }
+    
+    comparePair(pair, options, onProgress = null) {
+        const formats = options.inputFormats || {};
+        try {
+            const comparison = this.runner.run(pair.left.text, pair.right.text, {
+                ...options,
+                inputFormats: { left: pair.left.format || formats.left, right: pair.right.format || formats.right },
+                labels: { left: `Left ${pair.path}`, right: `Right ${pair.path}` }
+            }, onProgress);
+            return {
+                path: pair.path,
+                status: comparison.differences.length > 0 ? 'different' : 'identical',
+                comparison
+            };
+        } catch (error) {
+            return { path: pair.path, status: 'error', error: error.message };
+        }
+    }
+    
+    // Unpaired files are reported as a whole; unreadable ones keep their text
+    read(file, options) {
+        try {
+            return new FormatConverter().parse(file.text, {
+                format: file.format || 'auto',
+                lossless: options.losslessNumbers,
+                xml: options.xml,
+                typedValues: options.typedValues
+            });
+        } catch (error) {
+            return file.text;
+        }
+    }
+    
+    // Pairs that could not be compared are listed in failed and counted in
+    // the summary, so a batch with failures never reads as clean
+    aggregate(files, options) {
+        const summary = { totalDifferences: 0, added: 0, deleted: 0, modified: 0, moved: 0, equal: 0, failed: 0 };
+        const differences = [];
+        const failed = [];
+        const matched = [];
+        const onlyInFirst = [];
+        const onlyInSecond = [];
+        const inputWarnings = { left: [], right: [] };
+        const masked = [];
+        const originalData = { json1: {}, json2: {} };
+        const parsedData = { json1: {}, json2: {} };
+        let duration = 0;
+        let objectsCompared = 0;
+        
+        files.forEach(file => {
+            const prefix = `/${this.extractor.escapePointerSegment(file.path)}`;
+            if (file.status === 'only-left' || file.status === 'only-right') {
+                const left = file.status === 'only-left';
+                (left ? originalData.json1 : originalData.json2)[file.path] = file.value;
+                (left ? parsedData.json1 : parsedData.json2)[file.path] = file.value;
+                differences.push({
+                    type: left ? 'deleted' : 'added',
+                    path: '(whole file)',
+                    file: file.path,
+                    value: file.value,
+                    [left ? 'leftPointer' : 'rightPointer']: prefix
+                });
+                summary[left ? 'deleted' : 'added']++;
+                summary.totalDifferences++;
+                return;
+            }
+            if (file.status === 'error') {
+                failed.push({ file: file.path, error: file.error });
+                summary.failed++;
+                return;
+            }
+            
+            const comparison = file.comparison;
+            originalData.json1[file.path] = comparison.originalData.json1;
+            originalData.json2[file.path] = comparison.originalData.json2;
+            parsedData.json1[file.path] = (comparison.parsedData || comparison.originalData).json1;
+            parsedData.json2[file.path] = (comparison.parsedData || comparison.originalData).json2;
+            comparison.differences.forEach(diff => {
+                const entry = { ...diff, file: file.path };
+                if (diff.leftPointer !== undefined) entry.leftPointer = prefix + diff.leftPointer;
+                if (diff.rightPointer !== undefined) entry.rightPointer = prefix + diff.rightPointer;
+                differences.push(entry);
+            });
+            Object.keys(summary).forEach(key => {
+                summary[key] += comparison.summary[key] || 0;
+            });
+            (comparison.matched || []).forEach(item => matched.push({ ...item, file: file.path }));
+            (comparison.onlyInFirst || []).forEach(item => onlyInFirst.push({ ...item, file: file.path }));
+            (comparison.onlyInSecond || []).forEach(item => onlyInSecond.push({ ...item, file: file.path }));
+            ['left', 'right'].forEach(side => {
+                (comparison.inputWarnings?.[side] || []).forEach(warning => {
+                    inputWarnings[side].push({ ...warning, message: `${file.path}: ${warning.message}` });
+                });
+            });
+            (comparison.masked || []).forEach(entry => masked.push({ ...entry, pointer: prefix + entry.pointer }));
+            duration += comparison.timing.duration;
+            objectsCompared += comparison.timing.objectsCompared;
+        });
+        if (options.severity) {
+            // Whole-file entries have no per-file comparison to grade them
+            const rules = new SeverityRules(options.severity.rules, options.severity.preset);
+            rules.classify(differences.filter(diff => !diff.severity));
+            summary.severity = rules.count(differences);
+        }
+        
+        return {
+            differences,
+            summary,
+            matched,
+            onlyInFirst,
+            onlyInSecond,
+            options,
+            originalData,
+            parsedData,
+            inputWarnings,
+            failed,
+            masked: options.masking && options.masking.length > 0 ? masked : undefined,
+            timing: { duration, objectsCompared }
+        };
+    }
+}
+
+// Accepted Differences - A baseline of reviewed differences that are expected,
+// each with an optional reason and expiry date. A difference is accepted while
+// an unexpired entry has its type, file, path and old and new values; entries
+// that accept nothing are reported as stale.
+class AcceptedDifferences {
+    constructor() {
+        this.json = new LosslessJSON();
+    }
+    
+    entryFor(diff, { reason = '', expires = '' } = {}) {
+        const entry = { type: diff.type };
+        if (diff.file !== undefined) entry.file = diff.file;
+        if (diff.fromPath !== undefined) entry.fromPath = diff.fromPath;
+        entry.path = diff.path;
+        ['value', 'oldValue', 'newValue'].forEach(key => {
+            if (diff[key] !== undefined) entry[key] = diff[key];
+        });
+        if (reason) entry.reason = reason;
+        if (expires) entry.expires = expires;
+        entry.acceptedAt = new Date().toISOString();
+        return entry;
+    }
+    
+    // Where the difference is, without its values
+    locationKey(item) {
+        return JSON.stringify([item.type, item.file ?? null, item.fromPath ?? null, item.path]);
+    }
+    
+    key(item) {
+        const values = ['value', 'oldValue', 'newValue'].map(key => (item[key] === undefined ? '' : this.json.canonical(item[key])));
+        return `${this.locationKey(item)}${values.join('\u0000')}`;
+    }
+    
+    // A date-only expiry lasts through that day
+    isExpired(entry, now) {
+        if (!entry.expires) return false;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(entry.expires)) return now.toISOString().slice(0, 10) > entry.expires;
+        return Date.parse(entry.expires) <= now.getTime();
+    }
+    
+    // Marks accepted differences with the entry that accepts them and returns
+    // { entries, accepted, stale: [{ entry, reason }] }
+    apply(differences, entries, now = new Date()) {
+        const live = new Map(); // key -> entries
+        entries.filter(entry => !this.isExpired(entry, now)).forEach(entry => {
+            const key = this.key(entry);
+            if (!live.has(key)) live.set(key, []);
+            live.get(key).push(entry);
+        });
+        
+        const used = new Set();
+        const locations = new Set();
+        let accepted = 0;
+        differences.forEach(diff => {
+            delete diff.accepted;
+            locations.add(this.locationKey(diff));
+            const matches = live.get(this.key(diff));
+            if (!matches) return;
+            matches.forEach(entry => used.add(entry));
+            diff.accepted = matches[0];
+            accepted++;
+        });
+        
+        const stale = entries.filter(entry => !used.has(entry)).map(entry => ({
+            entry,
+            reason: this.isExpired(entry, now) ? 'expired'
+                : locations.has(this.locationKey(entry)) ? 'values changed' : 'no longer differs'
+        }));
+        return { entries: entries.length, accepted, stale };
+    }
+    
+    // Entries other than those that accept diff
+    remove(entries, diff) {
+        const key = this.key(diff);
+        return entries.filter(entry => this.key(entry) !== key);
+    }
+    
+    serialize(entries) {
+        return this.json.stringify({ version: 1, accepted: entries }, 2);
+    }
+    
+    parse(text) {
+        let baseline;
+        try {
+            baseline = this.json.parse(text, { dialect: 'auto' });
+        } catch (error) {
+            throw new Error(`Accepted differences file is not valid JSON: ${error.message}`);
+        }
+        const entries = Array.isArray(baseline) ? baseline : baseline?.accepted;
+        if (!Array.isArray(entries)) throw new Error('Accepted differences file must have an "accepted" array');
+        
+        entries.forEach((entry, index) => {
+            const name = `Accepted entry ${index + 1}`;
+            if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`${name} must be an object`);
+            if (!['added', 'deleted', 'modified', 'moved'].includes(entry.type)) throw new Error(`${name} has an unknown type "${entry.type}"`);
+            if (typeof entry.path !== 'string') throw new Error(`${name} has no path`);
+            if (entry.expires !== undefined && isNaN(Date.parse(entry.expires))) throw new Error(`${name} has an invalid expiry "${entry.expires}"`);
+        });
+        return entries;
+    }
+}
+
+// JSON Patch - Builds RFC 6902 patches from comparison results and applies them
+class JSONPatch {
+    constructor() {
+        this.extractor = new JSONPathExtractor();
+        this.json = new LosslessJSON();
     }
     
-    compare(objects1, objects2) {
-        const matched = [];
-        const onlyInFirst = [];
-        const onlyInSecond = [];
-        const differences = [];
+    // Turns comparison differences into operations that take json1 to json2.
+    // Every operation is replayed on a working copy of json1 as it is built,
+    // so array indices are the ones in effect when that operation runs:
+    // replacements first, then additions and moves in JSON 2 order, then
+    // removals.
+    fromComparison(differences, json1, json2, options = {}) {
+        const includeTests = options.includeTests || false;
+        this.json2 = json2;
+        this.parents = new WeakMap();
+        this.tokens = new WeakMap();
+        this.finals = new WeakMap();
+        this.sources = new WeakMap();
+        this.inferred = new WeakSet();
+        this.pairs = new Map();
+        this.exits = new Map();
+        this.entries = new Map();
+        this.root = this.clone(json1);
+        this.register(this.root, null, null, '');
         
-        // Create maps for faster lookup
-        const map1 = new Map(objects1.map(obj => [String(obj.id), obj]));
-        const map2 = new Map(objects2.map(obj => [String(obj.id), obj]));
+        differences.forEach(diff => {
+            if (diff.type === 'added' || diff.type === 'moved') {
+                if (diff.rightPointer === undefined) throw new Error(`No JSON 2 location for difference at ${diff.path}`);
+            }
+            if (diff.type === 'deleted' || diff.type === 'modified' || diff.type === 'moved') {
+                if (diff.leftPointer === undefined) throw new Error(`No JSON 1 location for difference at ${diff.path}`);
+            }
+        });
         
-        // Find matched pairs and objects only in first
-        for (const [id, obj1] of map1) {
-            const obj2 = map2.get(id);
-            if (obj2) {
-                matched.push({ id, json1: obj1.data, json2: obj2.data });
-                const objDiffs = this.compareObjects(obj1.data, obj2.data, id);
-                if (Array.isArray(objDiffs)) {
-                    differences.push(...objDiffs);
-                } else if (objDiffs) {
-                    differences.push(objDiffs);
-                }
-                map2.delete(id); // Remove from second map
+        const moves = differences.filter(diff => diff.type === 'moved');
+        const underMove = pointer => moves.some(move => pointer.startsWith(`${move.rightPointer}/`));
+        this.planArrays(differences, json1, moves);
+        
+        // Left locations are fixed before anything changes
+        const handles = new Map();
+        differences.forEach(diff => {
+            if (diff.leftPointer !== undefined && diff.type !== 'added') {
+                handles.set(diff, this.resolveLeft(diff.leftPointer));
+            }
+        });
+        
+        const patch = [];
+        const guard = (pointer, value) => {
+            if (includeTests) patch.push({ op: 'test', path: pointer, value: this.clone(value) });
+        };
+        const byRight = (a, b) => this.comparePointers(a.rightPointer, b.rightPointer);
+        
+        differences.filter(diff => diff.type === 'modified').forEach(diff => {
+            const handle = handles.get(diff);
+            const pointer = this.pointerOf(handle);
+            guard(pointer, this.valueAt(handle));
+            patch.push({ op: 'replace', path: pointer, value: this.clone(diff.newValue) });
+            this.replaceAt(handle, this.clone(diff.newValue));
+        });
+        
+        const additions = differences.filter(diff => diff.type === 'added').sort(byRight);
+        additions.filter(diff => !underMove(diff.rightPointer)).forEach(diff => {
+            patch.push({ op: 'add', path: this.insertAt(diff.rightPointer, this.clone(diff.value), true), value: this.clone(diff.value) });
+        });
+        
+        moves.slice().sort(byRight).forEach(diff => {
+            const handle = handles.get(diff);
+            const from = this.pointerOf(handle);
+            const value = this.removeAt(handle);
+            const path = this.insertAt(diff.rightPointer, value, false);
+            if (from === path) return;
+            guard(from, value);
+            if (path.startsWith(`${from}/`)) {
+                // A move may not target its own subtree, even when the index is
+                // reused once the value has left
+                patch.push({ op: 'remove', path: from }, { op: 'add', path, value: this.clone(value) });
             } else {
-                onlyInFirst.push(obj1);
-                differences.push({
-                    type: 'deleted',
-                    path: `ID: ${id}`,
-                    value: obj1.data
-                });
+                patch.push({ op: 'move', from, path });
             }
-        }
+        });
         
-        // Objects only in second
-        for (const [id, obj2] of map2) {
-            onlyInSecond.push(obj2);
-            differences.push({
-                type: 'added',
-                path: `ID: ${id}`,
-                value: obj2.data
-            });
-        }
+        additions.filter(diff => underMove(diff.rightPointer)).forEach(diff => {
+            patch.push({ op: 'add', path: this.insertAt(diff.rightPointer, this.clone(diff.value), true), value: this.clone(diff.value) });
+        });
         
-        const summary = this.calculateSummary(differences);
+        differences.filter(diff => diff.type === 'deleted')
+            .sort((a, b) => this.comparePointers(b.leftPointer, a.leftPointer))
+            .forEach(diff => {
+                const handle = handles.get(diff);
+                const pointer = this.pointerOf(handle);
+                guard(pointer, this.valueAt(handle));
+                patch.push({ op: 'remove', path: pointer });
+                this.removeAt(handle);
+            });
         
-        return {
-            matched,
-            onlyInFirst,
-            onlyInSecond,
-            differences,
-            summary
-        };
+        return patch;
     }
     
-    compareObjects(obj1, obj2, basePath = '') {
-        const differences = [];
-        const allKeys = new Set([...Object.keys(obj1), ...Object.keys(obj2)]);
-        
-        for (const key of allKeys) {
-            const path = basePath ? `${basePath}.${key}` : key;
-            const value1 = obj1[key];
-            const value2 = obj2[key];
+    // Applies a patch to a copy of the document and returns the result.
+    // Throws on the first operation that cannot be applied.
+    apply(document, patch) {
+        if (!Array.isArray(patch)) throw new Error('A JSON Patch must be an array of operations');
+        let result = this.clone(document);
+        
+        patch.forEach((operation, index) => {
+            const fail = reason => {
+                throw new Error(`Operation ${index + 1} (${operation && operation.op} ${operation && operation.path}): ${reason}`);
+            };
+            if (!operation || typeof operation.path !== 'string') fail('missing "path"');
             
-            if (!(key in obj1)) {
-                differences.push({
-                    type: 'added',
-                    path,
-                    value: value2
-                });
-            } else if (!(key in obj2)) {
-                if (!this.options.ignoreExtraKeys) {
-                    differences.push({
-                        type: 'deleted',
-                        path,
-                        value: value1
-                    });
+            const read = pointer => {
+                let current = result;
+                for (const segment of this.extractor.parsePointer(pointer)) {
+                    const key = this.childKey(current, segment, false);
+                    if (key === undefined || !Object.prototype.hasOwnProperty.call(current, key)) {
+                        fail(`"${pointer}" does not exist`);
+                    }
+                    current = current[key];
                 }
-            } else {
-                const comparison = this.compareValues(value1, value2, path);
-                if (comparison) {
-                    if (Array.isArray(comparison)) {
-                        differences.push(...comparison);
+                return current;
+            };
+            const locate = pointer => {
+                const segments = this.extractor.parsePointer(pointer);
+                const parent = read(this.extractor.toPointer(segments.slice(0, -1)));
+                if (parent === null || typeof parent !== 'object') fail(`parent of "${pointer}" is not an object or array`);
+                return { parent, segment: segments[segments.length - 1] };
+            };
+            const add = (pointer, value) => {
+                if (pointer === '') {
+                    result = value;
+                    return;
+                }
+                const { parent, segment } = locate(pointer);
+                if (Array.isArray(parent)) {
+                    const position = segment === '-' ? parent.length : this.childKey(parent, segment, true);
+                    if (position === undefined) fail(`"${segment}" is not a valid index for insertion`);
+                    parent.splice(position, 0, value);
+                } else {
+                    parent[segment] = value;
+                }
+            };
+            const remove = pointer => {
+                if (pointer === '') fail('cannot remove the whole document');
+                const { parent, segment } = locate(pointer);
+                const key = this.childKey(parent, segment, false);
+                if (key === undefined || !Object.prototype.hasOwnProperty.call(parent, key)) fail(`"${pointer}" does not exist`);
+                const value = parent[key];
+                if (Array.isArray(parent)) parent.splice(key, 1);
+                else delete parent[key];
+                return value;
+            };
+            const requireValue = () => {
+                if (!('value' in operation)) fail('missing "value"');
+                return this.clone(operation.value);
+            };
+            
+            switch (operation.op) {
+                case 'add':
+                    add(operation.path, requireValue());
+                    break;
+                case 'remove':
+                    remove(operation.path);
+                    break;
+                case 'replace': {
+                    const value = requireValue();
+                    if (operation.path === '') {
+                        result = value;
                     } else {
-                        differences.push(comparison);
+                        remove(operation.path);
+                        add(operation.path, value);
                     }
+                    break;
                 }
+                case 'move':
+                    if (typeof operation.from !== 'string') fail('missing "from"');
+                    if (operation.path.startsWith(`${operation.from}/`)) fail('cannot move a value into one of its own children');
+                    if (operation.from !== operation.path) add(operation.path, remove(operation.from));
+                    break;
+                case 'copy':
+                    if (typeof operation.from !== 'string') fail('missing "from"');
+                    add(operation.path, this.clone(read(operation.from)));
+                    break;
+                case 'test':
+                    if (this.findDifference(read(operation.path), requireValue(), operation.path) !== null) {
+                        fail('test failed, the value differs');
+                    }
+                    break;
+                default:
+                    fail(`unknown operation "${operation.op}"`);
             }
-        }
+        });
         
-        return differences;
+        return result;
     }
     
-    compareValues(value1, value2, path) {
-        // Handle null and undefined
-        if (value1 === null && value2 === null) return null;
-        if (value1 === undefined && value2 === undefined) return null;
-        
-        if (value1 === null || value1 === undefined || value2 === null || value2 === undefined) {
-            return {
-                type: 'modified',
-                path,
-                oldValue: value1,
-                newValue: value2
-            };
+    // Applies the patch to json1 and reports whether the result is json2
+    verify(json1, json2, patch) {
+        let patched;
+        try {
+            patched = this.apply(json1, patch);
+        } catch (error) {
+            return { valid: false, message: error.message };
         }
-        
-        // Type comparison mode
-        if (this.options.mode === 'type') {
-            if (typeof value1 !== typeof value2) {
-                return {
-                    type: 'modified',
-                    path,
-                    oldValue: `${typeof value1}: ${value1}`,
-                    newValue: `${typeof value2}: ${value2}`
-                };
+        const pointer = this.findDifference(patched, json2, '');
+        if (pointer === null) return { valid: true };
+        return { valid: false, pointer, message: `the result differs from JSON 2 at "${pointer || '/'}"` };
+    }
+    
+    // Pointer of the first location where two values differ, or null
+    findDifference(value1, value2, pointer) {
+        if (value1 === value2) return null;
+        if (this.json.isNumber(value1) && this.json.isNumber(value2)) {
+            return this.json.numbersEqual(value1, value2) ? null : pointer;
+        }
+        if (value1 === null || value2 === null || typeof value1 !== 'object' || typeof value2 !== 'object' ||
+            Array.isArray(value1) !== Array.isArray(value2)) {
+            return pointer;
+        }
+        if (Array.isArray(value1)) {
+            for (let i = 0; i < Math.max(value1.length, value2.length); i++) {
+                if (i >= value1.length || i >= value2.length) return `${pointer}/${i}`;
+                const found = this.findDifference(value1[i], value2[i], `${pointer}/${i}`);
+                if (found !== null) return found;
             }
-            return null; // Types match, consider equal in type-only mode
+            return null;
         }
-        
-        // Handle arrays
-        if (Array.isArray(value1) && Array.isArray(value2)) {
-            return this.compareArrays(value1, value2, path);
+        for (const key of new Set([...Object.keys(value1), ...Object.keys(value2)])) {
+            const child = `${pointer}/${this.extractor.escapePointerSegment(key)}`;
+            if (!(key in value1) || !(key in value2)) return child;
+            const found = this.findDifference(value1[key], value2[key], child);
+            if (found !== null) return found;
         }
-        
-        // Handle objects
-        if (typeof value1 === 'object' && typeof value2 === 'object') {
-            const nestedDiffs = this.compareObjects(value1, value2, path);
-            return nestedDiffs.length > 0 ? nestedDiffs : null;
+        return null;
+    }
+    
+    childKey(container, segment, forInsert) {
+        if (!Array.isArray(container)) return segment;
+        if (!/^(0|[1-9]\d*)$/.test(segment)) return undefined;
+        const index = Number(segment);
+        return index < container.length + (forInsert ? 1 : 0) ? index : undefined;
+    }
+    
+    clone(value) {
+        return value === undefined ? undefined : this.json.clone(value);
+    }
+    
+    // Orders pointers as documents are laid out, comparing indices numerically
+    comparePointers(a, b) {
+        const segments1 = this.extractor.parsePointer(a);
+        const segments2 = this.extractor.parsePointer(b);
+        for (let i = 0; i < Math.min(segments1.length, segments2.length); i++) {
+            if (segments1[i] === segments2[i]) continue;
+            const numeric = /^\d+$/.test(segments1[i]) && /^\d+$/.test(segments2[i]);
+            if (numeric) return Number(segments1[i]) - Number(segments2[i]);
+            return segments1[i] < segments2[i] ? -1 : 1;
         }
-        
-        // Handle primitives
-        const equal = this.options.caseSensitive ? 
-            value1 === value2 : 
-            String(value1).toLowerCase() === String(value2).toLowerCase();
-            
-        if (equal) {
-            return null;
+        return segments1.length - segments2.length;
+    }
+    
+    // Working copy bookkeeping. Array elements are tracked by token rather than
+    // by index, since indices shift as the patch is replayed. A token's final
+    // index is its position in JSON 2.
+    
+    register(value, container, slot, sourcePointer, inserted = false) {
+        if (value === null || typeof value !== 'object' || value instanceof LosslessNumber) return;
+        if (container) this.parents.set(value, { container, slot });
+        if (Array.isArray(value)) {
+            const tokens = value.map(() => ({}));
+            this.tokens.set(value, tokens);
+            if (inserted) {
+                tokens.forEach((token, index) => this.finals.set(token, index));
+                this.inferred.add(value);
+            } else {
+                this.sources.set(value, { pointer: sourcePointer, tokens: tokens.slice() });
+            }
+            value.forEach((item, index) => this.register(item, value, tokens[index], `${sourcePointer}/${index}`, inserted));
+        } else {
+            Object.keys(value).forEach(key => {
+                this.register(value[key], value, key, `${sourcePointer}/${this.extractor.escapePointerSegment(key)}`, inserted);
+            });
         }
-        
-        return {
-            type: 'modified',
-            path,
-            oldValue: value1,
-            newValue: value2
-        };
     }
     
-    compareArrays(arr1, arr2, path) {
-        if (this.options.mode === 'ignore-order') {
-            // Compare as sets
-            const set1 = new Set(arr1.map(item => JSON.stringify(item)));
-            const set2 = new Set(arr2.map(item => JSON.stringify(item)));
-            
-            if (set1.size === set2.size && [...set1].every(item => set2.has(item))) {
-                return null; // Arrays are equal when order is ignored
+    resolveLeft(pointer) {
+        const segments = this.extractor.parsePointer(pointer);
+        if (!segments.length) return { container: null, slot: null };
+        let container = this.root;
+        segments.slice(0, -1).forEach(segment => {
+            container = container[segment];
+        });
+        const last = segments[segments.length - 1];
+        return { container, slot: Array.isArray(container) ? this.tokens.get(container)[Number(last)] : last };
+    }
+    
+    pointerOf({ container, slot }) {
+        if (!container) return '';
+        const segment = Array.isArray(container) ? this.tokens.get(container).indexOf(slot) : slot;
+        const parent = this.parents.get(container);
+        return `${parent ? this.pointerOf(parent) : ''}/${this.extractor.escapePointerSegment(segment)}`;
+    }
+    
+    valueAt({ container, slot }) {
+        if (!container) return this.root;
+        return Array.isArray(container) ? container[this.tokens.get(container).indexOf(slot)] : container[slot];
+    }
+    
+    replaceAt(handle, value) {
+        const { container, slot } = handle;
+        if (!container) {
+            this.root = value;
+        } else if (Array.isArray(container)) {
+            container[this.tokens.get(container).indexOf(slot)] = value;
+        } else {
+            container[slot] = value;
+        }
+        this.register(value, container, slot, '', true);
+    }
+    
+    removeAt({ container, slot }) {
+        if (Array.isArray(container)) {
+            const index = this.tokens.get(container).indexOf(slot);
+            this.tokens.get(container).splice(index, 1);
+            return container.splice(index, 1)[0];
+        }
+        const value = container[slot];
+        delete container[slot];
+        return value;
+    }
+    
+    // Inserts a value at its JSON 2 location and returns the pointer it has in
+    // the working copy at that moment
+    insertAt(rightPointer, value, inserted) {
+        const segments = this.extractor.parsePointer(rightPointer);
+        if (!segments.length) throw new Error('Cannot insert a value at the document root');
+        let container = this.root;
+        segments.slice(0, -1).forEach((segment, depth) => {
+            if (Array.isArray(container)) {
+                this.inferFinals(container, this.extractor.toPointer(segments.slice(0, depth)));
+                const tokens = this.tokens.get(container);
+                const index = tokens.findIndex(token => this.finals.get(token) === Number(segment));
+                if (index < 0) throw new Error(`No element of JSON 1 ends up at ${rightPointer}`);
+                container = container[index];
+            } else {
+                container = container && typeof container === 'object' ? container[segment] : undefined;
+            }
+            if (container === null || typeof container !== 'object') {
+                throw new Error(`The parent of ${rightPointer} does not exist when it is added`);
             }
+        });
+        
+        const last = segments[segments.length - 1];
+        if (!Array.isArray(container)) {
+            container[last] = value;
+            this.adopt(value, container, last, inserted);
+            return this.pointerOf({ container, slot: last });
         }
         
-        if (JSON.stringify(arr1) === JSON.stringify(arr2)) {
-            return null;
+        this.inferFinals(container, this.extractor.toPointer(segments.slice(0, -1)));
+        const tokens = this.tokens.get(container);
+        const target = Number(last);
+        let position = 0;
+        tokens.forEach((token, index) => {
+            if (this.finals.get(token) < target) position = index + 1;
+        });
+        const token = {};
+        this.finals.set(token, target);
+        tokens.splice(position, 0, token);
+        container.splice(position, 0, value);
+        this.adopt(value, container, token, inserted);
+        return this.pointerOf({ container, slot: token });
+    }
+    
+    // New values are tracked from scratch; a moved value keeps its tracking
+    // and only changes parent
+    adopt(value, container, slot, inserted) {
+        if (inserted) this.register(value, container, slot, '', true);
+        else if (value !== null && typeof value === 'object' && !(value instanceof LosslessNumber)) this.parents.set(value, { container, slot });
+    }
+    
+    // Works out where every original element of an array ends up in JSON 2.
+    // Elements named in a difference are known; the remaining ones keep their
+    // relative order and fill the positions nothing else claims.
+    inferFinals(array, rightPointer) {
+        if (this.inferred.has(array)) return;
+        this.inferred.add(array);
+        const source = this.sources.get(array);
+        const pairs = this.pairs.get(source.pointer) || new Map();
+        const exits = this.exits.get(source.pointer) || new Set();
+        const claimed = new Set([...pairs.values(), ...(this.entries.get(rightPointer) || [])]);
+        const target = this.extractor.getByPointer(this.json2, rightPointer);
+        const length = Array.isArray(target) ? target.length : 0;
+        
+        const free = [];
+        for (let j = 0; j < length; j++) {
+            if (!claimed.has(j)) free.push(j);
         }
+        source.tokens.forEach((token, i) => {
+            if (pairs.has(i)) this.finals.set(token, pairs.get(i));
+            else if (!exits.has(i) && free.length) this.finals.set(token, free.shift());
+        });
+    }
+    
+    // Collects which array elements stay (paired left to right index), leave
+    // or arrive, keyed by the array's pointer in JSON 1 or JSON 2
+    planArrays(differences, json1, moves) {
+        const json2 = this.json2;
+        const note = (map, key, entry) => {
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(entry);
+        };
+        const walk = (leftPointer, rightPointer, fromLeft = '', fromRight = '') => {
+            const segments1 = this.extractor.parsePointer(leftPointer).slice(this.extractor.parsePointer(fromLeft).length);
+            const segments2 = this.extractor.parsePointer(rightPointer).slice(this.extractor.parsePointer(fromRight).length);
+            let node1 = this.extractor.getByPointer(json1, fromLeft);
+            let node2 = this.extractor.getByPointer(json2, fromRight);
+            let pointer1 = fromLeft;
+            let pointer2 = fromRight;
+            for (let i = 0; i < Math.min(segments1.length, segments2.length); i++) {
+                if (Array.isArray(node1) && Array.isArray(node2)) {
+                    if (!this.pairs.has(pointer1)) this.pairs.set(pointer1, new Map());
+                    this.pairs.get(pointer1).set(Number(segments1[i]), Number(segments2[i]));
+                } else if (segments1[i] !== segments2[i] || Array.isArray(node1) || Array.isArray(node2)) {
+                    return;
+                }
+                node1 = node1 !== null && typeof node1 === 'object' ? node1[segments1[i]] : undefined;
+                node2 = node2 !== null && typeof node2 === 'object' ? node2[segments2[i]] : undefined;
+                pointer1 += `/${this.extractor.escapePointerSegment(segments1[i])}`;
+                pointer2 += `/${this.extractor.escapePointerSegment(segments2[i])}`;
+            }
+        };
+        const parentOf = pointer => this.extractor.toPointer(this.extractor.parsePointer(pointer).slice(0, -1));
+        const indexIn = (document, pointer) => {
+            const segments = this.extractor.parsePointer(pointer);
+            return segments.length && Array.isArray(this.extractor.getByPointer(document, parentOf(pointer)))
+                ? Number(segments[segments.length - 1])
+                : null;
+        };
+        const enclosingMove = diff => moves.find(move => diff !== move &&
+            diff.leftPointer !== undefined && diff.leftPointer.startsWith(`${move.leftPointer}/`) &&
+            diff.rightPointer !== undefined && diff.rightPointer.startsWith(`${move.rightPointer}/`));
+        
+        differences.forEach(diff => {
+            if (diff.type === 'modified') {
+                const move = enclosingMove(diff);
+                if (move) walk(diff.leftPointer, diff.rightPointer, move.leftPointer, move.rightPointer);
+                else walk(diff.leftPointer, diff.rightPointer);
+            }
+            if ((diff.type === 'deleted' || diff.type === 'moved') && indexIn(json1, diff.leftPointer) !== null) {
+                note(this.exits, parentOf(diff.leftPointer), indexIn(json1, diff.leftPointer));
+            }
+            if ((diff.type === 'added' || diff.type === 'moved') && indexIn(json2, diff.rightPointer) !== null) {
+                note(this.entries, parentOf(diff.rightPointer), indexIn(json2, diff.rightPointer));
+            }
+        });
+    }
+}
+
+// JSON Merger - Three-way merge of two edited copies against their common base
+class JSONMerger {
+    constructor(options = {}) {
+        // Merging must not lose edits, so values are compared strictly and arrays
+        // in order; only the array key settings carry over from the comparison
+        // options, to tell which elements are the same record
+        this.differ = new JSONDiffer({ arrayMatching: 'index', detectMoves: false });
+        this.keyMatcher = new JSONDiffer({
+            arrayMatching: options.arrayMatching || 'index',
+            arrayKeys: options.arrayKeys || {},
+            detectMoves: false
+        });
+        this.extractor = this.differ.extractor;
+    }
+    
+    // Changes made on only one side, or identically on both, are applied. Any
+    // other change is a conflict; until it has an entry in resolutions (keyed
+    // by path, { choice: 'left' | 'right' | 'edit', value }) the left value
+    // stands in for it.
+    merge(base, left, right, resolutions = {}) {
+        this.conflicts = [];
+        this.applied = [];
+        this.resolutions = resolutions;
+        const merged = this.mergeValues(base, left, right, 'root', '', '');
         
         return {
-            type: 'modified',
-            path,
-            oldValue: arr1,
-            newValue: arr2
+            merged,
+            conflicts: this.conflicts,
+            applied: this.applied,
+            unresolved: this.conflicts.filter(conflict => !conflict.resolution).length
         };
     }
     
-    calculateSummary(differences) {
-        const summary = {
-            totalDifferences: differences.length,
-            added: 0,
-            deleted: 0,
-            modified: 0,
-            equal: 0
-        };
+    mergeValues(base, left, right, path, schemaPath, pointer) {
+        if (this.same(left, right, schemaPath)) {
+            if (!this.same(base, left, schemaPath)) this.recordApplied('both', base, left, path, pointer);
+            return left;
+        }
+        if (this.same(base, left, schemaPath)) {
+            this.recordApplied('right', base, right, path, pointer);
+            return right;
+        }
+        if (this.same(base, right, schemaPath)) {
+            this.recordApplied('left', base, left, path, pointer);
+            return left;
+        }
         
-        differences.forEach(diff => {
-            if (Array.isArray(diff)) {
-                // Handle nested differences
-                diff.forEach(nestedDiff => {
-                    if (nestedDiff.type && summary[nestedDiff.type] !== undefined) {
-                        summary[nestedDiff.type]++;
+        // Both sides changed the value differently; look inside when they agree
+        // on its shape
+        if (this.isPlainObject(left) && this.isPlainObject(right)) {
+            return this.mergeObjects(this.isPlainObject(base) ? base : {}, left, right, path, schemaPath, pointer);
+        }
+        if (Array.isArray(left) && Array.isArray(right)) {
+            const keyField = this.keyMatcher.getArrayKeyField(left, right, schemaPath);
+            const baseArray = Array.isArray(base) ? base : [];
+            if (keyField && this.hasUniqueKeys([baseArray, left, right], keyField)) {
+                return this.mergeKeyedArrays(baseArray, left, right, keyField, path, schemaPath, pointer);
+            }
+            return this.mergeAlignedArrays(baseArray, left, right, path, schemaPath, pointer);
+        }
+        return this.conflict(base, left, right, path, pointer);
+    }
+    
+    mergeObjects(base, left, right, path, schemaPath, pointer) {
+        const merged = {};
+        const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+        for (const key of keys) {
+            const value = this.mergeValues(base[key], left[key], right[key], `${path}.${key}`,
+                schemaPath ? `${schemaPath}.${key}` : key, `${pointer}/${this.extractor.escapePointerSegment(key)}`);
+            if (value !== undefined) merged[key] = value;
+        }
+        return merged;
+    }
+    
+    // Elements are matched by key on all three sides. The order of the side
+    // that reordered the elements it shares with the base is kept (the left
+    // one when neither did), and elements only the other side has are appended
+    // in its order. Both sides reordering differently is a conflict.
+    mergeKeyedArrays(base, left, right, keyField, path, schemaPath, pointer) {
+        const keySpec = this.extractor.parseKeySpec(keyField);
+        const byKey = items => new Map(items.map(item => [String(this.extractor.getKeyValue(item, keySpec)), item]));
+        const base1 = byKey(base);
+        const left1 = byKey(left);
+        const right1 = byKey(right);
+        const merged = [];
+        
+        const orderIn = (items, other) => [...items.keys()].filter(key => other.has(key));
+        const sameOrder = (keys1, keys2) => keys1.length === keys2.length && keys1.every((key, i) => key === keys2[i]);
+        const leftReordered = !sameOrder(orderIn(left1, base1), orderIn(base1, left1));
+        const rightReordered = !sameOrder(orderIn(right1, base1), orderIn(base1, right1));
+        if (leftReordered && rightReordered && !sameOrder(orderIn(left1, right1), orderIn(right1, left1))) {
+            return this.conflict(base, left, right, path, pointer);
+        }
+        const [first, second] = rightReordered && !leftReordered ? [right1, left1] : [left1, right1];
+        
+        for (const key of new Set([...first.keys(), ...second.keys()])) {
+            const item = left1.get(key) || right1.get(key);
+            const value = this.mergeValues(base1.get(key), left1.get(key), right1.get(key),
+                `${path}[${this.extractor.formatKey(keySpec, this.extractor.getKeyValue(item, keySpec))}]`,
+                `${schemaPath}[]`, `${pointer}/${merged.length}`);
+            if (value !== undefined) merged.push(value);
+        }
+        return merged;
+    }
+    
+    // diff3 over unkeyed arrays: elements the base shares with both sides
+    // (by Myers alignment) anchor the merge, and each stretch between anchors
+    // takes whichever side changed it. Stretches both sides changed are merged
+    // element by element when all three have the same length, otherwise the
+    // stretch is a conflict addressed by its base range.
+    mergeAlignedArrays(base, left, right, path, schemaPath, pointer) {
+        const toLeft = this.alignIndices(base, left);
+        const toRight = this.alignIndices(base, right);
+        const merged = [];
+        let b = 0;
+        let l = 0;
+        let r = 0;
+        
+        const mergeStretch = (baseEnd, leftEnd, rightEnd) => {
+            const baseItems = base.slice(b, baseEnd);
+            const leftItems = left.slice(l, leftEnd);
+            const rightItems = right.slice(r, rightEnd);
+            const take = (side, items) => {
+                for (let k = 0; k < Math.max(baseItems.length, items.length); k++) {
+                    if (!this.same(baseItems[k], items[k], `${schemaPath}[]`)) {
+                        this.recordApplied(side, baseItems[k], items[k], `${path}[${merged.length + k}]`, `${pointer}/${merged.length + k}`);
                     }
+                }
+                items.forEach(item => merged.push(item));
+            };
+            
+            if (this.same(baseItems, leftItems, schemaPath)) {
+                take('right', rightItems);
+            } else if (this.same(baseItems, rightItems, schemaPath)) {
+                take('left', leftItems);
+            } else if (this.same(leftItems, rightItems, schemaPath)) {
+                take('both', leftItems);
+            } else if (baseItems.length === leftItems.length && leftItems.length === rightItems.length) {
+                leftItems.forEach((item, k) => {
+                    const value = this.mergeValues(baseItems[k], item, rightItems[k], `${path}[${merged.length}]`,
+                        `${schemaPath}[]`, `${pointer}/${merged.length}`);
+                    if (value !== undefined) merged.push(value);
                 });
-            } else if (diff.type && summary[diff.type] !== undefined) {
-                summary[diff.type]++;
+            } else {
+                const value = this.conflict(baseItems, leftItems, rightItems, `${path}[${b}:${baseEnd}]`, `${pointer}/${merged.length}`);
+                [].concat(value).forEach(item => merged.push(item));
             }
-        });
+        };
         
-        return summary;
+        for (let i = 0; i < base.length; i++) {
+            if (toLeft[i] === -1 || toRight[i] === -1) continue;
+            mergeStretch(i, toLeft[i], toRight[i]);
+            const value = this.mergeValues(base[i], left[toLeft[i]], right[toRight[i]], `${path}[${merged.length}]`,
+                `${schemaPath}[]`, `${pointer}/${merged.length}`);
+            if (value !== undefined) merged.push(value);
+            b = i + 1;
+            l = toLeft[i] + 1;
+            r = toRight[i] + 1;
+        }
+        mergeStretch(base.length, left.length, right.length);
+        return merged;
+    }
+    
+    // Index in items of each base element the alignment keeps, -1 otherwise
+    alignIndices(base, items) {
+        const indices = new Int32Array(base.length).fill(-1);
+        const hash = item => this.differ.hashValue(item);
+        this.differ.alignSequences(base.map(hash), items.map(hash)).forEach(op => {
+            if (op.type === 'equal') indices[op.index1] = op.index2;
+        });
+        return indices;
+    }
+    
+    hasUniqueKeys(arrays, keyField) {
+        const keySpec = this.extractor.parseKeySpec(keyField);
+        return arrays.every(items => {
+            const keys = items.map(item => (this.isPlainObject(item) ? this.extractor.getKeyValue(item, keySpec) : undefined));
+            return keys.every(key => key !== undefined) && new Set(keys.map(String)).size === keys.length;
+        });
+    }
+    
+    conflict(base, left, right, path, pointer) {
+        const resolution = this.resolutions[path];
+        this.conflicts.push({ path, pointer, base, left, right, resolution: resolution ? resolution.choice : null });
+        if (!resolution) return left;
+        if (resolution.choice === 'right') return right;
+        if (resolution.choice === 'edit') return resolution.value;
+        return left;
+    }
+    
+    recordApplied(side, from, to, path, pointer) {
+        const type = from === undefined ? 'added' : to === undefined ? 'deleted' : 'modified';
+        this.applied.push({ side, type, path, pointer, oldValue: from, newValue: to });
+    }
+    
+    // Absent values (undefined) only match each other
+    same(value1, value2, schemaPath) {
+        if (value1 === undefined || value2 === undefined) return value1 === value2;
+        const differences = this.differ.compareValues(value1, value2, '', schemaPath);
+        return !differences || (Array.isArray(differences) && differences.length === 0);
+    }
+    
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof LosslessNumber);
     }
 }
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize the application (app.js is also loaded by the comparison worker,
+// which has no document)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, initializing JSON Comparator...');
     try {
         window.jsonComparator = new JSONComparator();
@@ -0,0 +1,32 @@
+// Comparison worker - Runs parsing, record extraction and diffing off the main
+// thread, posting progress while it works. A message carries one pair of
+// inputs (json1Text, json2Text), a batch of files ({ leftFiles, rightFiles })
+// or a baseline with its candidates ({ baselineText, candidates }).
+importScripts('app.js');
+
+self.onmessage = (event) => {
+    const { json1Text, json2Text, batch, baseline, options } = event.data;
+    const onProgress = (compared, total, step, file) => {
+        self.postMessage({ type: 'progress', compared, total, step, file });
+    };
+    
+    try {
+        let result;
+        if (batch) {
+            result = new BatchComparison().compareFiles(batch.leftFiles, batch.rightFiles, options, onProgress);
+        } else if (baseline) {
+            result = new BaselineComparison().run(baseline.baselineText, baseline.candidates, options, onProgress);
+        } else {
+            result = new ComparisonRunner().run(json1Text, json2Text, options, onProgress);
+        }
+        if (options.losslessNumbers) {
+            // Structured cloning would turn lossless numbers into empty objects,
+            // so the result travels as JSON text that keeps them as written
+            self.postMessage({ type: 'result', text: new LosslessJSON().stringify(result) });
+        } else {
+            self.postMessage({ type: 'result', result });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', name: error.name, message: error.message });
+    }
+};